@@ -0,0 +1,71 @@
+const { createHash, randomBytes } = require('crypto');
+
+const API_KEY_SCOPES = ['log:write', 'log:read', 'rlhf:write', 'rlhf:read'];
+const API_KEY_PREFIX = 'alk_';
+
+function hashApiKey(key) {
+  return createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * New key material. `key` is shown to the caller once; only `keyHash`
+ * and the short `keyPrefix` (for recognising a key in listings) are stored.
+ */
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+  return {
+    keyId: `key_${randomBytes(8).toString('hex')}`,
+    key,
+    keyHash: hashApiKey(key),
+    keyPrefix: key.slice(0, API_KEY_PREFIX.length + 6)
+  };
+}
+
+// Returns { scopes } (deduplicated, known scopes only) or { error }.
+function normalizeScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) return { error: 'scopes_required' };
+  const unknown = scopes.find(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown !== undefined) return { error: 'invalid_scope', scope: unknown };
+  return { scopes: [...new Set(scopes)] };
+}
+
+/**
+ * Looks presented keys up by hash, caching hits for `ttlMs` so ingestion
+ * does not pay a store round trip per request. Revocations through this
+ * process take effect immediately; other processes see them within the TTL.
+ */
+class ApiKeyResolver {
+  constructor(store, { ttlMs = 60000 } = {}) {
+    this.store = store;
+    this.ttlMs = ttlMs;
+    this.cache = new Map();
+  }
+
+  async resolve(key) {
+    const keyHash = hashApiKey(key);
+    const cached = this.cache.get(keyHash);
+    if (cached && cached.expiresAt > Date.now()) return cached.record;
+
+    const record = await this.store.getApiKeyByHash(keyHash);
+    if (!record || record.revoked_at) {
+      this.cache.delete(keyHash);
+      return null;
+    }
+    this.cache.set(keyHash, { record, expiresAt: Date.now() + this.ttlMs });
+    return record;
+  }
+
+  invalidate(keyId) {
+    for (const [keyHash, { record }] of this.cache) {
+      if (record.key_id === keyId) this.cache.delete(keyHash);
+    }
+  }
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  ApiKeyResolver,
+  generateApiKey,
+  hashApiKey,
+  normalizeScopes
+};
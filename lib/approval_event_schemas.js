@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { validateSchema } = require('./json_schema');
+
+// Same payload resolution the stores use when writing payload_json.
+function approvalEventPayload(event) {
+  return event.payload_json ?? event.payload ?? event;
+}
+
+/**
+ * Versioned JSON schemas for approval event payloads, keyed by event_type
+ * and event_version. Loaded from `<dir>/<event_type>/<event_version>.json`.
+ */
+class ApprovalEventSchemaRegistry {
+  constructor() {
+    this.schemas = new Map();
+  }
+
+  static fromDirectory(dir) {
+    const registry = new ApprovalEventSchemaRegistry();
+    if (!fs.existsSync(dir)) return registry;
+    for (const eventType of fs.readdirSync(dir)) {
+      const typeDir = path.join(dir, eventType);
+      if (!fs.statSync(typeDir).isDirectory()) continue;
+      for (const file of fs.readdirSync(typeDir)) {
+        if (!file.endsWith('.json')) continue;
+        const version = file.slice(0, -'.json'.length);
+        const schema = JSON.parse(fs.readFileSync(path.join(typeDir, file), 'utf8'));
+        registry.register(eventType, version, schema);
+      }
+    }
+    return registry;
+  }
+
+  register(eventType, eventVersion, schema) {
+    this.schemas.set(`${eventType}@${eventVersion}`, { event_type: eventType, event_version: eventVersion, schema });
+  }
+
+  get(eventType, eventVersion) {
+    const entry = this.schemas.get(`${eventType}@${eventVersion}`);
+    return entry ? entry.schema : null;
+  }
+
+  list() {
+    return [...this.schemas.values()].sort((a, b) =>
+      a.event_type.localeCompare(b.event_type)
+      || a.event_version.localeCompare(b.event_version, undefined, { numeric: true }));
+  }
+
+  /**
+   * Validate an event's payload against the schema for its event_type and
+   * the payload's event_version. Violation paths are JSON pointers rooted
+   * at the payload.
+   *
+   * @returns {{ valid: boolean, event_version: string|null, violations: object[] }}
+   */
+  validate(event) {
+    let payload = approvalEventPayload(event);
+    if (typeof payload === 'string') {
+      try {
+        payload = JSON.parse(payload);
+      } catch (_) {
+        return {
+          valid: false,
+          event_version: null,
+          violations: [{ path: '', keyword: 'json', message: 'payload_json is not valid JSON' }]
+        };
+      }
+    }
+
+    const rawVersion = payload && typeof payload === 'object' ? payload.event_version : undefined;
+    const eventVersion = rawVersion != null ? String(rawVersion) : null;
+    if (!eventVersion) {
+      return {
+        valid: false,
+        event_version: null,
+        violations: [{ path: '/event_version', keyword: 'required', message: 'is required' }]
+      };
+    }
+
+    const schema = this.get(event.event_type, eventVersion);
+    if (!schema) {
+      return {
+        valid: false,
+        event_version: eventVersion,
+        violations: [{
+          path: '/event_version',
+          keyword: 'schema',
+          message: `no schema registered for ${event.event_type} ${eventVersion}`
+        }]
+      };
+    }
+
+    const violations = validateSchema(schema, payload);
+    return { valid: violations.length === 0, event_version: eventVersion, violations };
+  }
+}
+
+module.exports = { ApprovalEventSchemaRegistry, approvalEventPayload };
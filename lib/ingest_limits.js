@@ -0,0 +1,163 @@
+// Token-bucket rate limits and daily quotas on log ingestion, per org_id,
+// per service and per instance_id. Service and instance buckets are counted
+// within their org, so the same service name in two orgs does not share a
+// budget. State is in-process: each server instance enforces its own limits
+// and daily counters start again after a restart.
+
+const DIMENSIONS = ['org_id', 'service', 'instance_id'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function utcDay(nowMs) {
+  return new Date(nowMs).toISOString().slice(0, 10);
+}
+
+function positiveOrNull(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * @param {object} config - { org_id, service, instance_id, overrides }, each
+ *   dimension `{ rate, burst, daily_quota }` (rate in entries per second;
+ *   burst defaults to rate). `overrides[dimension][name]` replaces fields
+ *   for one org, service or instance.
+ */
+class IngestLimiter {
+  constructor(config = {}, { now = Date.now } = {}) {
+    this.config = config;
+    this.now = now;
+    this.buckets = new Map();
+    this.day = utcDay(now());
+    this.dailyUsed = new Map();
+  }
+
+  limitsFor(dimension, name) {
+    const base = this.config[dimension] || {};
+    const override = ((this.config.overrides || {})[dimension] || {})[name] || {};
+    const merged = { ...base, ...override };
+    const rate = positiveOrNull(merged.rate);
+    return {
+      rate,
+      burst: rate ? (positiveOrNull(merged.burst) || rate) : null,
+      daily_quota: positiveOrNull(merged.daily_quota)
+    };
+  }
+
+  get enabled() {
+    return DIMENSIONS.some(dimension => this.config[dimension] || (this.config.overrides || {})[dimension]);
+  }
+
+  rollDay(nowMs) {
+    const today = utcDay(nowMs);
+    if (today !== this.day) {
+      this.day = today;
+      this.dailyUsed.clear();
+    }
+  }
+
+  // Current tokens, refilled for the time elapsed since the last update.
+  refill(key, limits, nowMs) {
+    const bucket = this.buckets.get(key);
+    if (!bucket) return limits.burst;
+    const elapsed = Math.max(0, nowMs - bucket.updatedAt) / 1000;
+    return Math.min(limits.burst, bucket.tokens + elapsed * limits.rate);
+  }
+
+  /**
+   * Check and, when every limit allows it, consume the entries' cost.
+   * Nothing is consumed when any limit refuses.
+   *
+   * @param {object[]} entries - normalized log entries (org_id, service, instance_id)
+   * @returns {{ allowed: true } | { allowed: false, error: string, dimension: string,
+   *   org_id: string, key: string, retry_after: number }}
+   */
+  take(entries) {
+    const nowMs = this.now();
+    this.rollDay(nowMs);
+
+    const demand = new Map();
+    for (const entry of entries) {
+      const orgId = entry.org_id || '';
+      for (const dimension of DIMENSIONS) {
+        const name = dimension === 'org_id' ? orgId : String(entry[dimension] || '');
+        const key = `${dimension}\u0000${orgId}\u0000${name}`;
+        if (!demand.has(key)) demand.set(key, { dimension, orgId, name, count: 0 });
+        demand.get(key).count += 1;
+      }
+    }
+
+    const checked = [];
+    for (const [key, { dimension, orgId, name, count }] of demand) {
+      const limits = this.limitsFor(dimension, name);
+      const refused = { allowed: false, dimension, org_id: orgId, key: name };
+
+      if (limits.daily_quota) {
+        const used = this.dailyUsed.get(key) || 0;
+        if (used + count > limits.daily_quota) {
+          const nextDay = Date.parse(`${this.day}T00:00:00.000Z`) + DAY_MS;
+          return { ...refused, error: 'daily_quota_exceeded', retry_after: Math.ceil((nextDay - nowMs) / 1000) };
+        }
+      }
+      let tokens = null;
+      if (limits.rate) {
+        tokens = this.refill(key, limits, nowMs);
+        // A batch larger than the burst goes through on a full bucket and
+        // leaves it in debt, rather than being refused forever.
+        const needed = Math.min(count, limits.burst);
+        if (tokens < needed) {
+          return { ...refused, error: 'rate_limited', retry_after: Math.max(1, Math.ceil((needed - tokens) / limits.rate)) };
+        }
+      }
+      checked.push({ key, count, limits, tokens });
+    }
+
+    for (const { key, count, limits, tokens } of checked) {
+      if (limits.daily_quota) this.dailyUsed.set(key, (this.dailyUsed.get(key) || 0) + count);
+      if (limits.rate) this.buckets.set(key, { tokens: tokens - count, updatedAt: nowMs });
+    }
+    this.prune(nowMs);
+    return { allowed: true };
+  }
+
+  // Drop buckets that have refilled completely; they carry no state.
+  prune(nowMs) {
+    if (this.buckets.size < 10000) return;
+    for (const key of this.buckets.keys()) {
+      const [dimension, , name] = key.split('\u0000');
+      const limits = this.limitsFor(dimension, name);
+      if (!limits.rate || this.refill(key, limits, nowMs) >= limits.burst) this.buckets.delete(key);
+    }
+  }
+
+  /**
+   * Usage against limits for every org/service/instance seen today (or
+   * holding a partly drained bucket), optionally for one org.
+   */
+  usage({ orgId } = {}) {
+    const nowMs = this.now();
+    this.rollDay(nowMs);
+    const keys = new Set([...this.buckets.keys(), ...this.dailyUsed.keys()]);
+    const rows = [];
+    for (const key of keys) {
+      const [dimension, keyOrg, name] = key.split('\u0000');
+      if (orgId != null && keyOrg !== orgId) continue;
+      const limits = this.limitsFor(dimension, name);
+      rows.push({
+        dimension,
+        org_id: keyOrg,
+        key: name,
+        rate: limits.rate,
+        burst: limits.burst,
+        tokens: limits.rate ? Math.floor(this.refill(key, limits, nowMs)) : null,
+        daily_quota: limits.daily_quota,
+        daily_used: this.dailyUsed.get(key) || 0
+      });
+    }
+    rows.sort((a, b) => DIMENSIONS.indexOf(a.dimension) - DIMENSIONS.indexOf(b.dimension)
+      || a.org_id.localeCompare(b.org_id)
+      || a.key.localeCompare(b.key));
+    return { day: this.day, usage: rows };
+  }
+}
+
+module.exports = { IngestLimiter };
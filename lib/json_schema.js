@@ -0,0 +1,120 @@
+// Minimal JSON Schema validator covering the keywords our approval event
+// schemas use: type, enum, const, required, properties,
+// additionalProperties, items, min/maxItems, min/maxLength, pattern,
+// minimum/maximum, format "date-time" and anyOf.
+
+const ISO_DATE_TIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function pointer(path, key) {
+  return `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+// "must have one of a, b or c" for the usual anyOf of single required
+// fields; a generic message otherwise.
+function anyOfMessage(branches) {
+  const fields = branches.map(b => (Object.keys(b).length === 1 && Array.isArray(b.required) && b.required.length === 1
+    ? b.required[0]
+    : null));
+  if (fields.includes(null)) return 'must match at least one of the anyOf schemas';
+  return `must have one of ${fields.slice(0, -1).join(', ')}${fields.length > 1 ? ' or ' : ''}${fields[fields.length - 1]}`;
+}
+
+function validateNode(schema, value, path, errors) {
+  if (!schema || typeof schema !== 'object') return;
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path, keyword: 'type', message: `must be ${types.join(' or ')}` });
+      return;
+    }
+  }
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push({ path, keyword: 'const', message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some(v => JSON.stringify(v) === JSON.stringify(value))) {
+    errors.push({ path, keyword: 'enum', message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(branch => validateSchema(branch, value).length === 0)) {
+    errors.push({ path, keyword: 'anyOf', message: anyOfMessage(schema.anyOf) });
+  }
+
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+      errors.push({ path, keyword: 'minLength', message: `must be at least ${schema.minLength} characters` });
+    }
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+      errors.push({ path, keyword: 'maxLength', message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, keyword: 'pattern', message: `must match ${schema.pattern}` });
+    }
+    if (schema.format === 'date-time' && (!ISO_DATE_TIME_RE.test(value) || Number.isNaN(Date.parse(value)))) {
+      errors.push({ path, keyword: 'format', message: 'must be an ISO 8601 date-time' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      errors.push({ path, keyword: 'minimum', message: `must be >= ${schema.minimum}` });
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      errors.push({ path, keyword: 'maximum', message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      errors.push({ path, keyword: 'minItems', message: `must have at least ${schema.minItems} items` });
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      errors.push({ path, keyword: 'maxItems', message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(schema.items, item, pointer(path, i), errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        errors.push({ path: pointer(path, key), keyword: 'required', message: 'is required' });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        validateNode(properties[key], child, pointer(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: pointer(path, key), keyword: 'additionalProperties', message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(schema.additionalProperties, child, pointer(path, key), errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate `value` against `schema`.
+ * @returns {{ path: string, keyword: string, message: string }[]} violations; empty when valid
+ */
+function validateSchema(schema, value) {
+  const errors = [];
+  validateNode(schema, value, '', errors);
+  return errors;
+}
+
+module.exports = { validateSchema };
@@ -0,0 +1,22 @@
+// Opaque keyset cursors for paged log reads. A cursor names the last row of
+// the previous page by (event_time, id), the same key the stores sort on.
+
+function encodeCursor(row) {
+  const eventTime = row.event_time instanceof Date ? row.event_time.toISOString() : String(row.event_time);
+  return Buffer.from(JSON.stringify([eventTime, row.id])).toString('base64url');
+}
+
+// Returns { event_time, id }, or null when the cursor is malformed.
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded) || decoded.length !== 2) return null;
+    const [eventTime, id] = decoded;
+    if (typeof eventTime !== 'string' || !Number.isSafeInteger(id)) return null;
+    return { event_time: eventTime, id };
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = { encodeCursor, decodeCursor };
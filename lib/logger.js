@@ -0,0 +1,101 @@
+// The service's own process log: leveled, as text or one JSON object per
+// line, with request ids bound through child loggers. Fields whose name is
+// on the redact list are masked at any depth before anything is written, so
+// request bodies can be logged without leaking usernames or message text.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const DEFAULT_REDACT = [
+  'username', 'message', 'attributes', 'payload',
+  'authorization', 'x-api-key', 'x-amp-internal-key', 'api_key', 'key', 'secret', 'password', 'token'
+];
+
+const REDACTED = '[REDACTED]';
+
+function serializeError(err) {
+  return { name: err.name, message: err.message, ...(err.code ? { code: err.code } : {}), stack: err.stack };
+}
+
+/**
+ * Copy of `value` with every field named in `redact` (a Set of lowercase
+ * names) masked. Errors are reduced to name/message/code/stack unmasked.
+ */
+function redactFields(value, redact, seen = new WeakSet()) {
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+  if (Array.isArray(value)) return value.map(item => redactFields(item, redact, seen));
+  const out = {};
+  for (const [key, field] of Object.entries(value)) {
+    out[key] = redact.has(key.toLowerCase()) ? REDACTED : redactFields(field, redact, seen);
+  }
+  return out;
+}
+
+function formatTextValue(value) {
+  if (typeof value === 'string') return /[\s"=]/.test(value) || value === '' ? JSON.stringify(value) : value;
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+class Logger {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.level] - debug, info, warn, error or silent
+   * @param {'text'|'json'} [opts.format]
+   * @param {string[]} [opts.redact] - field names to mask (case-insensitive)
+   * @param {(level: string, line: string) => void} [opts.write] - defaults to stdout, stderr for warn/error
+   */
+  constructor({ level = 'info', format = 'text', redact = DEFAULT_REDACT, write, bindings = {}, now = () => new Date() } = {}) {
+    if (!(level in LEVELS)) throw new Error(`unknown log level: ${level}`);
+    if (!['text', 'json'].includes(format)) throw new Error(`unknown log format: ${format}`);
+    this.level = level;
+    this.format = format;
+    this.redact = redact instanceof Set ? redact : new Set(redact.map(name => String(name).toLowerCase()));
+    this.write = write || ((lineLevel, line) => {
+      (LEVELS[lineLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+    });
+    this.bindings = bindings;
+    this.now = now;
+  }
+
+  /** A logger that adds `bindings` (e.g. { request_id }) to every line. */
+  child(bindings) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      redact: this.redact,
+      write: this.write,
+      bindings: { ...this.bindings, ...bindings },
+      now: this.now
+    });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+    const data = redactFields({ ...this.bindings, ...fields }, this.redact);
+    if (this.format === 'json') {
+      this.write(level, JSON.stringify({ time: this.now().toISOString(), level, msg, ...data }));
+      return;
+    }
+    const pairs = Object.entries(data)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${key}=${formatTextValue(value)}`);
+    this.write(level, [`[${level.toUpperCase()}]`, msg, ...pairs].join(' '));
+  }
+
+  debug(msg, fields) { this.log('debug', msg, fields); }
+
+  info(msg, fields) { this.log('info', msg, fields); }
+
+  warn(msg, fields) { this.log('warn', msg, fields); }
+
+  error(msg, fields) { this.log('error', msg, fields); }
+}
+
+module.exports = { LEVELS, DEFAULT_REDACT, REDACTED, Logger, redactFields };
@@ -0,0 +1,177 @@
+// In-process metrics rendered in the Prometheus text exposition format
+// (version 0.0.4): counters and histograms keyed by label values, and gauges
+// read from a callback at scrape time.
+
+const DEFAULT_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  labelValues(labels) {
+    return this.labelNames.map(name => String(labels[name] ?? ''));
+  }
+
+  seriesFor(labels, create) {
+    const values = this.labelValues(labels);
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) this.series.set(key, { values, ...create() });
+    return this.series.get(key);
+  }
+
+  header(type) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+  }
+}
+
+class Counter extends Metric {
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  get(labels = {}) {
+    const series = this.series.get(JSON.stringify(this.labelValues(labels)));
+    return series ? series.value : 0;
+  }
+
+  render() {
+    const lines = this.header('counter');
+    for (const { values, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, values)} ${formatNumber(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /** Start a timer; the returned function observes the elapsed seconds. */
+  startTimer(labels) {
+    const started = process.hrtime.bigint();
+    return () => this.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+
+  render() {
+    const lines = this.header('histogram');
+    for (const { values, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, `le="${formatNumber(bound)}"`)} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${formatNumber(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, collect) {
+    super(name, help, []);
+    this.collect = collect;
+  }
+
+  render() {
+    return [...this.header('gauge'), `${this.name} ${formatNumber(Number(this.collect()) || 0)}`];
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`metric already registered: ${metric.name}`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) lines.push(...metric.render());
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+const STORE_WRITE_METHOD_RE = /^(append|insert|delete|assign|rebuild|revoke)/;
+
+/**
+ * Time every EventLogStore method on `store` into the write or query
+ * histogram (labels backend, method); failures also count in `errors`.
+ * Methods are wrapped on the instance, so calls a store makes to its own
+ * methods are timed too.
+ */
+function instrumentStore(store, backend, { writes, queries, errors }, methodNames) {
+  for (const method of methodNames) {
+    const original = store[method];
+    if (typeof original !== 'function') continue;
+    const histogram = STORE_WRITE_METHOD_RE.test(method) ? writes : queries;
+    store[method] = async function timedStoreMethod(...args) {
+      const done = histogram.startTimer({ backend, method });
+      try {
+        return await original.apply(this, args);
+      } catch (err) {
+        errors.inc({ backend, method });
+        throw err;
+      } finally {
+        done();
+      }
+    };
+  }
+  return store;
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  Counter,
+  Histogram,
+  Gauge,
+  MetricsRegistry,
+  instrumentStore
+};
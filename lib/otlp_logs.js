@@ -0,0 +1,161 @@
+// Maps OTLP/HTTP JSON log exports (ExportLogsServiceRequest) onto the
+// /api/log body shape so they go through the same validation.
+
+const { buildLevelAliases, normalizeLevel } = require('../store/log_levels');
+
+// Attributes consumed by first-class /api/log fields, in lookup order.
+const FIELD_ATTRIBUTES = {
+  instance_id: ['instance_id', 'service.instance.id'],
+  username: ['username', 'user.name', 'enduser.id'],
+  org_id: ['org_id']
+};
+
+function anyValueToJs(value) {
+  if (!value || typeof value !== 'object') return null;
+  if ('stringValue' in value) return value.stringValue;
+  if ('boolValue' in value) return Boolean(value.boolValue);
+  if ('intValue' in value) {
+    const n = Number(value.intValue);
+    return Number.isSafeInteger(n) ? n : String(value.intValue);
+  }
+  if ('doubleValue' in value) return Number(value.doubleValue);
+  if ('bytesValue' in value) return value.bytesValue;
+  if ('arrayValue' in value) {
+    return ((value.arrayValue && value.arrayValue.values) || []).map(anyValueToJs);
+  }
+  if ('kvlistValue' in value) {
+    return keyValuesToObject(value.kvlistValue && value.kvlistValue.values);
+  }
+  return null;
+}
+
+function keyValuesToObject(list) {
+  const out = {};
+  for (const kv of Array.isArray(list) ? list : []) {
+    if (kv && typeof kv.key === 'string') out[kv.key] = anyValueToJs(kv.value);
+  }
+  return out;
+}
+
+// SeverityNumber ranges from the OTel log data model.
+function severityNumberToLevel(severityNumber) {
+  const n = Number(severityNumber);
+  if (!Number.isFinite(n) || n <= 0) return undefined;
+  if (n <= 4) return 'trace';
+  if (n <= 8) return 'debug';
+  if (n <= 12) return 'info';
+  if (n <= 16) return 'warn';
+  if (n <= 20) return 'error';
+  return 'fatal';
+}
+
+function unixNanoToIso(nanos) {
+  if (nanos == null || nanos === '' || nanos === '0' || nanos === 0) return undefined;
+  try {
+    const ms = Number(BigInt(String(nanos)) / 1000000n);
+    const date = new Date(ms);
+    return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+  } catch (_) {
+    return undefined;
+  }
+}
+
+function takeField(attributes, keys) {
+  for (const key of keys) {
+    const value = attributes[key];
+    if (value != null && value !== '') {
+      delete attributes[key];
+      return String(value);
+    }
+  }
+  return undefined;
+}
+
+// severityText when it names a known level or alias, else the level of
+// severityNumber, else info. Exporters send free-form text ("SEVERE",
+// "Warn2"), which should not cost the record.
+function recordLevel(record, levelAliases) {
+  const text = record.severityText ? normalizeLevel(record.severityText, levelAliases) : null;
+  if (text) return text.level;
+  return severityNumberToLevel(record.severityNumber) || 'info';
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// A list field that may be absent; anything else but an array is malformed.
+function listAt(parent, key, path) {
+  const value = parent[key];
+  if (value == null) return [];
+  if (!Array.isArray(value)) throw new Error(`${path}.${key} must be an array`);
+  return value;
+}
+
+// Why the records under a resource or scope cannot be read, if they cannot.
+function containerError(value, name) {
+  return value == null || isObject(value) ? null : `${name} must be an object`;
+}
+
+/**
+ * Flatten an ExportLogsServiceRequest into /api/log bodies.
+ *
+ * Resource and record attributes are merged (record wins); `service.name`
+ * becomes service, and instance_id/username/org_id are lifted out of the
+ * attributes. Whatever remains is kept as the entry's `attributes`.
+ *
+ * A log record that is not an object, or sits under a resource or scope
+ * that is not one, is skipped and listed in `rejected` so the route can
+ * count it in partialSuccess. Lists that are not arrays fail the request.
+ *
+ * @param {object} payload - parsed OTLP JSON body
+ * @param {object} [opts]
+ * @param {Map<string, string>} [opts.levelAliases] - from buildLevelAliases
+ * @returns {{ bodies: object[], rejected: { record: string, error: string }[] }}
+ *   one body per readable log record, in export order
+ */
+function otlpToLogBodies(payload, { levelAliases = buildLevelAliases() } = {}) {
+  if (!payload || typeof payload !== 'object' || !Array.isArray(payload.resourceLogs)) {
+    throw new Error('resourceLogs must be an array');
+  }
+
+  const bodies = [];
+  const rejected = [];
+  payload.resourceLogs.forEach((resourceLog, r) => {
+    if (!isObject(resourceLog)) return;
+    const resourcePath = `resourceLogs[${r}]`;
+    const resourceError = containerError(resourceLog.resource, 'resource');
+    const resourceAttributes = keyValuesToObject(resourceLog.resource && resourceLog.resource.attributes);
+    listAt(resourceLog, 'scopeLogs', resourcePath).forEach((scopeLog, s) => {
+      if (!isObject(scopeLog)) return;
+      const scopePath = `${resourcePath}.scopeLogs[${s}]`;
+      const scopeError = resourceError || containerError(scopeLog.scope, 'scope');
+      const scope = scopeLog.scope || {};
+      listAt(scopeLog, 'logRecords', scopePath).forEach((record, i) => {
+        const error = scopeError || (isObject(record) ? null : 'log record must be an object');
+        if (error) {
+          rejected.push({ record: `${scopePath}.logRecords[${i}]`, error });
+          return;
+        }
+        const attributes = { ...resourceAttributes, ...keyValuesToObject(record.attributes) };
+        const service = takeField(attributes, ['service.name']);
+        const body = anyValueToJs(record.body);
+        if (scope.name) attributes['otel.scope.name'] = scope.name;
+
+        bodies.push({
+          service,
+          level: recordLevel(record, levelAliases),
+          message: body == null || typeof body === 'string' ? body : JSON.stringify(body),
+          timestamp: unixNanoToIso(record.timeUnixNano) || unixNanoToIso(record.observedTimeUnixNano),
+          instance_id: takeField(attributes, FIELD_ATTRIBUTES.instance_id),
+          username: takeField(attributes, FIELD_ATTRIBUTES.username),
+          org_id: takeField(attributes, FIELD_ATTRIBUTES.org_id),
+          trace_id: record.traceId || undefined,
+          span_id: record.spanId || undefined,
+          attributes: Object.keys(attributes).length ? attributes : undefined
+        });
+      });
+    });
+  });
+  return { bodies, rejected };
+}
+
+module.exports = { otlpToLogBodies, severityNumberToLevel };
@@ -0,0 +1,204 @@
+// PII redaction applied to log entries before they are written. Rules match
+// a configured regex or a built-in detector (email, phone, card) in the
+// message, username and string attribute values, and mask, hash or drop
+// each match. A rule may be scoped to some org_ids and/or services; rules
+// run in the order configured, each on the output of the previous one.
+// Approval events go through the same rules, their non-key fields read as
+// one `payload` field.
+
+const { createHash } = require('crypto');
+
+const ACTIONS = ['mask', 'hash', 'drop'];
+const DEFAULT_FIELDS = ['message', 'username', 'attributes', 'payload'];
+const FIELDS = ['message', 'username', 'attributes', 'payload'];
+// Fields a stored entry must have; `drop` leaves the rule's replacement
+// rather than empty them.
+const REQUIRED_FIELDS = ['message', 'username'];
+
+// Approval event fields that identify the event rather than carry content;
+// they are never redacted, so dedup and the decision joins keep working.
+const EVENT_KEY_FIELDS = [
+  'event_id', 'org_id', 'agent_name', 'decision_point_id', 'event_type', 'event_version', 'created_at', 'sim_run_id'
+];
+
+// Luhn check so order ids and timestamps of card length are left alone.
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+const DETECTORS = {
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+  },
+  phone: {
+    // +1 415 555 0100, (415) 555-0100, 415.555.0100, +44 20 7946 0958
+    pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})[\s.-]?\d{3,4}[\s.-]?\d{3,4}(?!\w)/g,
+    validate: (match) => {
+      const digits = match.replace(/\D/g, '');
+      return digits.length >= 10 && digits.length <= 15;
+    }
+  },
+  card: {
+    pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+    validate: match => luhnValid(match.replace(/\D/g, ''))
+  }
+};
+
+function asList(value) {
+  if (value == null || value === '') return null;
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+/**
+ * Validate configured rules and compile their patterns. Throws on invalid
+ * entries so a bad config fails at startup (or a dry run gets a 400).
+ *
+ * Rule: { id, detector: 'email'|'phone'|'card' | pattern, flags, action:
+ * 'mask'|'hash'|'drop' (default mask), replacement (mask text, default
+ * "[REDACTED:<id>]"), fields (default message, username, attributes,
+ * payload), org_id, service }.
+ */
+function compileRules(list) {
+  if (!Array.isArray(list)) throw new Error('redaction rules must be an array');
+  const ids = new Set();
+  return list.map((raw, index) => {
+    const rule = raw || {};
+    const id = String(rule.id || rule.detector || '').trim();
+    if (!id) throw new Error(`rule ${index}: id is required`);
+    if (ids.has(id)) throw new Error(`rule ${id}: duplicate id`);
+    ids.add(id);
+
+    let pattern;
+    let validate = null;
+    if (rule.detector) {
+      const detector = DETECTORS[rule.detector];
+      if (!detector) throw new Error(`rule ${id}: unknown detector ${rule.detector}`);
+      if (rule.pattern) throw new Error(`rule ${id}: use either detector or pattern`);
+      pattern = new RegExp(detector.pattern.source, detector.pattern.flags);
+      validate = detector.validate || null;
+    } else if (rule.pattern) {
+      const flags = String(rule.flags || '').replace(/g/g, '');
+      try {
+        pattern = new RegExp(String(rule.pattern), `${flags}g`);
+      } catch (err) {
+        throw new Error(`rule ${id}: invalid pattern: ${err.message}`);
+      }
+    } else {
+      throw new Error(`rule ${id}: detector or pattern is required`);
+    }
+
+    const action = rule.action || 'mask';
+    if (!ACTIONS.includes(action)) throw new Error(`rule ${id}: action must be one of ${ACTIONS.join(', ')}`);
+    const fields = asList(rule.fields) || DEFAULT_FIELDS;
+    const badField = fields.find(field => !FIELDS.includes(field));
+    if (badField) throw new Error(`rule ${id}: unknown field ${badField}`);
+
+    return {
+      id,
+      pattern,
+      validate,
+      action,
+      replacement: rule.replacement != null ? String(rule.replacement) : `[REDACTED:${id}]`,
+      fields,
+      org_id: asList(rule.org_id),
+      service: asList(rule.service)
+    };
+  });
+}
+
+class Redactor {
+  /**
+   * @param {object[]} rules - compiled with compileRules
+   * @param {object} [opts]
+   * @param {string} [opts.hashSalt] - mixed into hashes so they cannot be
+   *   reversed by hashing guessed values
+   */
+  constructor(rules = [], { hashSalt = '' } = {}) {
+    this.rules = rules;
+    this.hashSalt = hashSalt;
+  }
+
+  get enabled() {
+    return this.rules.length > 0;
+  }
+
+  rulesFor(entry) {
+    return this.rules.filter(rule =>
+      (!rule.org_id || rule.org_id.includes(entry.org_id || ''))
+      && (!rule.service || rule.service.includes(entry.service)));
+  }
+
+  replace(rule, text, counter) {
+    rule.pattern.lastIndex = 0;
+    return text.replace(rule.pattern, (match) => {
+      if (rule.validate && !rule.validate(match)) return match;
+      counter.count += 1;
+      if (rule.action === 'drop') return '';
+      if (rule.action === 'hash') {
+        return `[HASH:${createHash('sha256').update(`${this.hashSalt}${match}`).digest('hex').slice(0, 16)}]`;
+      }
+      return rule.replacement;
+    });
+  }
+
+  // String values at any depth; keys are left as they are.
+  redactValue(rule, value, counter) {
+    if (typeof value === 'string') return this.replace(rule, value, counter);
+    if (Array.isArray(value)) return value.map(item => this.redactValue(rule, item, counter));
+    if (value && typeof value === 'object') {
+      const out = {};
+      for (const [key, item] of Object.entries(value)) out[key] = this.redactValue(rule, item, counter);
+      return out;
+    }
+    return value;
+  }
+
+  /**
+   * Apply the rules in scope for the entry.
+   *
+   * @returns {{ entry: object, fired: { rule: string, field: string, count: number }[] }}
+   *   a redacted copy (the input is not modified) and the rules that matched
+   */
+  apply(entry) {
+    const out = { ...entry };
+    const fired = [];
+    for (const rule of this.rulesFor(entry)) {
+      for (const field of rule.fields) {
+        if (out[field] == null) continue;
+        const counter = { count: 0 };
+        out[field] = this.redactValue(rule, out[field], counter);
+        if (counter.count > 0 && REQUIRED_FIELDS.includes(field) && !String(out[field]).trim()) {
+          out[field] = rule.replacement;
+        }
+        if (counter.count > 0) fired.push({ rule: rule.id, field, count: counter.count });
+      }
+    }
+    return { entry: out, fired };
+  }
+
+  /**
+   * Apply the rules in scope for an approval event to everything but its
+   * key fields. Rules scoped to a service do not apply; events have none.
+   *
+   * @returns {{ event: object, fired: { rule: string, field: string, count: number }[] }}
+   */
+  applyEvent(event) {
+    const payload = {};
+    for (const [key, value] of Object.entries(event)) {
+      if (!EVENT_KEY_FIELDS.includes(key)) payload[key] = value;
+    }
+    const { entry, fired } = this.apply({ org_id: event.org_id, payload });
+    return { event: { ...event, ...entry.payload }, fired };
+  }
+}
+
+module.exports = { DETECTORS, compileRules, Redactor, luhnValid };
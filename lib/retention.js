@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Per-table store hooks and the columns an override may be scoped by.
+const RETENTION_TABLES = {
+  agent_logs: {
+    scopeKeys: ['org_id', 'service'],
+    list: 'listExpiredLogEntries',
+    remove: 'deleteLogEntries',
+    keyOf: row => row.id
+  },
+  approval_events: {
+    scopeKeys: ['org_id', 'agent_name'],
+    list: 'listExpiredApprovalEvents',
+    remove: 'deleteApprovalEvents',
+    keyOf: row => row.event_id
+  }
+};
+
+/**
+ * Expand one table's retention config into rules ordered by precedence:
+ * overrides scoped by more columns first, then config order, then the
+ * table default. A row is governed by the first rule whose scope matches.
+ *
+ * @param {object} tableConfig - { days, overrides: [{ org_id, service, days }] }
+ * @param {string[]} scopeKeys - columns an override may be scoped by
+ */
+function buildRetentionRules(tableConfig, scopeKeys) {
+  const overrides = (tableConfig.overrides || []).map((override, index) => {
+    const scope = {};
+    for (const key of Object.keys(override)) {
+      if (key === 'days') continue;
+      if (!scopeKeys.includes(key)) {
+        throw new Error(`retention override scope "${key}" is not supported (allowed: ${scopeKeys.join(', ')})`);
+      }
+      scope[key] = String(override[key]);
+    }
+    if (!Object.keys(scope).length) {
+      throw new Error('retention override needs at least one scope column');
+    }
+    return { scope, days: Number(override.days) || 0, index };
+  });
+  overrides.sort((a, b) => Object.keys(b.scope).length - Object.keys(a.scope).length || a.index - b.index);
+  return [
+    ...overrides.map(({ scope, days }) => ({ scope, days })),
+    { scope: {}, days: Number(tableConfig.days) || 0 }
+  ];
+}
+
+async function appendArchive(filePath, rows) {
+  const lines = rows.map(row => `${JSON.stringify(row)}\n`).join('');
+  // Each batch is its own gzip member; concatenated members are valid gzip.
+  await fs.promises.appendFile(filePath, await gzip(lines));
+}
+
+/**
+ * Archive and delete rows older than their retention rule.
+ *
+ * Rows are exported to `<archiveDir>/<table>-<timestamp>.jsonl.gz` before
+ * each batch is deleted, so a crash never prunes unarchived rows. A rule
+ * with `days` of 0 keeps its scope forever.
+ *
+ * @param {object} opts
+ * @param {object} opts.store - EventLogStore
+ * @param {object} opts.policy - { agent_logs: {...}, approval_events: {...} }
+ * @param {string} opts.archiveDir
+ * @param {boolean} [opts.archive=true] - set false to prune without export
+ * @param {Date} [opts.now]
+ * @param {number} [opts.batchSize=1000]
+ */
+async function runRetention({ store, policy, archiveDir, archive = true, now = new Date(), batchSize = 1000 }) {
+  const startedAt = new Date().toISOString();
+  const stamp = now.toISOString().replace(/[:.]/g, '-');
+  const tables = {};
+
+  for (const [table, spec] of Object.entries(RETENTION_TABLES)) {
+    const tableConfig = policy && policy[table];
+    if (!tableConfig) continue;
+
+    const rules = buildRetentionRules(tableConfig, spec.scopeKeys);
+    const summary = { archived: 0, pruned: 0, archive_file: null };
+    const archivePath = path.join(archiveDir, `${table}-${stamp}.jsonl.gz`);
+
+    for (let i = 0; i < rules.length; i++) {
+      const { scope, days } = rules[i];
+      if (days <= 0) continue;
+      const before = new Date(now.getTime() - days * DAY_MS).toISOString();
+      const exclude = rules.slice(0, i).map(r => r.scope);
+
+      for (;;) {
+        const rows = await store[spec.list]({ before, scope, exclude, limit: batchSize });
+        if (!rows.length) break;
+        if (archive) {
+          await fs.promises.mkdir(archiveDir, { recursive: true });
+          await appendArchive(archivePath, rows);
+          summary.archived += rows.length;
+          summary.archive_file = archivePath;
+        }
+        const { deleted } = await store[spec.remove](rows.map(spec.keyOf));
+        summary.pruned += deleted;
+        if (rows.length < batchSize) break;
+      }
+    }
+    tables[table] = summary;
+  }
+
+  return { started_at: startedAt, finished_at: new Date().toISOString(), tables };
+}
+
+module.exports = { buildRetentionRules, runRetention };
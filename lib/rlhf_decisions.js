@@ -0,0 +1,98 @@
+// Joins approval_request and approval_outcome events into one record per
+// decision point. Other lifecycle events (escalations, comments, ...) ride
+// along in `lifecycle`, oldest first.
+
+function parsePayload(row) {
+  if (!row) return null;
+  if (row.payload_json && typeof row.payload_json === 'object') return row.payload_json;
+  try {
+    return JSON.parse(row.payload_json);
+  } catch (_) {
+    return null;
+  }
+}
+
+function toIso(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+}
+
+/**
+ * Build a decision record from the events of one decision point, as
+ * returned by getApprovalEventsByDecisionPoint (oldest first).
+ * Returns null when the decision point has no approval_request.
+ */
+function buildDecisionRecord(events) {
+  const request = events.find(e => e.event_type === 'approval_request');
+  if (!request) return null;
+  const outcome = events.find(e => e.event_type === 'approval_outcome') || null;
+
+  const requestPayload = parsePayload(request);
+  const outcomePayload = parsePayload(outcome);
+  const requestedAt = toIso(request.created_at);
+  const decidedAt = outcome ? toIso(outcome.created_at) : null;
+  const latencyMs = decidedAt ? Date.parse(decidedAt) - Date.parse(requestedAt) : null;
+  const lifecycle = events
+    .filter(e => e.event_type !== 'approval_request' && e.event_type !== 'approval_outcome')
+    .map(e => ({
+      event_id: e.event_id,
+      event_type: e.event_type,
+      created_at: toIso(e.created_at),
+      payload: parsePayload(e)
+    }));
+
+  return {
+    decision_point_id: request.decision_point_id,
+    org_id: request.org_id,
+    agent_name: request.agent_name,
+    sim_run_id: (requestPayload && requestPayload.sim_run_id) || null,
+    pending: !outcome,
+    requested_at: requestedAt,
+    decided_at: decidedAt,
+    latency_ms: Number.isFinite(latencyMs) ? latencyMs : null,
+    request_event_id: request.event_id,
+    outcome_event_id: outcome ? outcome.event_id : null,
+    request: requestPayload,
+    outcome: outcomePayload,
+    lifecycle
+  };
+}
+
+const decisionKey = (row) => JSON.stringify([row.org_id, row.agent_name, row.decision_point_id]);
+
+/**
+ * Page through approval_request events matching the filters and join each
+ * with its outcome. Paging (limit/offset) counts requests, so
+ * `nextOffset` is null once fewer than `limit` requests came back. A
+ * `status` of 'pending' or 'decided' is applied by the store before paging.
+ *
+ * @param {object} store - EventLogStore
+ * @param {object} opts - queryApprovalEvents filters plus status, limit/offset
+ * @returns {Promise<{ records: object[], nextOffset: number|null }>}
+ */
+async function listDecisionRecords(store, { orgId, agentName, start, end, simRunId, status, limit, offset = 0 }) {
+  const requests = await store.queryApprovalEvents({
+    orgId,
+    agentName,
+    eventType: 'approval_request',
+    decided: status === 'pending' || status === 'decided' ? status === 'decided' : undefined,
+    start,
+    end,
+    simRunId,
+    limit,
+    offset
+  });
+
+  const byDecisionPoint = new Map(requests.map(row => [decisionKey(row), []]));
+  for (const event of await store.getApprovalEventsByDecisionPoints(requests)) {
+    const events = byDecisionPoint.get(decisionKey(event));
+    if (events) events.push(event);
+  }
+  const records = [...byDecisionPoint.values()].map(buildDecisionRecord);
+
+  const nextOffset = typeof limit === 'number' && requests.length >= limit ? offset + requests.length : null;
+  return { records: records.filter(Boolean), nextOffset };
+}
+
+module.exports = { buildDecisionRecord, listDecisionRecords, parsePayload };
@@ -0,0 +1,76 @@
+const { createHash } = require('crypto');
+const { listDecisionRecords } = require('./rlhf_decisions');
+const { decisionValue } = require('./rlhf_stats');
+
+/**
+ * Deterministic train/validation assignment: the same decision_point_id
+ * (and seed) always lands in the same split, across exports and machines.
+ */
+function splitFor(decisionPointId, validationRatio, seed = '') {
+  const digest = createHash('sha256').update(`${seed}:${decisionPointId}`).digest();
+  const fraction = digest.readUInt32BE(0) / 0x100000000;
+  return fraction < validationRatio ? 'validation' : 'train';
+}
+
+/**
+ * Yield complete decision records (request plus human outcome) for export.
+ * Pending decisions are skipped. Records are read one page at a time, so
+ * memory stays constant however large the range is.
+ *
+ * @param {object} store - EventLogStore
+ * @param {object} opts
+ * @param {string} opts.orgId
+ * @param {string} [opts.agentName]
+ * @param {string} [opts.start]
+ * @param {string} [opts.end]
+ * @param {string} [opts.simRunId]
+ * @param {string} [opts.eventVersion] - keep requests with this payload event_version
+ * @param {string} [opts.outcome] - keep this decision value (e.g. "approved")
+ * @param {number} [opts.validationRatio] - when set, tag each record with `split`
+ * @param {string} [opts.split] - keep only "train" or "validation"
+ * @param {string} [opts.splitSeed]
+ */
+async function* exportDecisionRecords(store, {
+  orgId, agentName, start, end, simRunId,
+  eventVersion, outcome, validationRatio, split, splitSeed = '',
+  pageSize = 500
+}) {
+  let offset = 0;
+  for (;;) {
+    const { records, nextOffset } = await listDecisionRecords(store, {
+      orgId, agentName, start, end, simRunId, limit: pageSize, offset
+    });
+    for (const record of records) {
+      if (record.pending) continue;
+      const version = record.request && record.request.event_version != null
+        ? String(record.request.event_version)
+        : null;
+      if (eventVersion && version !== eventVersion) continue;
+      const decision = decisionValue(record.outcome);
+      if (outcome && decision !== outcome) continue;
+
+      const exported = {
+        decision_point_id: record.decision_point_id,
+        org_id: record.org_id,
+        agent_name: record.agent_name,
+        sim_run_id: record.sim_run_id,
+        event_version: version,
+        requested_at: record.requested_at,
+        decided_at: record.decided_at,
+        latency_ms: record.latency_ms,
+        decision,
+        request: record.request,
+        outcome: record.outcome
+      };
+      if (typeof validationRatio === 'number') {
+        exported.split = splitFor(record.decision_point_id, validationRatio, splitSeed);
+        if (split && exported.split !== split) continue;
+      }
+      yield exported;
+    }
+    if (nextOffset == null) return;
+    offset = nextOffset;
+  }
+}
+
+module.exports = { exportDecisionRecords, splitFor };
@@ -0,0 +1,134 @@
+const { listDecisionRecords } = require('./rlhf_decisions');
+
+const BUCKETS = ['hour', 'day', 'week'];
+const DECISION_FIELDS = ['decision', 'outcome', 'status', 'result'];
+const DECISION_ALIASES = {
+  approve: 'approved',
+  approved: 'approved',
+  accept: 'approved',
+  accepted: 'approved',
+  reject: 'rejected',
+  rejected: 'rejected',
+  deny: 'rejected',
+  denied: 'rejected',
+  decline: 'rejected',
+  declined: 'rejected'
+};
+const PERCENTILES = [50, 90, 95, 99];
+
+// Decision value of an outcome payload, e.g. "approved" or "rejected".
+function decisionValue(outcome) {
+  if (!outcome || typeof outcome !== 'object') return 'unknown';
+  for (const field of DECISION_FIELDS) {
+    const value = outcome[field];
+    if (typeof value === 'string' && value.trim()) {
+      const normalized = value.trim().toLowerCase();
+      return DECISION_ALIASES[normalized] || normalized;
+    }
+    if (typeof value === 'boolean') return value ? 'approved' : 'rejected';
+  }
+  return 'unknown';
+}
+
+// Start of the UTC hour/day/ISO week (Monday) containing `iso`.
+function bucketStart(iso, bucket) {
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return null;
+  date.setUTCMinutes(0, 0, 0);
+  if (bucket === 'day' || bucket === 'week') date.setUTCHours(0);
+  if (bucket === 'week') date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString();
+}
+
+// Nearest-rank percentile of an ascending array.
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+function emptyGroup() {
+  return { requests: 0, pending: 0, decided: 0, outcomes: {}, latencies: [] };
+}
+
+function addRecord(group, record) {
+  group.requests += 1;
+  if (record.pending) {
+    group.pending += 1;
+    return;
+  }
+  group.decided += 1;
+  const decision = decisionValue(record.outcome);
+  group.outcomes[decision] = (group.outcomes[decision] || 0) + 1;
+  if (record.latency_ms != null && record.latency_ms >= 0) group.latencies.push(record.latency_ms);
+}
+
+function summarizeGroup(group) {
+  const sorted = group.latencies.sort((a, b) => a - b);
+  const latency = { count: sorted.length, mean: null };
+  if (sorted.length) {
+    latency.mean = Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length);
+  }
+  for (const p of PERCENTILES) latency[`p${p}`] = percentile(sorted, p);
+  return {
+    requests: group.requests,
+    pending: group.pending,
+    decided: group.decided,
+    outcomes: group.outcomes,
+    approval_rate: group.decided ? (group.outcomes.approved || 0) / group.decided : null,
+    latency_ms: latency
+  };
+}
+
+/**
+ * Approval counts and time-to-decision percentiles per agent_name, bucketed
+ * by request time (UTC). Decision records are read page by page so only
+ * counters and latencies are held in memory.
+ *
+ * @param {object} store - EventLogStore
+ * @param {object} opts
+ * @param {string} opts.orgId
+ * @param {string} [opts.agentName] - omit for every agent in the org
+ * @param {string} [opts.start]
+ * @param {string} [opts.end]
+ * @param {string} [opts.simRunId]
+ * @param {boolean} [opts.includeSim=true] - false drops simulated decisions
+ * @param {string} [opts.bucket='day'] - hour, day or week
+ */
+async function computeApprovalStats(store, { orgId, agentName, start, end, simRunId, includeSim = true, bucket = 'day', pageSize = 1000 }) {
+  if (!BUCKETS.includes(bucket)) throw new Error(`invalid bucket: ${bucket}`);
+
+  const buckets = new Map();
+  const totals = new Map();
+  let offset = 0;
+  for (;;) {
+    const { records, nextOffset } = await listDecisionRecords(store, {
+      orgId, agentName, start, end, simRunId, limit: pageSize, offset
+    });
+    for (const record of records) {
+      if (!includeSim && record.sim_run_id) continue;
+      const key = `${bucketStart(record.requested_at, bucket)}\u0000${record.agent_name}`;
+      if (!buckets.has(key)) buckets.set(key, emptyGroup());
+      if (!totals.has(record.agent_name)) totals.set(record.agent_name, emptyGroup());
+      addRecord(buckets.get(key), record);
+      addRecord(totals.get(record.agent_name), record);
+    }
+    if (nextOffset == null) break;
+    offset = nextOffset;
+  }
+
+  return {
+    bucket,
+    buckets: [...buckets.entries()]
+      .map(([key, group]) => {
+        const [bucketStartIso, agent] = key.split('\u0000');
+        return { bucket_start: bucketStartIso, agent_name: agent, ...summarizeGroup(group) };
+      })
+      .sort((a, b) => a.bucket_start.localeCompare(b.bucket_start) || a.agent_name.localeCompare(b.agent_name)),
+    agents: [...totals.entries()]
+      .map(([agent, group]) => ({ agent_name: agent, ...summarizeGroup(group) }))
+      .sort((a, b) => a.agent_name.localeCompare(b.agent_name))
+  };
+}
+
+module.exports = { computeApprovalStats, decisionValue, bucketStart, percentile };
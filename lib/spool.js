@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const { Logger } = require('./logger');
+
+// Write-ahead spool for writes the store could not take. Records are
+// appended (and fsynced) as JSON lines to spool.jsonl; the replayer hands
+// them back in order and records its byte position in spool.offset after
+// each one, truncating both once the spool is empty. A crash between a
+// replayed write and the offset update replays that record again, so
+// replay is at-least-once: approval events are deduplicated by the store,
+// log entries may be written twice.
+//
+// A record the store keeps refusing for a reason other than being
+// unreachable (a constraint violation, a value too long for its column) is
+// moved to spool.dead.jsonl after `maxAttempts` replays, so it cannot hold
+// up the records behind it.
+
+const SPOOL_FILE = 'spool.jsonl';
+const OFFSET_FILE = 'spool.offset';
+const DEAD_LETTER_FILE = 'spool.dead.jsonl';
+
+// Errors that mean the store could not be reached or was busy, as opposed
+// to refusing the data. Only these are worth spooling and retrying.
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EHOSTUNREACH', 'EAI_AGAIN',
+  'PROTOCOL_CONNECTION_LOST', 'PROTOCOL_SEQUENCE_TIMEOUT', 'ER_CON_COUNT_ERROR',
+  'ER_LOCK_WAIT_TIMEOUT', 'ER_LOCK_DEADLOCK', 'ER_SERVER_SHUTDOWN',
+  'SQLITE_BUSY', 'SQLITE_LOCKED', 'SQLITE_IOERR', 'SQLITE_FULL', 'SQLITE_CANTOPEN'
+]);
+
+function isTransientStoreError(err) {
+  if (!err) return false;
+  if (TRANSIENT_ERROR_CODES.has(err.code)) return true;
+  // mysql2 marks errors that broke the connection as fatal.
+  return err.fatal === true;
+}
+
+class SpoolFullError extends Error {
+  constructor(maxBytes) {
+    super(`spool is full (${maxBytes} bytes)`);
+    this.code = 'spool_full';
+  }
+}
+
+class WriteSpool {
+  constructor(dir, {
+    maxBytes = 256 * 1024 * 1024,
+    maxAttempts = 3,
+    isTransient = isTransientStoreError,
+    logger = new Logger()
+  } = {}) {
+    this.dir = dir;
+    this.file = path.join(dir, SPOOL_FILE);
+    this.offsetFile = path.join(dir, OFFSET_FILE);
+    this.deadLetterFile = path.join(dir, DEAD_LETTER_FILE);
+    this.maxBytes = maxBytes;
+    this.maxAttempts = maxAttempts;
+    this.isTransient = isTransient;
+    this.logger = logger;
+    this.deadLetters = 0;
+    // Failed replays of the record at the head: { offset, count }.
+    this.headFailures = null;
+    this.handle = null;
+    this.offset = 0;
+    this.size = 0;
+    this.depth = 0;
+    this.oldestSpooledAt = null;
+    this.lastError = null;
+    this.lastReplayAt = null;
+    this.lock = Promise.resolve();
+    this.replaying = null;
+    this.timer = null;
+  }
+
+  // Serialize appends against truncation.
+  withLock(fn) {
+    const run = this.lock.then(fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  async open() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    this.handle = await fs.promises.open(this.file, 'a+');
+    const { size } = await this.handle.stat();
+    this.size = size;
+    // Drop a record left half-written by a crash mid-append.
+    if (size > 0) {
+      const last = Buffer.alloc(1);
+      await this.handle.read(last, 0, 1, size - 1);
+      if (last[0] !== 0x0a) {
+        const content = await fs.promises.readFile(this.file);
+        this.size = content.lastIndexOf(0x0a) + 1;
+        await this.handle.truncate(this.size);
+        this.logger.error('spool: dropped a partial record', { bytes: size - this.size });
+      }
+    }
+    try {
+      this.offset = Math.min(Number(await fs.promises.readFile(this.offsetFile, 'utf8')) || 0, this.size);
+    } catch (_) {
+      this.offset = 0;
+    }
+    try {
+      const dead = await fs.promises.readFile(this.deadLetterFile, 'utf8');
+      this.deadLetters = dead.split('\n').filter(Boolean).length;
+    } catch (_) {
+      this.deadLetters = 0;
+    }
+    this.depth = 0;
+    for await (const { record } of this.records(this.offset)) {
+      if (this.depth === 0) this.oldestSpooledAt = record.spooled_at;
+      this.depth += 1;
+    }
+    return this;
+  }
+
+  async* records(start) {
+    if (start >= this.size) return;
+    const stream = fs.createReadStream(this.file, { start, end: this.size - 1 });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let position = start;
+    try {
+      for await (const line of lines) {
+        position += Buffer.byteLength(line) + 1;
+        if (!line) continue;
+        yield { record: JSON.parse(line), end: position };
+      }
+    } finally {
+      lines.close();
+      stream.destroy();
+    }
+  }
+
+  /** Durably append one record; throws SpoolFullError past maxBytes. */
+  append(record) {
+    return this.withLock(async () => {
+      const spooledAt = new Date().toISOString();
+      const line = `${JSON.stringify({ ...record, spooled_at: spooledAt })}\n`;
+      const bytes = Buffer.byteLength(line);
+      if (this.size - this.offset + bytes > this.maxBytes) {
+        throw new SpoolFullError(this.maxBytes);
+      }
+      await this.handle.write(line);
+      await this.handle.datasync();
+      this.size += bytes;
+      if (this.depth === 0) this.oldestSpooledAt = spooledAt;
+      this.depth += 1;
+    });
+  }
+
+  /**
+   * Hand spooled records to `handler` in order, stopping at the first one
+   * it throws on (it is retried on the next replay). A record that has
+   * failed `maxAttempts` times with a non-transient error is dead-lettered
+   * and replay carries on past it.
+   *
+   * @returns {Promise<{ replayed: number, remaining: number, dead_lettered: number }>}
+   */
+  replay(handler) {
+    if (!this.replaying) {
+      this.replaying = this.drain(handler).finally(() => { this.replaying = null; });
+    }
+    return this.replaying;
+  }
+
+  async drain(handler) {
+    let replayed = 0;
+    let deadLettered = 0;
+    while (this.offset < this.size) {
+      const before = this.offset;
+      for await (const { record, end } of this.records(this.offset)) {
+        this.oldestSpooledAt = record.spooled_at;
+        try {
+          await handler(record);
+          replayed += 1;
+        } catch (err) {
+          this.lastError = { at: new Date().toISOString(), message: err.message || String(err) };
+          if (this.isTransient(err) || !this.countFailure()) {
+            return { replayed, remaining: this.depth, dead_lettered: deadLettered };
+          }
+          await this.deadLetter(record, err);
+          deadLettered += 1;
+        }
+        this.offset = end;
+        this.depth -= 1;
+        this.headFailures = null;
+        await this.saveOffset();
+      }
+      if (this.offset === before) break;
+    }
+    this.lastReplayAt = new Date().toISOString();
+    if (this.depth === 0) {
+      this.lastError = null;
+      await this.compact();
+    }
+    return { replayed, remaining: this.depth, dead_lettered: deadLettered };
+  }
+
+  // One more failed replay of the head record; true once it has used up
+  // maxAttempts.
+  countFailure() {
+    if (!this.headFailures || this.headFailures.offset !== this.offset) {
+      this.headFailures = { offset: this.offset, count: 0 };
+    }
+    this.headFailures.count += 1;
+    return this.headFailures.count >= this.maxAttempts;
+  }
+
+  async deadLetter(record, err) {
+    const line = `${JSON.stringify({
+      ...record,
+      dead_lettered_at: new Date().toISOString(),
+      error: err.message || String(err)
+    })}\n`;
+    await fs.promises.appendFile(this.deadLetterFile, line);
+    this.deadLetters += 1;
+    this.logger.error('spool: dead-lettered a record', { kind: record.kind, attempts: this.maxAttempts, err });
+  }
+
+  async saveOffset() {
+    const tmp = `${this.offsetFile}.tmp`;
+    await fs.promises.writeFile(tmp, String(this.offset));
+    await fs.promises.rename(tmp, this.offsetFile);
+  }
+
+  // Empty spool: truncate unless an append slipped in meanwhile.
+  compact() {
+    return this.withLock(async () => {
+      if (this.offset < this.size) return;
+      await this.handle.truncate(0);
+      this.size = 0;
+      this.offset = 0;
+      this.oldestSpooledAt = null;
+      await this.saveOffset();
+    });
+  }
+
+  /** Replay every `intervalMs` while anything is spooled. */
+  start(handler, intervalMs) {
+    this.timer = setInterval(() => {
+      if (this.depth === 0 || this.replaying) return;
+      this.replay(handler).then(({ replayed, remaining }) => {
+        if (replayed > 0) {
+          this.logger.info('spool replayed records', { replayed, remaining });
+        }
+      }).catch((err) => {
+        this.logger.error('spool replay failed', { err });
+      });
+    }, intervalMs);
+    this.timer.unref();
+  }
+
+  stats() {
+    return {
+      depth: this.depth,
+      bytes: this.size - this.offset,
+      oldest_spooled_at: this.oldestSpooledAt,
+      last_replay_at: this.lastReplayAt,
+      last_error: this.lastError,
+      dead_letters: this.deadLetters
+    };
+  }
+
+  async close() {
+    if (this.timer) clearInterval(this.timer);
+    if (this.replaying) await this.replaying;
+    await this.lock;
+    if (this.handle) await this.handle.close();
+    this.handle = null;
+  }
+}
+
+module.exports = { WriteSpool, SpoolFullError, isTransientStoreError };
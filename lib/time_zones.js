@@ -0,0 +1,155 @@
+// IANA time zone helpers for read endpoints: formatting event times in a
+// caller-chosen zone and turning wall-clock dates/months in that zone into
+// exact UTC bounds.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// 2026-01-31, 2026-01-31T08:00, 2026-01-31 08:00:00.250, optionally with Z or an offset.
+const DATE_TIME_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+
+const formatters = new Map();
+
+function partsFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    partsFormatter(timeZone);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function zonedParts(date, timeZone) {
+  const out = {};
+  for (const { type, value } of partsFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') out[type] = value;
+  }
+  return out;
+}
+
+/**
+ * "YYYY-MM-DD HH:mm:ss" in `timeZone`. Unparseable strings are returned
+ * as given; empty input is 'unknown'.
+ */
+function formatTimestamp(input, timeZone) {
+  if (!input) return 'unknown';
+  const date = input instanceof Date ? input : new Date(input);
+  if (Number.isNaN(date.getTime())) {
+    return typeof input === 'string' && input.trim() ? input : 'unknown';
+  }
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute}:${p.second}`;
+}
+
+// How far `timeZone` is ahead of UTC at instant `ms`.
+function offsetMs(ms, timeZone) {
+  const p = zonedParts(new Date(ms), timeZone);
+  const asUtc = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day),
+    Number(p.hour), Number(p.minute), Number(p.second));
+  return asUtc - (ms - (((ms % 1000) + 1000) % 1000));
+}
+
+/**
+ * The UTC instant of a wall-clock time in `timeZone`. The offset is
+ * re-read at the first guess so times next to a DST change land right;
+ * a wall time that a spring-forward change skips comes out an hour early.
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const guess = wall - offsetMs(wall, timeZone);
+  return new Date(wall - offsetMs(guess, timeZone));
+}
+
+/**
+ * Parse a start/end parameter. Values with Z or an offset are absolute;
+ * others are wall-clock times in `timeZone`. Returns null when invalid.
+ *
+ * @returns {{ date: Date, fields: object, dateOnly: boolean } | null}
+ */
+function parseZonedDateTime(value, timeZone) {
+  const match = DATE_TIME_RE.exec(String(value || '').trim());
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s, ms, zone] = match;
+  const fields = {
+    year: Number(y),
+    month: Number(mo),
+    day: Number(d),
+    hour: Number(h || 0),
+    minute: Number(mi || 0),
+    second: Number(s || 0),
+    millisecond: ms ? Number(ms.padEnd(3, '0')) : 0
+  };
+  const check = new Date(Date.UTC(fields.year, fields.month - 1, fields.day));
+  if (check.getUTCMonth() !== fields.month - 1 || check.getUTCDate() !== fields.day
+    || fields.hour > 23 || fields.minute > 59 || fields.second > 59) {
+    return null;
+  }
+  const date = zone
+    ? new Date(String(value).trim())
+    : zonedTimeToUtc(fields, timeZone);
+  if (Number.isNaN(date.getTime())) return null;
+  return { date, fields, dateOnly: h === undefined };
+}
+
+/**
+ * UTC bounds [since, until) for an activity query: `start`/`end` when
+ * either is given (a date-only `end` covers that whole day), otherwise
+ * `month` (3-letter) + `year` in `timeZone`.
+ *
+ * @returns {{ since?: string, until?: string } | { error: string }}
+ */
+function resolveDateRange({ month, year, start, end }, timeZone) {
+  if (start || end) {
+    const range = {};
+    if (start) {
+      const parsed = parseZonedDateTime(start, timeZone);
+      if (!parsed) return { error: 'invalid_start' };
+      range.since = parsed.date.toISOString();
+    }
+    if (end) {
+      const parsed = parseZonedDateTime(end, timeZone);
+      if (!parsed) return { error: 'invalid_end' };
+      // Fields past the end of a month roll over (Date.UTC semantics).
+      const until = parsed.dateOnly
+        ? zonedTimeToUtc({ ...parsed.fields, day: parsed.fields.day + 1 }, timeZone)
+        : parsed.date;
+      range.until = until.toISOString();
+    }
+    if (range.since && range.until && range.since >= range.until) return { error: 'invalid_range' };
+    return range;
+  }
+
+  if (!month || !year) return { error: 'month and year are required' };
+  const monthIndex = MONTHS.indexOf(String(month).toLowerCase());
+  const y = Number(year);
+  if (monthIndex === -1) return { error: 'invalid_month' };
+  if (!Number.isInteger(y)) return { error: 'invalid_year' };
+  return {
+    since: zonedTimeToUtc({ year: y, month: monthIndex + 1, day: 1 }, timeZone).toISOString(),
+    until: zonedTimeToUtc({ year: y, month: monthIndex + 2, day: 1 }, timeZone).toISOString()
+  };
+}
+
+module.exports = {
+  isValidTimeZone,
+  formatTimestamp,
+  zonedTimeToUtc,
+  parseZonedDateTime,
+  resolveDateRange
+};
@@ -0,0 +1,294 @@
+const http = require('http');
+const https = require('https');
+const { createHmac, randomBytes } = require('crypto');
+
+const { Logger } = require('./logger');
+const { buildLevelAliases, normalizeLevel } = require('../store/log_levels');
+
+// Webhook subscriptions: matching log entries and RLHF events are coalesced
+// per subscriber, POSTed as one HMAC-signed JSON payload, and retried with
+// exponential backoff. Every delivery is recorded in an in-memory log.
+
+const EVENT_KINDS = ['log', 'rlhf'];
+const FILTER_FIELDS = ['service', 'level', 'org_id', 'message_prefix', 'rlhf_event_type'];
+
+function asList(value) {
+  if (value == null) return null;
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+/**
+ * Validate and fill defaults for configured subscriptions. Throws on
+ * invalid entries so a bad config fails at startup. Level filters are
+ * normalized with the same aliases ingest uses, so they compare equal to
+ * stored levels.
+ * @param {object[]} list
+ * @param {object} [opts]
+ * @param {Map<string, string>} [opts.levelAliases] - from buildLevelAliases
+ */
+function normalizeSubscriptions(list, { levelAliases = buildLevelAliases() } = {}) {
+  const seen = new Set();
+  return (list || []).map((raw, index) => {
+    const id = String((raw && raw.id) || '').trim();
+    if (!id) throw new Error(`webhooks[${index}]: id is required`);
+    if (seen.has(id)) throw new Error(`webhooks[${index}]: duplicate id ${id}`);
+    seen.add(id);
+    let url;
+    try {
+      url = new URL(raw.url);
+    } catch (_) {
+      throw new Error(`webhooks[${index}] (${id}): invalid url`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`webhooks[${index}] (${id}): url must be http or https`);
+    }
+    const events = asList(raw.events) || ['log'];
+    const badKind = events.find(kind => !EVENT_KINDS.includes(kind));
+    if (badKind) throw new Error(`webhooks[${index}] (${id}): unknown event kind ${badKind}`);
+    const filters = {};
+    for (const [field, value] of Object.entries(raw.filters || {})) {
+      if (!FILTER_FIELDS.includes(field)) throw new Error(`webhooks[${index}] (${id}): unknown filter ${field}`);
+      filters[field] = asList(value);
+    }
+    if (filters.level) {
+      filters.level = filters.level.map(value => {
+        const normalized = normalizeLevel(value, levelAliases);
+        if (!normalized) throw new Error(`webhooks[${index}] (${id}): unknown level ${value}`);
+        return normalized.level;
+      });
+    }
+    return {
+      id,
+      url: url.toString(),
+      secret: raw.secret ? String(raw.secret) : null,
+      headers: raw.headers || {},
+      events,
+      filters,
+      coalesce_ms: Number(raw.coalesce_ms ?? 1000),
+      max_events: Number(raw.max_events || 500),
+      max_attempts: Number(raw.max_attempts || 5),
+      backoff_ms: Number(raw.backoff_ms || 1000),
+      timeout_ms: Number(raw.timeout_ms || 5000)
+    };
+  });
+}
+
+function matches(subscription, kind, event) {
+  if (!subscription.events.includes(kind)) return false;
+  const { service, level, org_id: orgIds, message_prefix: prefixes, rlhf_event_type: eventTypes } = subscription.filters;
+  if (orgIds && !orgIds.includes(String(event.org_id || ''))) return false;
+  if (kind === 'log') {
+    if (service && !service.includes(String(event.service || ''))) return false;
+    if (level && !level.includes(String(event.level || '').toLowerCase())) return false;
+    if (prefixes) {
+      const upper = String(event.message || '').trim().toUpperCase();
+      if (!prefixes.some(prefix => upper.startsWith(prefix.toUpperCase()))) return false;
+    }
+  } else if (eventTypes && !eventTypes.includes(String(event.event_type || ''))) {
+    return false;
+  }
+  return true;
+}
+
+function describeEvent(kind, event) {
+  if (kind === 'log') {
+    return {
+      kind,
+      id: event.id ?? null,
+      instance_id: event.instance_id,
+      service: event.service,
+      level: event.level,
+      org_id: event.org_id || '',
+      username: event.username,
+      event_time: event.event_time,
+      message: event.message
+    };
+  }
+  return {
+    kind,
+    event_id: event.event_id,
+    event_type: event.event_type,
+    org_id: event.org_id,
+    agent_name: event.agent_name,
+    decision_point_id: event.decision_point_id,
+    created_at: event.created_at
+  };
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>", hex encoded.
+function signPayload(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function postJson(url, body, headers, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      timeout: timeoutMs
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve({ status: res.statusCode }));
+    });
+    req.on('timeout', () => req.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+class WebhookDispatcher {
+  constructor(subscriptions, {
+    post = postJson,
+    logSize = 500,
+    now = () => new Date(),
+    onSettled = () => {},
+    logger = new Logger()
+  } = {}) {
+    this.subscriptions = subscriptions;
+    this.logger = logger;
+    this.post = post;
+    this.onSettled = onSettled;
+    this.logSize = logSize;
+    this.now = now;
+    this.pending = new Map(subscriptions.map(sub => [sub.id, { events: [], timer: null }]));
+    this.log = [];
+    this.inFlight = new Set();
+    this.timers = new Set();
+  }
+
+  /** Queue an accepted log entry ('log') or appended approval event ('rlhf'). */
+  publish(kind, event) {
+    for (const sub of this.subscriptions) {
+      if (!matches(sub, kind, event)) continue;
+      const queue = this.pending.get(sub.id);
+      queue.events.push(describeEvent(kind, event));
+      if (queue.events.length >= sub.max_events) {
+        this.flush(sub);
+      } else if (!queue.timer) {
+        queue.timer = this.schedule(() => this.flush(sub), sub.coalesce_ms);
+      }
+    }
+  }
+
+  schedule(fn, ms) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fn();
+    }, ms);
+    this.timers.add(timer);
+    return timer;
+  }
+
+  flush(sub) {
+    const queue = this.pending.get(sub.id);
+    if (queue.timer) {
+      clearTimeout(queue.timer);
+      this.timers.delete(queue.timer);
+      queue.timer = null;
+    }
+    if (queue.events.length === 0) return null;
+    const events = queue.events.splice(0, queue.events.length);
+
+    const delivery = {
+      delivery_id: `dlv_${randomBytes(8).toString('hex')}`,
+      subscription_id: sub.id,
+      status: 'pending',
+      event_count: events.length,
+      attempts: 0,
+      created_at: this.now().toISOString(),
+      last_attempt_at: null,
+      response_status: null,
+      error: null
+    };
+    this.record(delivery);
+    const body = JSON.stringify({
+      delivery_id: delivery.delivery_id,
+      subscription_id: sub.id,
+      created_at: delivery.created_at,
+      events
+    });
+    const done = this.attempt(sub, delivery, body);
+    this.inFlight.add(done);
+    done.finally(() => this.inFlight.delete(done));
+    return done;
+  }
+
+  async attempt(sub, delivery, body) {
+    delivery.attempts += 1;
+    delivery.last_attempt_at = this.now().toISOString();
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      ...sub.headers,
+      'X-Webhook-Id': delivery.delivery_id,
+      'X-Webhook-Timestamp': timestamp
+    };
+    if (sub.secret) {
+      headers['X-Webhook-Signature'] = `sha256=${signPayload(sub.secret, timestamp, body)}`;
+    }
+
+    try {
+      const { status } = await this.post(sub.url, body, headers, sub.timeout_ms);
+      delivery.response_status = status;
+      if (status >= 200 && status < 300) {
+        delivery.status = 'delivered';
+        delivery.error = null;
+        this.onSettled(delivery);
+        return delivery;
+      }
+      delivery.error = `HTTP ${status}`;
+    } catch (err) {
+      delivery.response_status = null;
+      delivery.error = err.message || String(err);
+    }
+
+    if (delivery.attempts >= sub.max_attempts) {
+      delivery.status = 'failed';
+      this.logger.error('webhook delivery failed', {
+        subscription: sub.id,
+        delivery_id: delivery.delivery_id,
+        attempts: delivery.attempts,
+        error: delivery.error
+      });
+      this.onSettled(delivery);
+      return delivery;
+    }
+    delivery.status = 'retrying';
+    const delay = sub.backoff_ms * 2 ** (delivery.attempts - 1);
+    await new Promise(resolve => this.schedule(resolve, delay));
+    return this.attempt(sub, delivery, body);
+  }
+
+  record(delivery) {
+    this.log.push(delivery);
+    if (this.log.length > this.logSize) this.log.shift();
+  }
+
+  /** Most recent deliveries first, optionally for one subscription or status. */
+  deliveries({ subscriptionId, status, limit = 100 } = {}) {
+    return this.log
+      .filter(d => !subscriptionId || d.subscription_id === subscriptionId)
+      .filter(d => !status || d.status === status)
+      .slice(-limit)
+      .reverse()
+      .map(d => ({ ...d }));
+  }
+
+  describe() {
+    return this.subscriptions.map(({ secret, headers, ...sub }) => ({
+      ...sub,
+      signed: Boolean(secret),
+      header_names: Object.keys(headers),
+      queued_events: this.pending.get(sub.id).events.length
+    }));
+  }
+
+  /** Send whatever is queued now and wait for in-flight deliveries. */
+  async drain() {
+    for (const sub of this.subscriptions) this.flush(sub);
+    await Promise.all([...this.inFlight]);
+  }
+}
+
+module.exports = { WebhookDispatcher, normalizeSubscriptions, signPayload };
@@ -0,0 +1,94 @@
+// Group commit for single log entries: concurrent appends are gathered and
+// written with one appendLogEntries call (one transaction) when `maxBatch`
+// rows are waiting or `maxDelayMs` after the first one arrived, whichever
+// comes first. Each caller's promise settles only once its batch has
+// committed. One batch is written at a time; rows arriving meanwhile form
+// the next one.
+//
+// When the store refuses a batch for its data (a constraint violation, a
+// value too long for its column) the rows are retried one by one, so only
+// the caller of the bad row sees the error. A store that is down or busy
+// fails the whole batch.
+
+const { isTransientStoreError } = require('./spool');
+
+class GroupCommitWriter {
+  constructor(store, { maxBatch = 200, maxDelayMs = 2, isTransient = isTransientStoreError } = {}) {
+    this.store = store;
+    this.isTransient = isTransient;
+    this.maxBatch = maxBatch;
+    this.maxDelayMs = maxDelayMs;
+    this.queue = [];
+    this.timer = null;
+    this.writing = null;
+    this.stats = { batches: 0, rows: 0, largest_batch: 0 };
+  }
+
+  /**
+   * Queue one entry for the next batch.
+   *
+   * @returns {Promise<{ id: number }>} resolved after the batch commits;
+   *   rejected with the store error if the store is unavailable (every row
+   *   in the batch fails) or refuses this entry.
+   */
+  append(entry) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ entry, resolve, reject });
+      if (this.queue.length >= this.maxBatch) {
+        this.flush();
+      } else if (!this.timer && !this.writing) {
+        this.timer = setTimeout(() => this.flush(), this.maxDelayMs);
+      }
+    });
+  }
+
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    // The batch in flight picks the rest up when it finishes.
+    if (this.writing || this.queue.length === 0) return;
+    const batch = this.queue.splice(0, this.maxBatch);
+    this.writing = this.write(batch).finally(() => {
+      this.writing = null;
+      if (this.queue.length > 0) this.flush();
+    });
+  }
+
+  async write(batch) {
+    try {
+      const { ids = [] } = (await this.store.appendLogEntries(batch.map(item => item.entry))) || {};
+      this.stats.batches += 1;
+      this.stats.rows += batch.length;
+      this.stats.largest_batch = Math.max(this.stats.largest_batch, batch.length);
+      batch.forEach((item, i) => item.resolve({ id: ids[i] }));
+    } catch (err) {
+      if (batch.length === 1 || this.isTransient(err)) {
+        batch.forEach(item => item.reject(err));
+        return;
+      }
+      await this.writeOneByOne(batch);
+    }
+  }
+
+  async writeOneByOne(batch) {
+    for (const item of batch) {
+      try {
+        item.resolve(await this.store.appendLogEntry(item.entry));
+      } catch (err) {
+        item.reject(err);
+      }
+    }
+  }
+
+  /** Write everything queued and wait for it. */
+  async drain() {
+    while (this.queue.length > 0 || this.writing) {
+      this.flush();
+      await this.writing;
+    }
+  }
+}
+
+module.exports = { GroupCommitWriter };
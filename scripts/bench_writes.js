@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+// Throughput of single-entry log appends with and without group commit.
+// "direct" calls store.appendLogEntry, one transaction per entry, as
+// /api/log does with the pipeline off; "group commit" goes through
+// GroupCommitWriter and appendLogEntries.
+//
+//   node scripts/bench_writes.js [--rows 5000] [--concurrency 100] [--max-batch 200] [--max-delay-ms 2]
+//
+// SQLite runs against a temporary file. MySQL runs too when
+// MYSQL_BENCH_DATABASE names a disposable database with the Alembic schema
+// applied (MYSQL_BENCH_HOST/PORT/USER/PASSWORD as for the server); its
+// agent_logs table is emptied before each run.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SqliteEventLogStore } = require('../store/sqlite_event_log_store');
+const { MysqlEventLogStore } = require('../store/mysql_event_log_store');
+const { GroupCommitWriter } = require('../lib/write_pipeline');
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : Number(process.argv[index + 1]);
+}
+
+const ROWS = option('rows', 5000);
+const CONCURRENCY = option('concurrency', 100);
+const MAX_BATCH = option('max-batch', 200);
+const MAX_DELAY_MS = option('max-delay-ms', 2);
+
+function makeEntry(n) {
+  const now = new Date().toISOString();
+  return {
+    instance_id: `bench-${n % 50}`,
+    service: 'bench',
+    level: 'info',
+    message: `bench message ${n}`,
+    username: 'bench',
+    org_id: '',
+    event_time: now,
+    created_at: now
+  };
+}
+
+// CONCURRENCY workers, each awaiting one append at a time, like that many
+// agents each waiting on their HTTP response.
+async function run(append) {
+  const latencies = [];
+  let next = 0;
+  const started = process.hrtime.bigint();
+  await Promise.all(Array.from({ length: CONCURRENCY }, async () => {
+    while (next < ROWS) {
+      const entry = makeEntry(next++);
+      const t0 = process.hrtime.bigint();
+      await append(entry);
+      latencies.push(Number(process.hrtime.bigint() - t0) / 1e6);
+    }
+  }));
+  const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+  latencies.sort((a, b) => a - b);
+  const pct = p => latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * p))];
+  return {
+    rows_per_sec: Math.round(ROWS / seconds),
+    p50_ms: Number(pct(0.5).toFixed(2)),
+    p99_ms: Number(pct(0.99).toFixed(2))
+  };
+}
+
+// Each mode gets a fresh store (an empty table) so neither pays for the
+// other's rows.
+async function bench(name, openStore) {
+  const results = [];
+  for (const mode of ['direct', 'group commit']) {
+    const { store, close } = await openStore();
+    try {
+      if (mode === 'direct') {
+        results.push([mode, await run(entry => store.appendLogEntry(entry)), '']);
+      } else {
+        const writer = new GroupCommitWriter(store, { maxBatch: MAX_BATCH, maxDelayMs: MAX_DELAY_MS });
+        const result = await run(entry => writer.append(entry));
+        results.push([mode, result, ` (${writer.stats.batches} batches, largest ${writer.stats.largest_batch})`]);
+      }
+    } finally {
+      await close();
+    }
+  }
+  for (const [mode, result, note] of results) {
+    console.log(`${name.padEnd(7)} ${mode.padEnd(13)} ${JSON.stringify(result)}${note}`);
+  }
+}
+
+async function main() {
+  console.log(`rows=${ROWS} concurrency=${CONCURRENCY} max_batch=${MAX_BATCH} max_delay_ms=${MAX_DELAY_MS}`);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-log-bench-'));
+  let seq = 0;
+  try {
+    await bench('sqlite', async () => {
+      const store = new SqliteEventLogStore(path.join(dir, `bench-${seq++}.sqlite`));
+      await store.init();
+      return { store, close: () => new Promise(resolve => store.db.close(resolve)) };
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  if (process.env.MYSQL_BENCH_DATABASE) {
+    await bench('mysql', async () => {
+      const store = new MysqlEventLogStore({
+        host: process.env.MYSQL_BENCH_HOST || '127.0.0.1',
+        port: parseInt(process.env.MYSQL_BENCH_PORT || '3306', 10),
+        database: process.env.MYSQL_BENCH_DATABASE,
+        user: process.env.MYSQL_BENCH_USER || 'amp_user',
+        password: process.env.MYSQL_BENCH_PASSWORD || ''
+      });
+      await store.init();
+      await store.pool.query('DELETE FROM agent_logs');
+      return { store, close: () => store.pool.end() };
+    });
+  } else {
+    console.log('mysql   skipped (set MYSQL_BENCH_DATABASE to include it)');
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -3,10 +3,32 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const lockfile = require('proper-lockfile');
-const http = require('http');
-const { createHash } = require('crypto');
+const { EventEmitter, once } = require('events');
+const { createHash, randomUUID } = require('crypto');
 const { SqliteEventLogStore } = require('./store/sqlite_event_log_store');
 const { MysqlEventLogStore } = require('./store/mysql_event_log_store');
+const { MemoryEventLogStore } = require('./store/memory_event_log_store');
+const { runRetention } = require('./lib/retention');
+const { isValidAttributeKey } = require('./store/log_entry_fields');
+const { parseStateChange } = require('./store/instance_fields');
+const { isValidTimeZone, formatTimestamp, resolveDateRange } = require('./lib/time_zones');
+const { buildApprovalEventTypes } = require('./store/approval_event_types');
+const { buildLevelAliases, normalizeLevel } = require('./store/log_levels');
+const { otlpToLogBodies } = require('./lib/otlp_logs');
+const { encodeCursor, decodeCursor } = require('./lib/log_cursor');
+const { listDecisionRecords } = require('./lib/rlhf_decisions');
+const { computeApprovalStats } = require('./lib/rlhf_stats');
+const { exportDecisionRecords } = require('./lib/rlhf_export');
+const { ApprovalEventSchemaRegistry } = require('./lib/approval_event_schemas');
+const { ApiKeyResolver, generateApiKey, normalizeScopes } = require('./lib/api_keys');
+const { IngestLimiter } = require('./lib/ingest_limits');
+const { WebhookDispatcher, normalizeSubscriptions } = require('./lib/webhooks');
+const { WriteSpool, isTransientStoreError } = require('./lib/spool');
+const { GroupCommitWriter } = require('./lib/write_pipeline');
+const { MetricsRegistry, instrumentStore } = require('./lib/metrics');
+const { EventLogStore } = require('./store/event_log_store');
+const { Logger, DEFAULT_REDACT } = require('./lib/logger');
+const { Redactor, compileRules } = require('./lib/pii_redaction');
 
 // Lightweight .env loader (avoids extra dependency). Load local .env then
 // fall back to backend/.env so both services can share the trigger secret.
@@ -57,6 +79,11 @@ function getPacificMonthYear(date) {
   return { month, year };
 }
 
+// In-process fan-out of accepted log entries to live /api/log/stream clients.
+const logEvents = new EventEmitter();
+logEvents.setMaxListeners(0);
+const STREAM_HEARTBEAT_MS = parseInt(process.env.LOG_STREAM_HEARTBEAT_MS || '15000', 10);
+
 // Debounce mechanism
 let debounceBuffer = [];
 let debounceTimer = null;
@@ -85,12 +112,154 @@ const isProduction = ['production'].includes(String(NODE_ENV).toLowerCase())
   || ['production'].includes(String(AMP_ENV).toLowerCase());
 const REQUIRE_AUTH = process.env.LOG_AGENT_REQUIRE_AUTH === '1' || isProduction;
 const BODY_LIMIT = process.env.BODY_LIMIT || config.body_limit || '64kb';
+const BATCH_MAX_ENTRIES = parseInt(process.env.LOG_BATCH_MAX_ENTRIES || config.batch_max_entries || '500', 10);
+const ATTRIBUTES_MAX_BYTES = parseInt(process.env.LOG_ATTRIBUTES_MAX_BYTES || config.attributes_max_bytes || '8192', 10);
+const TRACE_CONTEXT_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
+// Process log: "internal_log": { level, format: "text" | "json", redact: [field, ...] }.
+// redact replaces the default list of masked field names (lib/logger.js).
+const internalLogConfig = config.internal_log || {};
+let log;
+try {
+  log = new Logger({
+    level: process.env.LOG_AGENT_LOG_LEVEL || internalLogConfig.level || 'info',
+    format: process.env.LOG_AGENT_LOG_FORMAT || internalLogConfig.format || 'text',
+    redact: process.env.LOG_AGENT_LOG_REDACT
+      ? process.env.LOG_AGENT_LOG_REDACT.split(',').map(name => name.trim()).filter(Boolean)
+      : (internalLogConfig.redact || DEFAULT_REDACT)
+  });
+} catch (err) {
+  console.error(`[FATAL] Invalid internal_log config: ${err.message}`);
+  process.exit(1);
+}
+// Incoming X-Request-Id values are reused when they look like an id.
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Time zone for read endpoints that are not given ?tz= (IANA name).
+const DEFAULT_TIMEZONE = process.env.LOG_DEFAULT_TZ || config.default_tz || 'America/Los_Angeles';
+if (!isValidTimeZone(DEFAULT_TIMEZONE)) {
+  console.error(`[FATAL] Invalid default time zone: ${DEFAULT_TIMEZONE}`);
+  process.exit(1);
+}
+
+// Retention: per-table `days` plus optional org_id/service (agent_logs) or
+// org_id/agent_name (approval_events) overrides. Unset days keeps rows forever.
+const retentionConfig = config.retention || {};
+const RETENTION_POLICY = {
+  agent_logs: {
+    ...(retentionConfig.agent_logs || {}),
+    days: Number(process.env.LOG_RETENTION_AGENT_LOGS_DAYS || (retentionConfig.agent_logs || {}).days || 0)
+  },
+  approval_events: {
+    ...(retentionConfig.approval_events || {}),
+    days: Number(process.env.LOG_RETENTION_APPROVAL_EVENTS_DAYS || (retentionConfig.approval_events || {}).days || 0)
+  }
+};
+const RETENTION_INTERVAL_MINUTES = Number(process.env.LOG_RETENTION_INTERVAL_MINUTES || retentionConfig.interval_minutes || 0);
+const RETENTION_ARCHIVE = retentionConfig.archive !== false;
+
+// Strict tenant isolation: every log read and write is scoped to one org,
+// and rows logged without an org_id are no longer visible to any tenant.
+const TENANT_ISOLATION = (process.env.LOG_TENANT_ISOLATION || config.tenant_isolation || 'off') === 'strict';
+
+// Spool: log entries and approval events the store rejects are written to
+// LOG_DIR/spool and replayed in order. "spool": { enabled, dir, max_bytes, replay_interval_ms, max_attempts }.
+const spoolConfig = config.spool || {};
+const SPOOL_ENABLED = process.env.LOG_SPOOL !== 'off' && spoolConfig.enabled !== false;
+const SPOOL_DIR = process.env.LOG_SPOOL_DIR || spoolConfig.dir || path.join(LOG_DIR, 'spool');
+const SPOOL_REPLAY_INTERVAL_MS = parseInt(process.env.LOG_SPOOL_REPLAY_INTERVAL_MS || spoolConfig.replay_interval_ms || '5000', 10);
+const spool = SPOOL_ENABLED
+  ? new WriteSpool(SPOOL_DIR, {
+    maxBytes: Number(spoolConfig.max_bytes || 256 * 1024 * 1024),
+    maxAttempts: parseInt(process.env.LOG_SPOOL_MAX_ATTEMPTS || spoolConfig.max_attempts || '3', 10),
+    logger: log
+  })
+  : null;
+
+// PII redaction on ingestion: "redaction": { rules: [...], hash_salt }; see lib/pii_redaction.js.
+const redactionConfig = config.redaction || {};
+const REDACTION_HASH_SALT = process.env.LOG_REDACTION_HASH_SALT || redactionConfig.hash_salt || '';
+let redactor;
+try {
+  redactor = new Redactor(compileRules(redactionConfig.rules || []), { hashSalt: REDACTION_HASH_SALT });
+} catch (err) {
+  console.error(`[FATAL] Invalid redaction config: ${err.message}`);
+  process.exit(1);
+}
+
+// Ingestion limits: "ingest_limits": { org_id|service|instance_id: { rate, burst, daily_quota }, overrides }.
+const ingestLimiter = new IngestLimiter(config.ingest_limits || {});
+
+// Approval event payloads are validated against schemas/approval_events/<event_type>/<event_version>.json.
+// RLHF_SCHEMA_MODE: enforce (reject with 400), warn (log and accept) or off.
+const RLHF_SCHEMA_DIR = process.env.RLHF_SCHEMA_DIR || config.rlhf_schema_dir || path.join(__dirname, 'schemas', 'approval_events');
+const RLHF_SCHEMA_MODE = process.env.RLHF_SCHEMA_MODE || config.rlhf_schema_mode || 'enforce';
+const approvalEventSchemas = ApprovalEventSchemaRegistry.fromDirectory(RLHF_SCHEMA_DIR);
+
+// Approval event types beyond the defaults are declared in config.json as
+// "rlhf_event_types": { "<event_type>": { "cardinality": "single" | "multi" } }.
+let approvalEventTypes;
+try {
+  approvalEventTypes = buildApprovalEventTypes(config.rlhf_event_types || {});
+} catch (err) {
+  console.error(`[FATAL] Invalid rlhf_event_types config: ${err.message}`);
+  process.exit(1);
+}
+
+// Prometheus metrics served on GET /metrics. LOG_METRICS_REQUIRE_KEY=1 (or
+// "metrics_require_key": true) puts the endpoint behind the internal key.
+const METRICS_REQUIRE_KEY = process.env.LOG_METRICS_REQUIRE_KEY === '1' || config.metrics_require_key === true;
+const metrics = new MetricsRegistry();
+const ingestedEntriesMetric = metrics.counter('log_agent_ingested_entries_total',
+  'Log entries accepted for writing.', ['service', 'level', 'org_id']);
+const httpRequestsMetric = metrics.counter('log_agent_http_requests_total',
+  'HTTP responses by route and status code.', ['method', 'route', 'status']);
+const storeMetrics = {
+  writes: metrics.histogram('log_agent_store_write_duration_seconds',
+    'Store write latency by backend method.', ['backend', 'method']),
+  queries: metrics.histogram('log_agent_store_query_duration_seconds',
+    'Store query latency by backend method.', ['backend', 'method']),
+  errors: metrics.counter('log_agent_store_errors_total',
+    'Store calls that threw, by backend method.', ['backend', 'method'])
+};
+const rlhfAppendsMetric = metrics.counter('log_agent_rlhf_appends_total',
+  'Approval events appended, by event_type and result (inserted or duplicate).', ['event_type', 'result']);
+const webhookDeliveriesMetric = metrics.counter('log_agent_webhook_deliveries_total',
+  'Settled webhook deliveries by subscription (amp-refresh is the AMP refresh trigger) and result.', ['subscription', 'result']);
+const redactionsMetric = metrics.counter('log_agent_redactions_total',
+  'Values replaced by PII redaction rules, by rule and field.', ['rule', 'field']);
+const debugFlushesMetric = metrics.counter('log_agent_debug_flushes_total',
+  'Debug JSONL buffer flushes by result.', ['result']);
+const debugFlushedEntriesMetric = metrics.counter('log_agent_debug_flushed_entries_total',
+  'Entries written by debug JSONL buffer flushes.');
+const debugFlushDurationMetric = metrics.histogram('log_agent_debug_flush_duration_seconds',
+  'Debug JSONL buffer flush latency.');
+metrics.gauge('log_agent_spool_dead_letters', 'Records moved to the spool dead-letter file.',
+  () => (spool ? spool.deadLetters : 0));
+metrics.gauge('log_agent_debug_buffer_entries', 'Entries waiting in the debug JSONL buffer.',
+  () => debounceBuffer.length);
+
+// Level names beyond the built-in aliases are declared in config.json as
+// "level_aliases": { "<alias>": "trace" | "debug" | "info" | "warn" | "error" | "fatal" }.
+let levelAliases;
+try {
+  levelAliases = buildLevelAliases(config.level_aliases || {});
+} catch (err) {
+  console.error(`[FATAL] Invalid level_aliases config: ${err.message}`);
+  process.exit(1);
+}
 
 // DB_BACKEND switch: set LOG_DB_BACKEND=sqlite to roll back to SQLite instantly.
+// LOG_DB_BACKEND=memory keeps everything in-process (development only).
 const DB_BACKEND = process.env.LOG_DB_BACKEND || 'mysql';
 let eventLogStore;
 if (DB_BACKEND === 'sqlite') {
-  eventLogStore = new SqliteEventLogStore(DB_PATH);
+  eventLogStore = new SqliteEventLogStore(DB_PATH, { eventTypes: approvalEventTypes });
+} else if (DB_BACKEND === 'memory') {
+  if (isProduction) {
+    console.error('[FATAL] LOG_DB_BACKEND=memory is not allowed in production.');
+    process.exit(1);
+  }
+  eventLogStore = new MemoryEventLogStore({ eventTypes: approvalEventTypes });
 } else {
   eventLogStore = new MysqlEventLogStore({
     host: process.env.MYSQL_HOST || '127.0.0.1',
@@ -98,55 +267,63 @@ if (DB_BACKEND === 'sqlite') {
     database: process.env.MYSQL_DATABASE || 'amp',
     user: process.env.MYSQL_USER || 'amp_user',
     password: process.env.MYSQL_PASSWORD || '',
-  });
+  }, { eventTypes: approvalEventTypes });
 }
+instrumentStore(eventLogStore, DB_BACKEND, storeMetrics,
+  Object.getOwnPropertyNames(EventLogStore.prototype).filter(name => name !== 'constructor' && name !== 'init'));
+
+// Single-entry writes are group-committed: "write_pipeline": { enabled, max_batch, max_delay_ms }.
+const writePipelineConfig = config.write_pipeline || {};
+const logWriter = process.env.LOG_WRITE_PIPELINE !== 'off' && writePipelineConfig.enabled !== false
+  ? new GroupCommitWriter(eventLogStore, {
+    maxBatch: parseInt(process.env.LOG_WRITE_PIPELINE_MAX_BATCH || writePipelineConfig.max_batch || '200', 10),
+    maxDelayMs: parseInt(process.env.LOG_WRITE_PIPELINE_MAX_DELAY_MS || writePipelineConfig.max_delay_ms || '2', 10)
+  })
+  : null;
+
+const API_KEY_CACHE_TTL_MS = parseInt(process.env.LOG_API_KEY_CACHE_TTL_MS || config.api_key_cache_ttl_ms || '60000', 10);
+const apiKeyResolver = new ApiKeyResolver(eventLogStore, { ttlMs: API_KEY_CACHE_TTL_MS });
 
 if (isProduction && !LOG_AGENT_SECRET) {
   console.error('[FATAL] log-agent requires LOG_AGENT_SECRET in production.');
   process.exit(1);
 }
 
-// Function to call AMP refresh API
-function triggerAmpRefresh() {
-  const postData = JSON.stringify({});
-  const options = {
-    hostname: 'localhost',
-    port: 5000,
-    path: '/api/amp/trigger-refresh',
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Content-Length': Buffer.byteLength(postData)
-    }
-  };
-
+// Webhook subscribers are declared in config.json as "webhooks": [...].
+// Without that key the AMP backend's refresh endpoint is the only subscriber,
+// which is what the hard-coded refresh call used to do.
+function defaultWebhooks() {
   const triggerSecret = process.env.AMP_TRIGGER_SECRET;
-  if (triggerSecret) {
-    options.headers['X-AMP-Trigger-Key'] = triggerSecret;
-  }
-
-  const req = http.request(options, (res) => {
-    // Success - no need to log anything
-  });
+  return [{
+    id: 'amp-refresh',
+    url: process.env.AMP_REFRESH_URL || 'http://localhost:5000/api/amp/trigger-refresh',
+    secret: triggerSecret || null,
+    headers: triggerSecret ? { 'X-AMP-Trigger-Key': triggerSecret } : {},
+    events: ['log']
+  }];
+}
 
-  req.on('error', (err) => {
-    console.error(`AMP refresh API error: ${err.message}`);
+let webhooks;
+try {
+  webhooks = new WebhookDispatcher(normalizeSubscriptions(config.webhooks || defaultWebhooks(), { levelAliases }), {
+    logSize: parseInt(process.env.LOG_WEBHOOK_LOG_SIZE || config.webhook_log_size || '500', 10),
+    onSettled: (delivery) => webhookDeliveriesMetric.inc({ subscription: delivery.subscription_id, result: delivery.status }),
+    logger: log
   });
-
-  req.write(postData);
-  req.end();
+} catch (err) {
+  console.error(`[FATAL] Invalid webhooks config: ${err.message}`);
+  process.exit(1);
 }
+logEvents.on('entry', (entry) => webhooks.publish('log', entry));
 
 // Function to flush debounced log entries
 async function flushLogBuffer() {
   if (!LOG_JSONL_DEBUG) return;
-  console.log('[DEBUG] flushLogBuffer called, buffer length:', debounceBuffer.length);
   if (debounceBuffer.length === 0) return;
 
   const entries = [...debounceBuffer];
   const logFilePath = entries[0].logFilePath; // All entries should have same file path
   const logText = entries.map(entry => entry.line).join('');
-  console.log(`[DEBUG] Flushing ${entries.length} entries to: ${logFilePath}`);
 
   debounceBuffer = [];
   if (debounceTimer) {
@@ -154,26 +331,45 @@ async function flushLogBuffer() {
     debounceTimer = null;
   }
 
+  const flushTimer = debugFlushDurationMetric.startTimer({});
   try {
     // Ensure file exists before locking
     if (!fs.existsSync(logFilePath)) {
-      console.log('[DEBUG] Creating new log file:', logFilePath);
       fs.writeFileSync(logFilePath, '');
     }
-    console.log('[DEBUG] Acquiring file lock...');
     const release = await lockfile.lock(logFilePath, { retries: 5, realpath: false });
-    console.log('[DEBUG] Lock acquired, writing log text');
     fs.appendFileSync(logFilePath, logText);
-    console.log('[DEBUG] Log written, releasing lock');
     await release();
-    console.log('[DEBUG] Lock released');
-    console.log('[DEBUG] Flush completed successfully');
+    log.debug('debug buffer flushed', { entries: entries.length, file: logFilePath });
+    debugFlushesMetric.inc({ result: 'ok' });
+    debugFlushedEntriesMetric.inc({}, entries.length);
   } catch (err) {
-    console.error(`[ERROR] Failed to write log (debounced):`, err);
-    console.error('[ERROR] Stack:', err.stack);
+    log.error('debug buffer flush failed', { entries: entries.length, file: logFilePath, err });
+    debugFlushesMetric.inc({ result: 'error' });
+  } finally {
+    flushTimer();
   }
 }
 
+// Request ids: reuse a well-formed X-Request-Id, else mint one; echoed on the
+// response and bound to req.log.
+app.use((req, res, next) => {
+  const incoming = String(req.headers['x-request-id'] || '');
+  req.id = REQUEST_ID_RE.test(incoming) ? incoming : randomUUID();
+  req.log = log.child({ request_id: req.id });
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
+// Counted by the matched route pattern so ids in paths do not add series.
+app.use((req, res, next) => {
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    httpRequestsMetric.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+});
+
 app.use(express.json({ limit: BODY_LIMIT }));
 // Optional: custom error response for payload too large
 app.use((err, req, res, next) => {
@@ -183,7 +379,42 @@ app.use((err, req, res, next) => {
   return next(err);
 });
 
-function requireLogAgentAuth(req, res) {
+// Issued per-org API keys: Authorization: Bearer <key> or X-API-Key.
+function presentedApiKey(req) {
+  const authorization = String(req.headers.authorization || '');
+  if (/^bearer\s+/i.test(authorization)) return authorization.replace(/^bearer\s+/i, '').trim();
+  return String(req.headers['x-api-key'] || '').trim();
+}
+
+// Authenticates the request for `scope` and records the caller on req.auth:
+// { key_id, org_id, scopes } for an API key, { internal: true } for the
+// shared LOG_AGENT_SECRET. An API key is checked whenever one is presented;
+// otherwise the shared secret is only required when REQUIRE_AUTH is on.
+// Returns true when a response has already been sent.
+async function requireLogAgentAuth(req, res, scope) {
+  req.auth = null;
+  const apiKey = presentedApiKey(req);
+  if (apiKey) {
+    let record;
+    try {
+      record = await apiKeyResolver.resolve(apiKey);
+    } catch (err) {
+      req.log.error('API key lookup failed', { err });
+      res.status(500).json({ error: 'auth_lookup_failed' });
+      return true;
+    }
+    if (!record) {
+      res.status(401).json({ error: 'invalid_api_key' });
+      return true;
+    }
+    if (!record.scopes.includes(scope)) {
+      res.status(403).json({ error: 'insufficient_scope', required: scope });
+      return true;
+    }
+    req.auth = { key_id: record.key_id, org_id: record.org_id, scopes: record.scopes };
+    return false;
+  }
+
   if (!REQUIRE_AUTH) return false;
   if (!LOG_AGENT_SECRET) {
     res.status(500).json({ error: 'log_agent_secret_missing' });
@@ -194,7 +425,7 @@ function requireLogAgentAuth(req, res) {
     if (process.env.LOG_AGENT_DEBUG_AUTH === '1') {
       const expectedHash = LOG_AGENT_SECRET ? createHash('sha256').update(String(LOG_AGENT_SECRET)).digest('hex') : 'missing';
       const providedHash = provided ? createHash('sha256').update(String(provided)).digest('hex') : 'missing';
-      console.warn('[LOG_AGENT][AUTH_DEBUG] invalid_log_agent_key', {
+      req.log.warn('auth debug: invalid_log_agent_key', {
         expected_len: LOG_AGENT_SECRET ? String(LOG_AGENT_SECRET).length : 0,
         provided_len: provided ? String(provided).length : 0,
         expected_hash: expectedHash,
@@ -204,154 +435,608 @@ function requireLogAgentAuth(req, res) {
     res.status(401).json({ error: 'invalid_log_agent_key' });
     return true;
   }
+  req.auth = { internal: true };
+  return false;
+}
+
+// The org a request may touch. API keys pin it to their org (naming another
+// org is a 403); the internal key and open dev access use the org the request
+// names, which strict tenant isolation makes mandatory. Returns { orgId } or
+// { error, status }.
+function resolveOrgId(req, requested) {
+  const bound = req.auth && req.auth.org_id;
+  if (bound && requested && requested !== bound) return { error: 'org_id_mismatch', status: 403 };
+  const orgId = bound || requested || '';
+  if (!orgId && TENANT_ISOLATION) return { error: 'org_id_required', status: 400 };
+  return { orgId };
+}
+
+// Admin routes always require the internal key, even outside production.
+function requireAdminAuth(req, res) {
+  if (!LOG_AGENT_SECRET) {
+    res.status(500).json({ error: 'log_agent_secret_missing' });
+    return true;
+  }
+  const provided = req.headers['x-amp-internal-key'];
+  if (!provided || provided !== LOG_AGENT_SECRET) {
+    res.status(401).json({ error: 'invalid_log_agent_key' });
+    return true;
+  }
   return false;
 }
 
 // Ensure log directory exists (sync is fine during startup)
 fs.mkdirSync(LOG_DIR, { recursive: true });
-console.log(`[LOG_AGENT] log_dir=${LOG_DIR}`);
-console.log(`[LOG_AGENT] db_path=${DB_PATH}`);
+log.info('log-agent configured', { log_dir: LOG_DIR, db_backend: DB_BACKEND, db_path: DB_PATH });
 
-app.post('/api/log', async (req, res) => {
-  console.log('[DEBUG] /api/log received request');
-  console.log('[DEBUG] Request body:', JSON.stringify(req.body, null, 2));
+// Sanitize inputs to keep one-line logs
+const clean = (v) => String(v ?? '').replace(/[\r\n]+/g, ' ').trim();
 
-  const { service, level = 'info', message, timestamp, instance_id, username, org_id } = req.body;
-  // Sanitize helper first so we can validate instance_id after trimming
-  const clean = (v) => String(v ?? '').replace(/[\r\n]+/g, ' ').trim();
+// Validates a raw /api/log body and maps it onto an agent_logs row.
+// Returns { error } when a required field is missing.
+function normalizeLogEntry(body) {
+  const {
+    service, level, message, timestamp, instance_id, username, org_id,
+    attributes, trace_id, span_id
+  } = body || {};
 
   // Validate required fields including top-level instance_id and username
   const instanceId = clean(instance_id);
   const userName = clean(username);
-  console.log('[DEBUG] Parsed fields:', { service, level, instanceId, userName, hasMessage: !!message });
 
   if (!service || !message || !instanceId || !userName) {
-    console.error('[ERROR] Missing required fields:', { service: !!service, message: !!message, instanceId: !!instanceId, userName: !!userName });
-    return res.status(400).json({ error: 'Missing required fields: service, message, instance_id, username' });
+    return { error: 'Missing required fields: service, message, instance_id, username' };
+  }
+  // A missing or null level is info; anything else must be a known name.
+  const severity = normalizeLevel(level == null ? 'info' : level, levelAliases);
+  if (!severity) {
+    return { error: `Invalid level: ${clean(level)}` };
+  }
+  if (attributes != null) {
+    if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+      return { error: 'attributes must be a JSON object' };
+    }
+    const badKey = Object.keys(attributes).find(key => !isValidAttributeKey(key));
+    if (badKey !== undefined) {
+      return { error: `Invalid attribute key: ${badKey}` };
+    }
+    if (Buffer.byteLength(JSON.stringify(attributes)) > ATTRIBUTES_MAX_BYTES) {
+      return { error: `attributes exceed ${ATTRIBUTES_MAX_BYTES} bytes` };
+    }
+  }
+  for (const [field, value] of [['trace_id', trace_id], ['span_id', span_id]]) {
+    if (value != null && value !== '' && !TRACE_CONTEXT_ID_RE.test(String(value))) {
+      return { error: `Invalid ${field}` };
+    }
   }
   const dateObj = timestamp ? new Date(timestamp) : new Date();
   const isValidDate = !isNaN(dateObj.getTime());
   const safeDate = isValidDate ? dateObj : new Date();
   const eventTime = isValidDate ? safeDate.toISOString() : new Date().toISOString();
 
-  // Sanitize inputs to keep one-line logs
-  const cleanMessage = clean(message);
-
-  try {
-    await eventLogStore.appendLogEntry({
+  return {
+    safeDate,
+    entry: {
       instance_id: instanceId,
       service,
-      level,
-      message: cleanMessage,
+      level: severity.level,
+      severity: severity.severity,
+      message: clean(message),
       username: userName,
       event_time: eventTime,
       created_at: new Date().toISOString(),
-      org_id: org_id || ''
-    });
+      org_id: org_id || '',
+      trace_id: trace_id ? String(trace_id) : null,
+      span_id: span_id ? String(span_id) : null,
+      attributes: attributes || null
+    }
+  };
+}
+
+// Runs the redaction rules in scope for the entry; `redacted` lists the
+// rules that fired ({ rule, field, count }).
+function redactEntry(normalized) {
+  if (!redactor.enabled) return normalized;
+  const { entry, fired } = redactor.apply(normalized.entry);
+  for (const { rule, field, count } of fired) redactionsMetric.inc({ rule, field }, count);
+  return { ...normalized, entry, redacted: fired };
+}
+
+function redactEvent(event) {
+  if (!redactor.enabled) return event;
+  const { event: redacted, fired } = redactor.applyEvent(event);
+  for (const { rule, field, count } of fired) redactionsMetric.inc({ rule, field }, count);
+  return redacted;
+}
+
+// normalizeLogEntry plus the caller's org binding: API key callers write
+// into their own org whatever the body says, and may not name another.
+// Redaction runs last, once the org its rules are scoped by is known.
+function normalizeEntryFor(req, body) {
+  const normalized = normalizeLogEntry(body);
+  if (normalized.error) {
+    req.log.warn('log entry rejected', { error: normalized.error });
+    return normalized;
+  }
+  const { orgId, error, status } = resolveOrgId(req, normalized.entry.org_id);
+  if (error) return { error, status };
+  normalized.entry.org_id = orgId;
+  return redactEntry(normalized);
+}
+
+// Charges entries against the ingest limits. Returns null when they may be
+// written, else the refusal ({ error, dimension, org_id, key, retry_after }).
+function ingestLimitRefusal(entries) {
+  if (!ingestLimiter.enabled || entries.length === 0) return null;
+  const verdict = ingestLimiter.take(entries);
+  return verdict.allowed ? null : verdict;
+}
+
+function sendLimitRefusal(res, { error, dimension, org_id, key, retry_after }) {
+  res.set('Retry-After', String(retry_after));
+  return res.status(429).json({ error, dimension, org_id, key, retry_after });
+}
+
+// Queue an accepted entry for the optional JSONL debug file.
+async function bufferDebugEntry(entry, safeDate) {
+  if (!LOG_JSONL_DEBUG) return;
+  const monthNames = ['jan','feb','mar','apr','may','jun','jul','aug','sep','oct','nov','dec'];
+  const { month: pacificMonth, year: pacificYear } = getPacificMonthYear(safeDate);
+  const mmm = pacificMonth || monthNames[safeDate.getMonth()];
+  const yyyy = pacificYear || String(safeDate.getFullYear());
+  const logFileName = `amp-${mmm}-${yyyy}.jsonl`;
+  const logFilePath = path.join(LOG_DIR, logFileName);
+
+  const debugEntry = {
+    ts: entry.event_time,
+    service: entry.service,
+    level: entry.level,
+    message: entry.message,
+    instance_id: entry.instance_id,
+    username: entry.username
+  };
+  const line = `${JSON.stringify(debugEntry)}\n`;
+  debounceBuffer.push({ logFilePath, line });
+
+  if (debounceBuffer.length >= MAX_BUFFER_SIZE) {
+    await flushLogBuffer();
+  } else {
+    if (debounceTimer) {
+      clearTimeout(debounceTimer);
+    }
+    debounceTimer = setTimeout(flushLogBuffer, DEBOUNCE_DELAY);
+  }
+}
+
+app.post('/api/log', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'log:write')) return;
+  req.log.debug('/api/log received request', { body: req.body });
+
+  const { error, status, entry, safeDate, redacted } = normalizeEntryFor(req, req.body);
+  if (error) {
+    return res.status(status || 400).json({ error });
+  }
+  const refusal = ingestLimitRefusal([entry]);
+  if (refusal) {
+    return sendLimitRefusal(res, refusal);
+  }
+
+  let outcome;
+  try {
+    outcome = await ingestAcceptedEntries([{ entry, safeDate }]);
   } catch (err) {
-    console.error('[ERROR] Failed to write log entry to SQLite:', err);
+    req.log.error('failed to write log entry', { err });
     return res.status(500).json({ error: 'log_write_failed' });
   }
 
-  if (LOG_JSONL_DEBUG) {
-    const monthNames = ['jan','feb','mar','apr','may','jun','jul','aug','sep','oct','nov','dec'];
-    const { month: pacificMonth, year: pacificYear } = getPacificMonthYear(safeDate);
-    const mmm = pacificMonth || monthNames[safeDate.getMonth()];
-    const yyyy = pacificYear || String(safeDate.getFullYear());
-    const logFileName = `amp-${mmm}-${yyyy}.jsonl`;
-    const logFilePath = path.join(LOG_DIR, logFileName);
+  const report = redacted && redacted.length ? { redacted } : {};
+  if (outcome.spooled) {
+    return res.status(202).json({ ok: true, spooled: true, ...report });
+  }
+  res.json({ ok: true, ...report });
+});
 
-    const debugEntry = {
-      ts: eventTime,
-      service,
-      level,
-      message: cleanMessage,
-      instance_id: instanceId,
-      username: userName
-    };
-    const line = `${JSON.stringify(debugEntry)}\n`;
-    debounceBuffer.push({ logFilePath, line });
-    console.log(`[DEBUG] Debug buffer size: ${debounceBuffer.length}/${MAX_BUFFER_SIZE}`);
+function appendOne(entry) {
+  return logWriter ? logWriter.append(entry) : eventLogStore.appendLogEntry(entry);
+}
+
+// Apply one write to the store and fan it out to live streams and webhooks.
+// Used for direct writes and for spool replay, so both behave the same.
+async function applyWrite(record) {
+  if (record.kind === 'log_entries') {
+    const written = record.entries.length === 1
+      ? { ids: [((await appendOne(record.entries[0])) || {}).id] }
+      : await eventLogStore.appendLogEntries(record.entries);
+    const ids = (written && written.ids) || [];
+    record.entries.forEach((entry, i) => logEvents.emit('entry', { ...entry, id: ids[i] }));
+    return written;
+  }
+  if (record.kind === 'approval_event') {
+    const result = await eventLogStore.insertApprovalEvent(record.event);
+    rlhfAppendsMetric.inc({ event_type: record.event.event_type, result: result.inserted ? 'inserted' : 'duplicate' });
+    if (result.inserted) {
+      webhooks.publish('rlhf', record.event);
+    }
+    return result;
+  }
+  throw new Error(`unknown spool record kind: ${record.kind}`);
+}
 
-    if (debounceBuffer.length >= MAX_BUFFER_SIZE) {
-      console.log('[DEBUG] Debug buffer full, flushing immediately');
-      await flushLogBuffer();
+// Write through to the store, or spool the write when the store is
+// unreachable or busy. While anything is spooled new writes queue behind
+// it, so replay keeps ingestion order. Errors where the store refused the
+// data are thrown, as are all errors when the spool is off or full.
+async function writeOrSpool(record) {
+  if (spool && spool.depth > 0) {
+    await spool.append(record);
+    return { spooled: true };
+  }
+  try {
+    return { spooled: false, result: await applyWrite(record) };
+  } catch (err) {
+    if (!spool || !isTransientStoreError(err)) throw err;
+    log.error('store write failed, spooling', { kind: record.kind, err });
+    await spool.append(record);
+    return { spooled: true };
+  }
+}
+
+// Write already-validated entries in one transaction (or spool them), then
+// pass them to the debug buffer.
+async function ingestAcceptedEntries(accepted) {
+  if (accepted.length === 0) return { spooled: false };
+  const outcome = await writeOrSpool({ kind: 'log_entries', entries: accepted.map(a => a.entry) });
+  for (const { entry } of accepted) {
+    ingestedEntriesMetric.inc({ service: entry.service, level: entry.level, org_id: entry.org_id });
+  }
+
+  for (const { entry, safeDate } of accepted) {
+    await bufferDebugEntry(entry, safeDate);
+  }
+  return outcome;
+}
+
+// POST /api/log/batch  { entries: [...] } or a bare array
+// Each entry is validated like /api/log; valid entries are written in one
+// transaction and rejected ones are reported by index.
+app.post('/api/log/batch', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'log:write')) return;
+  const items = Array.isArray(req.body) ? req.body : (req.body && req.body.entries);
+  req.log.debug('/api/log/batch received request', { entries: Array.isArray(items) ? items.length : 'invalid' });
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'entries_required' });
+  }
+  if (items.length > BATCH_MAX_ENTRIES) {
+    return res.status(413).json({ error: 'batch_too_large', limit: BATCH_MAX_ENTRIES });
+  }
+
+  const results = [];
+  const accepted = [];
+  items.forEach((item, index) => {
+    const { error, entry, safeDate, redacted } = normalizeEntryFor(req, item);
+    if (error) {
+      results.push({ index, status: 'rejected', error });
     } else {
-      if (debounceTimer) {
-        clearTimeout(debounceTimer);
-      }
-      console.log(`[DEBUG] Starting debug debounce timer (${DEBOUNCE_DELAY}ms)`);
-      debounceTimer = setTimeout(flushLogBuffer, DEBOUNCE_DELAY);
+      results.push({ index, status: 'accepted', ...(redacted && redacted.length ? { redacted } : {}) });
+      accepted.push({ entry, safeDate });
     }
+  });
+
+  // Limits apply to the batch as a whole: either every valid entry fits or
+  // none is written.
+  const refusal = ingestLimitRefusal(accepted.map(a => a.entry));
+  if (refusal) {
+    return sendLimitRefusal(res, refusal);
   }
 
-  triggerAmpRefresh();
-  console.log('[DEBUG] Responding with ok: true');
-  res.json({ ok: true });
-});
+  let outcome;
+  try {
+    outcome = await ingestAcceptedEntries(accepted);
+  } catch (err) {
+    req.log.error('failed to write log batch', { entries: accepted.length, err });
+    return res.status(500).json({ error: 'log_write_failed' });
+  }
 
-app.get('/health', (req, res) => {
-  res.json({ ok: true });
+  res.status(outcome.spooled ? 202 : 200).json({
+    ok: true,
+    ...(outcome.spooled ? { spooled: true } : {}),
+    accepted: accepted.length,
+    rejected: results.length - accepted.length,
+    results
+  });
 });
 
-// GET /api/log/progress-all?instance_id=...
-// Returns all log records for a given instance_id from SQLite
-function formatPacificTimestamp(input) {
-  if (!input) return 'unknown';
-  let date;
+// POST /v1/logs — OTLP/HTTP JSON log export. Records are mapped onto
+// agent_logs (see lib/otlp_logs.js) and validated like /api/log; invalid
+// records are reported through partialSuccess as the OTLP spec requires.
+app.post('/v1/logs', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'log:write')) return;
+  if (!req.is('application/json')) {
+    return res.status(415).json({ code: 3, message: 'Only OTLP/HTTP JSON (application/json) is supported' });
+  }
+
+  let bodies;
+  let rejected;
   try {
-    date = typeof input === 'string' ? new Date(input) : input;
-  } catch (_) {
-    return String(input);
-  }
-  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
-    return typeof input === 'string' && input.trim() ? input : 'unknown';
-  }
-  const formatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: 'America/Los_Angeles',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false,
+    ({ bodies, rejected } = otlpToLogBodies(req.body, { levelAliases }));
+  } catch (err) {
+    return res.status(400).json({ code: 3, message: err.message });
+  }
+  req.log.debug('/v1/logs received request', { records: bodies.length + rejected.length });
+
+  const accepted = [];
+  const errors = rejected.map(r => `${r.record}: ${r.error}`);
+  bodies.forEach((body, index) => {
+    const { error, entry, safeDate } = normalizeEntryFor(req, body);
+    if (error) {
+      errors.push(`record ${index}: ${error}`);
+    } else {
+      accepted.push({ entry, safeDate });
+    }
   });
-  const parts = formatter.formatToParts(date);
-  const valueOf = (type) => {
-    const part = parts.find((p) => p.type === type);
-    return part ? part.value : '';
-  };
-  return `${valueOf('year')}-${valueOf('month')}-${valueOf('day')} ${valueOf('hour')}:${valueOf('minute')}:${valueOf('second')}`;
+
+  // RESOURCE_EXHAUSTED; OTLP exporters retry 429 after Retry-After.
+  const refusal = ingestLimitRefusal(accepted.map(a => a.entry));
+  if (refusal) {
+    res.set('Retry-After', String(refusal.retry_after));
+    return res.status(429).json({ code: 8, message: `${refusal.error}: ${refusal.dimension} ${refusal.key}` });
+  }
+
+  try {
+    await ingestAcceptedEntries(accepted);
+  } catch (err) {
+    req.log.error('failed to write OTLP logs', { records: accepted.length, err });
+    return res.status(503).json({ code: 14, message: 'log_write_failed' });
+  }
+
+  if (errors.length === 0) {
+    return res.json({});
+  }
+  return res.json({
+    partialSuccess: {
+      rejectedLogRecords: errors.length,
+      errorMessage: errors.slice(0, 10).join('; ')
+    }
+  });
+});
+
+// GET /api/instances?state=&service=&org_id=&stale_minutes=&min_level=&limit=
+// Instance registry, most recently seen first. stale_minutes keeps
+// instances not heard from for at least that long (e.g. state=active&stale_minutes=30).
+app.get('/api/instances', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'log:read')) return;
+  const optional = (key) => String(req.query[key] || '').trim() || undefined;
+  const org = resolveOrgId(req, optional('org_id'));
+  if (org.error) {
+    return res.status(org.status).json({ error: org.error });
+  }
+  let staleBefore;
+  if (req.query.stale_minutes !== undefined) {
+    const minutes = Number(req.query.stale_minutes);
+    if (!Number.isFinite(minutes) || minutes < 0) {
+      return res.status(400).json({ error: 'invalid_stale_minutes' });
+    }
+    staleBefore = new Date(Date.now() - minutes * 60 * 1000).toISOString();
+  }
+  const { min_severity, error: minLevelError } = parseMinLevel(req.query);
+  if (minLevelError) {
+    return res.status(400).json({ error: minLevelError });
+  }
+  const limitRaw = Number(req.query.limit);
+  const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(Math.floor(limitRaw), 1), 1000) : 200;
+
+  try {
+    const instances = await eventLogStore.listInstances({
+      org_id: org.orgId || undefined,
+      include_unscoped: !TENANT_ISOLATION,
+      state: optional('state') && optional('state').toLowerCase(),
+      service: optional('service'),
+      stale_before: staleBefore,
+      min_severity,
+      limit
+    });
+    return res.json({ ok: true, instances });
+  } catch (e) {
+    req.log.error('/api/instances failed', { err: e });
+    return res.status(500).json({ error: 'instances_query_failed' });
+  }
+});
+
+// GET /api/instances/:instance_id[?org_id=...]
+app.get('/api/instances/:instance_id', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'log:read')) return;
+  const org = resolveOrgId(req, String(req.query.org_id || '').trim());
+  if (org.error) {
+    return res.status(org.status).json({ error: org.error });
+  }
+  try {
+    const instance = await eventLogStore.getInstance(req.params.instance_id, {
+      org_id: org.orgId || undefined,
+      include_unscoped: !TENANT_ISOLATION
+    });
+    if (!instance) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    return res.json({ ok: true, instance });
+  } catch (e) {
+    req.log.error('/api/instances/:instance_id failed', { err: e });
+    return res.status(500).json({ error: 'instances_query_failed' });
+  }
+});
+
+// GET /api/log/usage[?org_id=...]
+// Ingest limit usage per org, service and instance for the current UTC day.
+// API key callers see their own org; the internal key may omit org_id.
+app.get('/api/log/usage', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'log:read')) return;
+  const org = resolveOrgId(req, String(req.query.org_id || '').trim());
+  if (org.error) {
+    return res.status(org.status).json({ error: org.error });
+  }
+  const { day, usage } = ingestLimiter.usage({ orgId: org.orgId || null });
+  return res.json({ ok: true, enabled: ingestLimiter.enabled, day, usage });
+});
+
+app.get('/health', (req, res) => {
+  res.json({ ok: true, spool: spool ? spool.stats() : null });
+});
+
+// GET /metrics — Prometheus text format.
+app.get('/metrics', (req, res) => {
+  if (METRICS_REQUIRE_KEY && requireAdminAuth(req, res)) return;
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.render());
+});
+
+// ?min_level=<level or alias> for read endpoints: { min_severity } (undefined
+// when absent) or { error }.
+function parseMinLevel(query) {
+  const raw = String(query.min_level || '').trim();
+  if (!raw) return {};
+  const normalized = normalizeLevel(raw, levelAliases);
+  if (!normalized) return { error: 'invalid_min_level' };
+  return { min_severity: normalized.severity };
+}
+
+// ?tz=<IANA name> for read endpoints; DEFAULT_TIMEZONE when absent.
+function parseTimeZone(query) {
+  const tz = String(query.tz || '').trim();
+  if (!tz) return { tz: DEFAULT_TIMEZONE };
+  if (!isValidTimeZone(tz)) return { error: 'invalid_tz' };
+  return { tz };
 }
 
-function serializeEntries(entries) {
+// Each entry is [ts, message]; entries carrying trace context or attributes
+// get a third element { trace_id, span_id, attributes }.
+function serializeEntries(entries, tz) {
   if (!Array.isArray(entries)) return [];
   return entries.map((entry) => {
-    const ts = formatPacificTimestamp(entry.event_time || entry.ts || entry.raw_ts || entry.raw);
+    const ts = formatTimestamp(entry.event_time || entry.ts || entry.raw_ts || entry.raw, tz);
     const message = entry.message || '';
-    return [ts, message];
+    if (!entry.trace_id && !entry.span_id && !entry.attributes) {
+      return [ts, message];
+    }
+    return [ts, message, {
+      trace_id: entry.trace_id || null,
+      span_id: entry.span_id || null,
+      attributes: entry.attributes || null
+    }];
   });
 }
 
-async function collectLogEntries(instanceId, filterFn) {
-  const entries = await eventLogStore.listLogEntries(instanceId);
+// Attribute filters from the query string: attr.<key>=value or attr[key]=value.
+// Returns { error } for keys that cannot be used in a JSON path.
+function parseAttributeFilters(query) {
+  const filters = {};
+  const nested = query.attr && typeof query.attr === 'object' ? query.attr : {};
+  for (const [key, value] of Object.entries(nested)) {
+    filters[key] = value;
+  }
+  for (const [param, value] of Object.entries(query)) {
+    if (param.startsWith('attr.')) filters[param.slice(5)] = value;
+  }
+  for (const [key, value] of Object.entries(filters)) {
+    if (!isValidAttributeKey(key) || typeof value !== 'string') {
+      return { error: 'invalid_attribute_filter', key };
+    }
+  }
+  return { filters };
+}
+
+const DEFAULT_PAGE_LIMIT = 1000;
+const MAX_PAGE_LIMIT = 5000;
+
+// limit/cursor/since/until for paged log reads. `paged` is false when the
+// caller asked for neither limit nor cursor (legacy unbounded responses).
+function parsePageParams(query) {
+  const out = { paged: false, limit: undefined, after: undefined, since: undefined, until: undefined };
+  for (const key of ['since', 'until']) {
+    const raw = String(query[key] || '').trim();
+    if (!raw) continue;
+    const date = new Date(raw);
+    if (Number.isNaN(date.getTime())) return { error: `invalid_${key}` };
+    out[key] = date.toISOString();
+  }
+  const cursorRaw = String(query.cursor || '').trim();
+  if (cursorRaw) {
+    out.after = decodeCursor(cursorRaw);
+    if (!out.after) return { error: 'invalid_cursor' };
+  }
+  const limitRaw = Number(query.limit);
+  if (query.limit !== undefined && !Number.isFinite(limitRaw)) return { error: 'invalid_limit' };
+  if (query.limit !== undefined || cursorRaw) {
+    out.paged = true;
+    out.limit = Number.isFinite(limitRaw)
+      ? Math.min(Math.max(Math.floor(limitRaw), 1), MAX_PAGE_LIMIT)
+      : DEFAULT_PAGE_LIMIT;
+  }
+  return out;
+}
+
+// Stores are asked for one extra row to learn whether another page exists.
+function splitPage(rows, limit) {
+  if (typeof limit !== 'number' || rows.length <= limit) {
+    return { rows, nextCursor: null };
+  }
+  const pageRows = rows.slice(0, limit);
+  return { rows: pageRows, nextCursor: encodeCursor(pageRows[pageRows.length - 1]) };
+}
+
+function isHitlEntry(entry) {
+  const upper = String(entry.message || '').trim().toUpperCase();
+  return upper.startsWith('[HITL]') || upper.startsWith('[HITL-PROGRESS]');
+}
+
+async function collectLogEntries(instanceId, filterFn, opts = {}) {
+  const entries = await eventLogStore.listLogEntries(instanceId, opts);
   if (!filterFn) return entries;
   return entries.filter(filterFn);
 }
 
 app.get('/api/log/activity', async (req, res) => {
-  const month = String(req.query.month || '').trim().toLowerCase();
-  const year = String(req.query.year || '').trim();
+  if (await requireLogAgentAuth(req, res, 'log:read')) return;
   const username = String(req.query.username || '').trim() || undefined;
-  const org_id = String(req.query.org_id || '').trim() || undefined;
+  const org = resolveOrgId(req, String(req.query.org_id || '').trim());
+  if (org.error) {
+    return res.status(org.status).json({ error: org.error });
+  }
+  const org_id = org.orgId || undefined;
+  const { tz, error: tzError } = parseTimeZone(req.query);
+  if (tzError) {
+    return res.status(400).json({ error: tzError });
+  }
+  const { min_severity, error: minLevelError } = parseMinLevel(req.query);
+  if (minLevelError) {
+    return res.status(400).json({ error: minLevelError });
+  }
 
-  if (!month || !year) {
-    return res.status(400).json({ error: 'month and year are required' });
+  // start/end, or month+year, in tz; bounds are exact in that zone.
+  const range = resolveDateRange({
+    month: String(req.query.month || '').trim(),
+    year: String(req.query.year || '').trim(),
+    start: String(req.query.start || '').trim(),
+    end: String(req.query.end || '').trim()
+  }, tz);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const pageParams = parsePageParams(req.query);
+  if (pageParams.error) {
+    return res.status(400).json({ error: pageParams.error });
   }
+  const { paged, limit, after } = pageParams;
+  // since/until narrow the range further; ISO strings compare in time order.
+  const since = [range.since, pageParams.since].filter(Boolean).sort().pop();
+  const until = [range.until, pageParams.until].filter(Boolean).sort().shift();
 
   try {
-    const rows = await eventLogStore.queryActivityByMonth({ month, year, username, org_id });
+    const fetched = await eventLogStore.queryActivity({
+      username, org_id, min_severity, since, until, after,
+      include_unscoped: !TENANT_ISOLATION,
+      limit: paged ? limit + 1 : undefined
+    });
+    const { rows, nextCursor } = splitPage(fetched, paged ? limit : undefined);
     const records = [];
     for (const row of rows) {
       const msg = String(row.message || '');
@@ -362,9 +1047,8 @@ app.get('/api/log/activity', async (req, res) => {
       let status = 'activity';
       let action = msg;
 
-      if (msg.includes('state - ')) {
-        const payload = msg.split('state - ')[1] || '';
-        const token = (payload.split(/\s/)[0] || '').toLowerCase();
+      const token = parseStateChange(msg);
+      if (token !== null) {
         if (token === 'aborted') {
           status = 'abort';
         } else if (token === 'done') {
@@ -379,59 +1063,267 @@ app.get('/api/log/activity', async (req, res) => {
       }
 
       records.push({
-        datetime: formatPacificTimestamp(row.event_time),
+        datetime: formatTimestamp(row.event_time, tz),
         agent_id: row.instance_id,
         status,
         action,
         username: row.username || null,
       });
     }
+    // Paged callers get an envelope; without limit/cursor the legacy array is kept.
+    // [PROGRESS] rows are dropped after paging, so a page may hold fewer records.
+    if (paged) {
+      return res.json({ records, next_cursor: nextCursor });
+    }
     return res.json(records);
   } catch (e) {
-    console.error('[ERROR] /api/log/activity failed:', e.message || e);
+    req.log.error('/api/log/activity failed', { err: e });
     return res.status(500).json({ error: 'activity_query_failed', detail: e && e.message ? e.message : String(e) });
   }
 });
 
+// GET /api/log/search?q=...&service=&level=&org_id=&username=&start=&end=&tz=&limit=&offset=
+// Full-text search over log messages, newest first, with highlighted snippets.
+// start/end are read like activity's: event_time in [start, end), in tz.
+app.get('/api/log/search', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'log:read')) return;
+  const query = String(req.query.q || '').trim();
+  if (!query) {
+    return res.status(400).json({ error: 'query_required' });
+  }
+  const DEFAULT_SEARCH_LIMIT = 50;
+  const MAX_SEARCH_LIMIT = 500;
+  const limitRaw = Number(req.query.limit);
+  const offsetRaw = Number(req.query.offset);
+  const limit = Number.isFinite(limitRaw)
+    ? Math.min(Math.max(Math.floor(limitRaw), 1), MAX_SEARCH_LIMIT)
+    : DEFAULT_SEARCH_LIMIT;
+  const offset = Number.isFinite(offsetRaw) && offsetRaw > 0
+    ? Math.floor(offsetRaw)
+    : 0;
+  const optional = (key) => String(req.query[key] || '').trim() || undefined;
+  const org = resolveOrgId(req, optional('org_id'));
+  if (org.error) {
+    return res.status(org.status).json({ error: org.error });
+  }
+  const level = optional('level') && normalizeLevel(optional('level'), levelAliases);
+  if (level === null) {
+    return res.status(400).json({ error: 'invalid_level' });
+  }
+  const { min_severity, error: minLevelError } = parseMinLevel(req.query);
+  if (minLevelError) {
+    return res.status(400).json({ error: minLevelError });
+  }
+  const { tz, error: tzError } = parseTimeZone(req.query);
+  if (tzError) {
+    return res.status(400).json({ error: tzError });
+  }
+  const range = optional('start') || optional('end')
+    ? resolveDateRange({ start: optional('start'), end: optional('end') }, tz)
+    : {};
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  try {
+    await flushLogBuffer();
+    const rows = await eventLogStore.searchLogEntries({
+      query,
+      service: optional('service'),
+      level: level ? level.level : undefined,
+      min_severity,
+      org_id: org.orgId || undefined,
+      include_unscoped: !TENANT_ISOLATION,
+      username: optional('username'),
+      start: range.since,
+      end: range.until,
+      limit,
+      offset
+    });
+    const results = rows.map(row => ({
+      id: row.id,
+      datetime: formatTimestamp(row.event_time, tz),
+      event_time: row.event_time,
+      instance_id: row.instance_id,
+      service: row.service,
+      level: row.level,
+      username: row.username || null,
+      org_id: row.org_id || null,
+      message: row.message,
+      snippet: row.snippet
+    }));
+    const nextOffset = rows.length >= limit ? offset + rows.length : null;
+    return res.json({ ok: true, results, next_offset: nextOffset });
+  } catch (e) {
+    req.log.error('/api/log/search failed', { err: e });
+    return res.status(500).json({ error: 'search_failed', detail: e && e.message ? e.message : String(e) });
+  }
+});
+
 app.get('/api/log/progress-all', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'log:read')) return;
   const instanceId = String(req.query.instance_id || req.query.id || '').trim();
   if (!instanceId) {
     return res.status(400).json({ error: 'instance_id_required' });
   }
+  const org = resolveOrgId(req, String(req.query.org_id || '').trim());
+  if (org.error) {
+    return res.status(org.status).json({ error: org.error });
+  }
+  const { error: attrError, key: attrKey, filters: attributes } = parseAttributeFilters(req.query);
+  if (attrError) {
+    return res.status(400).json({ error: attrError, key: attrKey });
+  }
+  const pageParams = parsePageParams(req.query);
+  if (pageParams.error) {
+    return res.status(400).json({ error: pageParams.error });
+  }
+  const { paged, limit, after, since, until } = pageParams;
+  const { tz, error: tzError } = parseTimeZone(req.query);
+  if (tzError) {
+    return res.status(400).json({ error: tzError });
+  }
+  const { min_severity, error: minLevelError } = parseMinLevel(req.query);
+  if (minLevelError) {
+    return res.status(400).json({ error: minLevelError });
+  }
 
   try {
     await flushLogBuffer();
-    const entries = await collectLogEntries(instanceId);
-    return res.json({ instance_id: instanceId, progress: serializeEntries(entries) });
+    const fetched = await collectLogEntries(instanceId, null, {
+      org_id: org.orgId || undefined, include_unscoped: !TENANT_ISOLATION, attributes, min_severity, since, until, after,
+      limit: paged ? limit + 1 : undefined
+    });
+    const { rows: entries, nextCursor } = splitPage(fetched, paged ? limit : undefined);
+    return res.json({ instance_id: instanceId, progress: serializeEntries(entries, tz), next_cursor: nextCursor });
   } catch (e) {
-    console.error('[ERROR] progress-all failed:', e.message || e);
+    req.log.error('progress-all failed', { err: e });
     return res.status(500).json({ error: 'progress_all_failed', detail: e && e.message ? e.message : String(e) });
   }
 });
 
 app.get('/api/log/hitl-progress', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'log:read')) return;
   const instanceId = String(req.query.instance_id || req.query.id || '').trim();
   if (!instanceId) {
     return res.status(400).json({ error: 'instance_id_required' });
   }
+  const org = resolveOrgId(req, String(req.query.org_id || '').trim());
+  if (org.error) {
+    return res.status(org.status).json({ error: org.error });
+  }
+  const { error: attrError, key: attrKey, filters: attributes } = parseAttributeFilters(req.query);
+  if (attrError) {
+    return res.status(400).json({ error: attrError, key: attrKey });
+  }
+  const { tz, error: tzError } = parseTimeZone(req.query);
+  if (tzError) {
+    return res.status(400).json({ error: tzError });
+  }
+  const { min_severity, error: minLevelError } = parseMinLevel(req.query);
+  if (minLevelError) {
+    return res.status(400).json({ error: minLevelError });
+  }
 
   try {
     await flushLogBuffer();
-    const entries = await collectLogEntries(instanceId, (entry) => {
-      const msg = String(entry.message || '').trim();
-      const upper = msg.toUpperCase();
-      return upper.startsWith('[HITL]') || upper.startsWith('[HITL-PROGRESS]');
+    const entries = await collectLogEntries(instanceId, isHitlEntry, {
+      org_id: org.orgId || undefined, include_unscoped: !TENANT_ISOLATION, attributes, min_severity
     });
-    return res.json({ instance_id: instanceId, progress: serializeEntries(entries) });
+    return res.json({ instance_id: instanceId, progress: serializeEntries(entries, tz) });
   } catch (e) {
-    console.error('[ERROR] hitl-progress failed:', e.message || e);
+    req.log.error('hitl-progress failed', { err: e });
     return res.status(500).json({ error: 'hitl_progress_failed', detail: e && e.message ? e.message : String(e) });
   }
 });
 
+// GET /api/log/stream?instance_id=...[&hitl=1]
+// Server-Sent Events: replays the instance history (after Last-Event-ID when
+// resuming), then pushes each new entry as it is accepted.
+app.get('/api/log/stream', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'log:read')) return;
+  const instanceId = String(req.query.instance_id || req.query.id || '').trim();
+  if (!instanceId) {
+    return res.status(400).json({ error: 'instance_id_required' });
+  }
+  const org = resolveOrgId(req, String(req.query.org_id || '').trim());
+  if (org.error) {
+    return res.status(org.status).json({ error: org.error });
+  }
+  const { tz, error: tzError } = parseTimeZone(req.query);
+  if (tzError) {
+    return res.status(400).json({ error: tzError });
+  }
+  const { min_severity, error: minLevelError } = parseMinLevel(req.query);
+  if (minLevelError) {
+    return res.status(400).json({ error: minLevelError });
+  }
+  const hitlOnly = ['1', 'true'].includes(String(req.query.hitl || '').toLowerCase());
+  const filterFn = hitlOnly ? isHitlEntry : null;
+  const lastEventIdRaw = req.headers['last-event-id'] || req.query.last_event_id;
+  const lastEventId = Number.isFinite(Number(lastEventIdRaw)) ? Number(lastEventIdRaw) : 0;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+
+  // Ids already sent while history and held-back live entries overlap.
+  let sent = new Set();
+  const send = (entry) => {
+    if (entry.id != null) {
+      if (entry.id <= lastEventId || (sent && sent.has(entry.id))) return;
+      if (sent) sent.add(entry.id);
+    }
+    const [ts, message] = serializeEntries([entry], tz)[0];
+    const data = JSON.stringify({ id: entry.id, ts, message });
+    res.write(`${entry.id != null ? `id: ${entry.id}\n` : ''}event: progress\ndata: ${data}\n\n`);
+  };
+
+  // Subscribe before reading history so nothing written in between is lost;
+  // live entries are held back until the history has been sent.
+  let pending = [];
+  const onEntry = (entry) => {
+    if (entry.instance_id !== instanceId) return;
+    if (org.orgId && entry.org_id !== org.orgId && (TENANT_ISOLATION || entry.org_id)) return;
+    if (filterFn && !filterFn(entry)) return;
+    if (min_severity && !(entry.severity >= min_severity)) return;
+    if (pending) pending.push(entry);
+    else send(entry);
+  };
+  logEvents.on('entry', onEntry);
+
+  const heartbeat = setInterval(() => res.write(': keepalive\n\n'), STREAM_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    logEvents.off('entry', onEntry);
+  });
+
+  try {
+    await flushLogBuffer();
+    const history = await collectLogEntries(instanceId, filterFn, {
+      org_id: org.orgId || undefined, include_unscoped: !TENANT_ISOLATION, min_severity
+    });
+    history.forEach(send);
+  } catch (e) {
+    req.log.error('log stream history failed', { err: e });
+    res.write(`event: error\ndata: ${JSON.stringify({ error: 'log_stream_failed' })}\n\n`);
+  }
+  pending.forEach(send);
+  pending = null;
+  sent = null;
+});
+
 app.post('/api/rlhf/events/append', async (req, res) => {
-  if (requireLogAgentAuth(req, res)) return;
-  const event = req.body || {};
+  if (await requireLogAgentAuth(req, res, 'rlhf:write')) return;
+  const org = resolveOrgId(req, String((req.body || {}).org_id || '').trim());
+  if (org.error) {
+    return res.status(org.status).json({ error: org.error });
+  }
+  const event = { ...(req.body || {}), org_id: org.orgId };
   const required = ['event_id', 'org_id', 'agent_name', 'decision_point_id', 'event_type', 'created_at'];
   for (const key of required) {
     if (!event[key]) {
@@ -446,21 +1338,84 @@ app.post('/api/rlhf/events/append', async (req, res) => {
   if (!agentName) {
     return res.status(400).json({ error: 'missing_required_field', field: 'agent_name' });
   }
-  if (!['approval_request', 'approval_outcome'].includes(event.event_type)) {
+  if (!approvalEventTypes.has(event.event_type)) {
     return res.status(400).json({ error: 'invalid_event_type' });
   }
+  if (RLHF_SCHEMA_MODE !== 'off') {
+    const validation = approvalEventSchemas.validate(event);
+    if (!validation.valid) {
+      if (RLHF_SCHEMA_MODE === 'enforce') {
+        return res.status(400).json({
+          error: 'schema_validation_failed',
+          event_type: event.event_type,
+          event_version: validation.event_version,
+          violations: validation.violations
+        });
+      }
+      req.log.warn('approval event failed schema validation', {
+        event_type: event.event_type,
+        event_id: event.event_id,
+        violations: validation.violations
+      });
+    }
+  }
   try {
-    const result = await eventLogStore.insertApprovalEvent(event);
+    const { spooled, result } = await writeOrSpool({ kind: 'approval_event', event: redactEvent(event) });
+    if (spooled) {
+      return res.status(202).json({ ok: true, spooled: true });
+    }
     return res.json({ ok: true, inserted: result.inserted });
   } catch (e) {
-    console.error('[ERROR] Failed to append RLHF event:', e.message || e);
+    req.log.error('failed to append RLHF event', { err: e });
     return res.status(500).json({ error: 'event_append_failed' });
   }
 });
 
+// GET /api/rlhf/event-types
+// Configured approval event types and whether each is single- or multi-per-decision.
+app.get('/api/rlhf/event-types', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'rlhf:read')) return;
+  return res.json({ ok: true, event_types: [...approvalEventTypes.values()] });
+});
+
+// GET /api/rlhf/schemas
+// Registered approval event schemas, one per event_type/event_version.
+app.get('/api/rlhf/schemas', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'rlhf:read')) return;
+  return res.json({ ok: true, mode: RLHF_SCHEMA_MODE, schemas: approvalEventSchemas.list() });
+});
+
+app.get('/api/rlhf/schemas/:event_type/:event_version', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'rlhf:read')) return;
+  const schema = approvalEventSchemas.get(req.params.event_type, req.params.event_version);
+  if (!schema) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  return res.json({ ok: true, event_type: req.params.event_type, event_version: req.params.event_version, schema });
+});
+
+// POST /api/rlhf/schemas/validate
+// Dry run: validates an append body without storing it.
+app.post('/api/rlhf/schemas/validate', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'rlhf:read')) return;
+  const event = req.body || {};
+  if (!event.event_type) {
+    return res.status(400).json({ error: 'missing_required_field', field: 'event_type' });
+  }
+  if (!approvalEventTypes.has(event.event_type)) {
+    return res.status(400).json({ error: 'invalid_event_type' });
+  }
+  const validation = approvalEventSchemas.validate(event);
+  return res.json({ ok: true, event_type: event.event_type, ...validation });
+});
+
 app.get('/api/rlhf/events/request', async (req, res) => {
-  if (requireLogAgentAuth(req, res)) return;
-  const orgId = String(req.query.org_id || '').trim();
+  if (await requireLogAgentAuth(req, res, 'rlhf:read')) return;
+  const org = resolveOrgId(req, String(req.query.org_id || '').trim());
+  if (org.error) {
+    return res.status(org.status).json({ error: org.error });
+  }
+  const orgId = org.orgId;
   const agentName = String(req.query.agent_name || '').trim();
   const decisionPointId = String(req.query.decision_point_id || '').trim();
   if (!orgId || !agentName || !decisionPointId) {
@@ -473,69 +1428,450 @@ app.get('/api/rlhf/events/request', async (req, res) => {
     }
     return res.json({ ok: true, event: payload });
   } catch (e) {
-    console.error('[ERROR] Failed to fetch approval_request:', e.message || e);
+    req.log.error('failed to fetch approval_request', { err: e });
     return res.status(500).json({ error: 'event_fetch_failed' });
   }
 });
 
-app.get('/api/rlhf/events/query', async (req, res) => {
-  if (requireLogAgentAuth(req, res)) return;
-  const orgId = String(req.query.org_id || '').trim();
-  const agentName = String(req.query.agent_name || '').trim();
-  const eventType = String(req.query.event_type || '').trim();
-  const start = String(req.query.start || '').trim();
-  const end = String(req.query.end || '').trim();
-  const simRunId = String(req.query.sim_run_id || '').trim();
-  const DEFAULT_QUERY_LIMIT = 20000;
-  const MAX_QUERY_LIMIT = 50000;
-  const limitRaw = Number(req.query.limit);
-  const offsetRaw = Number(req.query.offset);
+// org_id + agent_name plus either sim_run_id or a start/end window, shared by
+// the RLHF read endpoints. A sim_run_id query ignores start/end. API key
+// callers get their key's org; naming another one is { error, status: 403 }.
+function parseRlhfScope(req, { requireAgent = true } = {}) {
+  const query = req.query;
+  const org = resolveOrgId(req, String(query.org_id || '').trim());
+  if (org.error) {
+    return { error: org.error, status: org.status };
+  }
+  const orgId = org.orgId;
+  const agentName = String(query.agent_name || '').trim();
+  const start = String(query.start || '').trim();
+  const end = String(query.end || '').trim();
+  const simRunId = String(query.sim_run_id || '').trim();
+  if (!orgId || (requireAgent && !agentName)) {
+    return { error: 'missing_required_field' };
+  }
+  if (!simRunId && (!start || !end)) {
+    return { error: 'missing_required_field' };
+  }
+  return {
+    orgId,
+    agentName: agentName || null,
+    start: simRunId ? null : start,
+    end: simRunId ? null : end,
+    simRunId: simRunId || null
+  };
+}
+
+function parseOffsetPage(query, defaultLimit, maxLimit) {
+  const limitRaw = Number(query.limit);
+  const offsetRaw = Number(query.offset);
   const limit = Number.isFinite(limitRaw)
-    ? Math.min(Math.max(Math.floor(limitRaw), 1), MAX_QUERY_LIMIT)
-    : DEFAULT_QUERY_LIMIT;
+    ? Math.min(Math.max(Math.floor(limitRaw), 1), maxLimit)
+    : defaultLimit;
   const offset = Number.isFinite(offsetRaw) && offsetRaw > 0
     ? Math.floor(offsetRaw)
     : 0;
-  if (!orgId || !agentName) {
-    return res.status(400).json({ error: 'missing_required_field' });
-  }
-  if (!simRunId && (!start || !end)) {
-    return res.status(400).json({ error: 'missing_required_field' });
+  return { limit, offset };
+}
+
+app.get('/api/rlhf/events/query', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'rlhf:read')) return;
+  const eventType = String(req.query.event_type || '').trim();
+  const DEFAULT_QUERY_LIMIT = 20000;
+  const MAX_QUERY_LIMIT = 50000;
+  const { limit, offset } = parseOffsetPage(req.query, DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT);
+  const scope = parseRlhfScope(req);
+  if (scope.error) {
+    return res.status(scope.status || 400).json({ error: scope.error });
   }
-  if (eventType && !['approval_request', 'approval_outcome'].includes(eventType)) {
+  if (eventType && !approvalEventTypes.has(eventType)) {
     return res.status(400).json({ error: 'invalid_event_type' });
   }
   try {
-    const startFilter = simRunId ? null : start;
-    const endFilter = simRunId ? null : end;
     const filtered = await eventLogStore.queryApprovalEvents({
-      orgId,
-      agentName,
+      ...scope,
       eventType: eventType || null,
-      start: startFilter,
-      end: endFilter,
-      simRunId: simRunId || null,
       limit,
       offset
     });
     const nextOffset = filtered.length >= limit ? offset + filtered.length : null;
     return res.json({ ok: true, events: filtered, next_offset: nextOffset });
   } catch (e) {
-    console.error('[ERROR] Failed to query approval events:', e.message || e);
+    req.log.error('failed to query approval events', { err: e });
     return res.status(500).json({ error: 'event_query_failed' });
   }
 });
 
+// GET /api/rlhf/events/stats?org_id[&agent_name]&(start&end|sim_run_id)&bucket=hour|day|week
+// Request/outcome/pending counts and latency percentiles per agent_name.
+app.get('/api/rlhf/events/stats', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'rlhf:read')) return;
+  const scope = parseRlhfScope(req, { requireAgent: false });
+  if (scope.error) {
+    return res.status(scope.status || 400).json({ error: scope.error });
+  }
+  const bucket = String(req.query.bucket || 'day').trim().toLowerCase();
+  if (!['hour', 'day', 'week'].includes(bucket)) {
+    return res.status(400).json({ error: 'invalid_bucket' });
+  }
+  const includeSim = !['0', 'false'].includes(String(req.query.include_sim || '').toLowerCase());
+  try {
+    const stats = await computeApprovalStats(eventLogStore, { ...scope, includeSim, bucket });
+    return res.json({ ok: true, org_id: scope.orgId, sim_run_id: scope.simRunId, ...stats });
+  } catch (e) {
+    req.log.error('failed to compute approval stats', { err: e });
+    return res.status(500).json({ error: 'event_stats_failed' });
+  }
+});
+
+// GET /api/rlhf/export?org_id[&agent_name]&(start&end|sim_run_id)
+//   [&event_version=][&outcome=approved|rejected|...][&validation_ratio=0.1[&split=train|validation][&split_seed=]]
+// Streams NDJSON, one complete decision record per line.
+app.get('/api/rlhf/export', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'rlhf:read')) return;
+  const scope = parseRlhfScope(req, { requireAgent: false });
+  if (scope.error) {
+    return res.status(scope.status || 400).json({ error: scope.error });
+  }
+  const eventVersion = String(req.query.event_version || '').trim() || undefined;
+  const outcome = String(req.query.outcome || '').trim().toLowerCase() || undefined;
+  const split = String(req.query.split || '').trim().toLowerCase() || undefined;
+  const splitSeed = String(req.query.split_seed || '');
+  let validationRatio;
+  if (req.query.validation_ratio !== undefined) {
+    validationRatio = Number(req.query.validation_ratio);
+    if (!Number.isFinite(validationRatio) || validationRatio <= 0 || validationRatio >= 1) {
+      return res.status(400).json({ error: 'invalid_validation_ratio' });
+    }
+  }
+  if (split && !['train', 'validation'].includes(split)) {
+    return res.status(400).json({ error: 'invalid_split' });
+  }
+  if (split && validationRatio === undefined) {
+    return res.status(400).json({ error: 'validation_ratio_required' });
+  }
+
+  let aborted = false;
+  req.on('close', () => { aborted = true; });
+
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  const fileTag = scope.orgId.replace(/[^A-Za-z0-9_.-]/g, '_');
+  res.setHeader('Content-Disposition', `attachment; filename="rlhf-${fileTag}${split ? `-${split}` : ''}.ndjson"`);
+  try {
+    const records = exportDecisionRecords(eventLogStore, {
+      ...scope, eventVersion, outcome, validationRatio, split, splitSeed
+    });
+    for await (const record of records) {
+      if (aborted) return;
+      if (!res.write(`${JSON.stringify(record)}\n`)) {
+        await once(res, 'drain');
+      }
+    }
+    res.end();
+  } catch (e) {
+    req.log.error('RLHF export failed', { err: e });
+    // Headers are gone; cut the connection so the client sees a truncated export.
+    res.destroy(e);
+  }
+});
+
+// GET /api/rlhf/decisions?org_id&agent_name&(start&end|sim_run_id)[&status=pending|decided]
+// One record per decision point: request and outcome payloads, time to
+// decision, and a pending flag. limit/offset page over approval requests.
+app.get('/api/rlhf/decisions', async (req, res) => {
+  if (await requireLogAgentAuth(req, res, 'rlhf:read')) return;
+  const DEFAULT_DECISION_LIMIT = 500;
+  const MAX_DECISION_LIMIT = 5000;
+  const { limit, offset } = parseOffsetPage(req.query, DEFAULT_DECISION_LIMIT, MAX_DECISION_LIMIT);
+  const scope = parseRlhfScope(req);
+  if (scope.error) {
+    return res.status(scope.status || 400).json({ error: scope.error });
+  }
+  const status = String(req.query.status || 'all').trim().toLowerCase();
+  if (!['all', 'pending', 'decided'].includes(status)) {
+    return res.status(400).json({ error: 'invalid_status' });
+  }
+  try {
+    const { records, nextOffset } = await listDecisionRecords(eventLogStore, { ...scope, status, limit, offset });
+    return res.json({ ok: true, decisions: records, next_offset: nextOffset });
+  } catch (e) {
+    req.log.error('failed to query decisions', { err: e });
+    return res.status(500).json({ error: 'decision_query_failed' });
+  }
+});
+
+let retentionRun = null;
+
+async function runRetentionJob(trigger) {
+  if (retentionRun) return null;
+  retentionRun = runRetention({
+    store: eventLogStore,
+    policy: RETENTION_POLICY,
+    archiveDir: path.join(LOG_DIR, 'archive'),
+    archive: RETENTION_ARCHIVE
+  });
+  try {
+    const result = await retentionRun;
+    for (const [table, summary] of Object.entries(result.tables)) {
+      if (summary.pruned || summary.archived) {
+        log.info('retention run', { trigger, table, archived: summary.archived, pruned: summary.pruned });
+      }
+    }
+    return result;
+  } finally {
+    retentionRun = null;
+  }
+}
+
+// POST /api/admin/retention/run
+// Runs the retention job now and reports archived/pruned counts per table.
+app.post('/api/admin/retention/run', async (req, res) => {
+  if (requireAdminAuth(req, res)) return;
+  try {
+    const result = await runRetentionJob('admin');
+    if (!result) {
+      return res.status(409).json({ error: 'retention_already_running' });
+    }
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    req.log.error('retention run failed', { err: e });
+    return res.status(500).json({ error: 'retention_failed', detail: e && e.message ? e.message : String(e) });
+  }
+});
+
+// GET /api/admin/tenancy/unscoped
+// Log rows stored without an org_id, grouped by service and username, so
+// they can be assigned before (or after) turning on strict isolation.
+app.get('/api/admin/tenancy/unscoped', async (req, res) => {
+  if (requireAdminAuth(req, res)) return;
+  try {
+    const groups = await eventLogStore.summarizeUnscopedLogEntries();
+    return res.json({ ok: true, tenant_isolation: TENANT_ISOLATION ? 'strict' : 'off', groups });
+  } catch (e) {
+    req.log.error('failed to summarize unscoped log entries', { err: e });
+    return res.status(500).json({ error: 'unscoped_summary_failed' });
+  }
+});
+
+// POST /api/admin/tenancy/assign  { org_id, service?, username?, instance_id?, before?, all?, dry_run? }
+// Assigns unscoped rows matching the filters to org_id. Without any filter
+// `all: true` is required so a typo cannot claim every legacy row.
+app.post('/api/admin/tenancy/assign', async (req, res) => {
+  if (requireAdminAuth(req, res)) return;
+  const body = req.body || {};
+  const orgId = String(body.org_id || '').trim();
+  if (!orgId) {
+    return res.status(400).json({ error: 'missing_required_field', field: 'org_id' });
+  }
+  const filters = {};
+  for (const key of ['service', 'username', 'instance_id']) {
+    const value = String(body[key] || '').trim();
+    if (value) filters[key] = value;
+  }
+  if (body.before) {
+    const before = new Date(body.before);
+    if (Number.isNaN(before.getTime())) {
+      return res.status(400).json({ error: 'invalid_before' });
+    }
+    filters.before = before.toISOString();
+  }
+  if (!Object.keys(filters).length && body.all !== true) {
+    return res.status(400).json({ error: 'filter_required' });
+  }
+  try {
+    const result = await eventLogStore.assignOrgToUnscopedLogEntries({
+      org_id: orgId,
+      dryRun: body.dry_run === true,
+      ...filters
+    });
+    if (result.updated) {
+      req.log.info('assigned unscoped log entries', { updated: result.updated, org_id: orgId });
+      // Instance rows are keyed by org, so the moved rows' instances are recomputed.
+      await eventLogStore.rebuildInstances();
+    }
+    return res.json({ ok: true, org_id: orgId, dry_run: body.dry_run === true, ...result });
+  } catch (e) {
+    req.log.error('failed to assign unscoped log entries', { err: e });
+    return res.status(500).json({ error: 'unscoped_assign_failed' });
+  }
+});
+
+// POST /api/admin/api-keys  { org_id, name?, scopes: [...] }
+// Issues a key bound to org_id. The plaintext key is only in this response.
+app.post('/api/admin/api-keys', async (req, res) => {
+  if (requireAdminAuth(req, res)) return;
+  const orgId = String((req.body || {}).org_id || '').trim();
+  const name = String((req.body || {}).name || '').trim();
+  if (!orgId) {
+    return res.status(400).json({ error: 'missing_required_field', field: 'org_id' });
+  }
+  const { scopes, error, scope } = normalizeScopes((req.body || {}).scopes);
+  if (error) {
+    return res.status(400).json({ error, scope });
+  }
+  const { keyId, key, keyHash, keyPrefix } = generateApiKey();
+  const record = {
+    key_id: keyId,
+    org_id: orgId,
+    name: name || null,
+    scopes,
+    key_hash: keyHash,
+    key_prefix: keyPrefix,
+    created_at: new Date().toISOString(),
+    revoked_at: null
+  };
+  try {
+    await eventLogStore.insertApiKey(record);
+  } catch (e) {
+    req.log.error('failed to create API key', { err: e });
+    return res.status(500).json({ error: 'api_key_create_failed' });
+  }
+  const { key_hash: _keyHash, ...apiKey } = record;
+  return res.status(201).json({ ok: true, key, api_key: apiKey });
+});
+
+// GET /api/admin/api-keys[?org_id=...&include_revoked=1]
+app.get('/api/admin/api-keys', async (req, res) => {
+  if (requireAdminAuth(req, res)) return;
+  const orgId = String(req.query.org_id || '').trim() || undefined;
+  const includeRevoked = ['1', 'true'].includes(String(req.query.include_revoked || '').toLowerCase());
+  try {
+    const apiKeys = await eventLogStore.listApiKeys({ orgId, includeRevoked });
+    return res.json({ ok: true, api_keys: apiKeys });
+  } catch (e) {
+    req.log.error('failed to list API keys', { err: e });
+    return res.status(500).json({ error: 'api_key_list_failed' });
+  }
+});
+
+// DELETE /api/admin/api-keys/:key_id
+// Revokes the key; it is rejected from then on.
+app.delete('/api/admin/api-keys/:key_id', async (req, res) => {
+  if (requireAdminAuth(req, res)) return;
+  try {
+    const { revoked } = await eventLogStore.revokeApiKey(req.params.key_id, new Date().toISOString());
+    apiKeyResolver.invalidate(req.params.key_id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    return res.json({ ok: true, key_id: req.params.key_id });
+  } catch (e) {
+    req.log.error('failed to revoke API key', { err: e });
+    return res.status(500).json({ error: 'api_key_revoke_failed' });
+  }
+});
+
+// POST /api/admin/instances/rebuild
+// Recomputes the instance registry from agent_logs (e.g. after a MySQL
+// migration adds the instances table to a populated database).
+app.post('/api/admin/instances/rebuild', async (req, res) => {
+  if (requireAdminAuth(req, res)) return;
+  try {
+    const result = await eventLogStore.rebuildInstances();
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    req.log.error('instance rebuild failed', { err: e });
+    return res.status(500).json({ error: 'instances_rebuild_failed' });
+  }
+});
+
+// POST /api/admin/redaction/dry-run
+//   { samples: [{ message, username?, attributes?, org_id?, service? } | "message"], rules?: [...] }
+// Runs the configured rules (or the given ones, to try them out) over the
+// samples without writing anything.
+app.post('/api/admin/redaction/dry-run', (req, res) => {
+  if (requireAdminAuth(req, res)) return;
+  const { samples, rules } = req.body || {};
+  if (!Array.isArray(samples) || samples.length === 0) {
+    return res.status(400).json({ error: 'samples_required' });
+  }
+  if (samples.length > BATCH_MAX_ENTRIES) {
+    return res.status(413).json({ error: 'too_many_samples', limit: BATCH_MAX_ENTRIES });
+  }
+  let dryRunRedactor = redactor;
+  if (rules !== undefined) {
+    try {
+      dryRunRedactor = new Redactor(compileRules(rules), { hashSalt: REDACTION_HASH_SALT });
+    } catch (err) {
+      return res.status(400).json({ error: 'invalid_rules', detail: err.message });
+    }
+  }
+  const results = samples.map((sample) => {
+    const input = typeof sample === 'string' ? { message: sample } : (sample || {});
+    const { entry, fired } = dryRunRedactor.apply({
+      message: input.message != null ? String(input.message) : null,
+      username: input.username != null ? String(input.username) : null,
+      attributes: input.attributes || null,
+      org_id: input.org_id || '',
+      service: input.service
+    });
+    return {
+      message: entry.message,
+      username: entry.username,
+      attributes: entry.attributes,
+      redacted: fired
+    };
+  });
+  return res.json({ ok: true, rules: dryRunRedactor.rules.map(rule => rule.id), results });
+});
+
+// GET /api/admin/webhooks
+// Configured subscribers (secrets omitted) and how many events each has queued.
+app.get('/api/admin/webhooks', (req, res) => {
+  if (requireAdminAuth(req, res)) return;
+  return res.json({ ok: true, webhooks: webhooks.describe() });
+});
+
+// GET /api/admin/webhooks/deliveries[?subscription_id=...&status=failed&limit=100]
+// Recent deliveries, newest first: attempts, last response status and error.
+app.get('/api/admin/webhooks/deliveries', (req, res) => {
+  if (requireAdminAuth(req, res)) return;
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '100', 10) || 100, 1), 1000);
+  const deliveries = webhooks.deliveries({
+    subscriptionId: String(req.query.subscription_id || '').trim() || undefined,
+    status: String(req.query.status || '').trim() || undefined,
+    limit
+  });
+  return res.json({ ok: true, deliveries });
+});
+
+function startRetentionSchedule() {
+  if (!(RETENTION_INTERVAL_MINUTES > 0)) return;
+  const timer = setInterval(() => {
+    runRetentionJob('schedule').catch((err) => {
+      log.error('scheduled retention failed', { err });
+    });
+  }, RETENTION_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  log.info('retention scheduled', { interval_minutes: RETENTION_INTERVAL_MINUTES });
+}
+
 async function startServer() {
   try {
     await eventLogStore.init();
   } catch (err) {
-    console.error('[ERROR] Failed to initialize event log store:', err);
+    log.error('failed to initialize event log store', { err });
     process.exit(1);
   }
 
+  if (spool) {
+    try {
+      await spool.open();
+    } catch (err) {
+      log.error('failed to open write spool', { err });
+      process.exit(1);
+    }
+    if (spool.depth > 0) {
+      log.info('spool holds records to replay', { depth: spool.depth });
+    }
+    spool.start(applyWrite, SPOOL_REPLAY_INTERVAL_MS);
+  }
+
+  startRetentionSchedule();
+
   app.listen(PORT, () => {
-    console.log(`Agent Log REST service listening on http://localhost:${PORT}`);
+    log.info(`Agent Log REST service listening on http://localhost:${PORT}`);
   });
 }
 
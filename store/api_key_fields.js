@@ -0,0 +1,47 @@
+// Column layout of api_keys shared by the SQL stores. Scopes are stored as
+// a space-separated string; only the SHA-256 of a key is ever persisted.
+
+const API_KEY_COLUMNS = [
+  'key_id',
+  'org_id',
+  'name',
+  'scopes',
+  'key_hash',
+  'key_prefix',
+  'created_at',
+  'revoked_at'
+];
+
+// Columns safe to hand back to admins (no key_hash).
+const API_KEY_PUBLIC_COLUMNS = API_KEY_COLUMNS.filter(column => column !== 'key_hash');
+
+const INSERT_API_KEY_SQL = `
+  INSERT INTO api_keys (${API_KEY_COLUMNS.join(', ')})
+  VALUES (${API_KEY_COLUMNS.map(() => '?').join(', ')})
+`;
+
+function apiKeyParams(record) {
+  return [
+    record.key_id,
+    record.org_id,
+    record.name || null,
+    record.scopes.join(' '),
+    record.key_hash,
+    record.key_prefix,
+    record.created_at,
+    record.revoked_at || null
+  ];
+}
+
+function withParsedScopes(row) {
+  if (!row) return null;
+  return { ...row, scopes: String(row.scopes || '').split(' ').filter(Boolean) };
+}
+
+module.exports = {
+  API_KEY_COLUMNS,
+  API_KEY_PUBLIC_COLUMNS,
+  INSERT_API_KEY_SQL,
+  apiKeyParams,
+  withParsedScopes
+};
@@ -0,0 +1,63 @@
+// Approval event types and how many of each a decision point may hold.
+// "single" types are idempotent per (org_id, agent_name, decision_point_id,
+// event_type); "multi" types are only deduplicated by event_id.
+
+const CARDINALITIES = ['single', 'multi'];
+const EVENT_TYPE_NAME_RE = /^[a-z][a-z0-9_]{0,63}$/;
+
+// The decision record join depends on these two, so they stay single.
+const CORE_EVENT_TYPES = ['approval_request', 'approval_outcome'];
+
+const DEFAULT_APPROVAL_EVENT_TYPES = {
+  approval_request: { cardinality: 'single' },
+  approval_outcome: { cardinality: 'single' },
+  approval_escalated: { cardinality: 'multi' },
+  approval_reassigned: { cardinality: 'multi' },
+  approval_expired: { cardinality: 'single' },
+  feedback_comment: { cardinality: 'multi' }
+};
+
+/**
+ * Merge declared event types over the defaults.
+ * @param {Object<string, {cardinality: string, description?: string}>} [declared]
+ * @returns {Map<string, {event_type: string, cardinality: string, description: string|null}>}
+ */
+function buildApprovalEventTypes(declared = {}) {
+  const merged = { ...DEFAULT_APPROVAL_EVENT_TYPES, ...declared };
+  const types = new Map();
+  for (const [name, definition] of Object.entries(merged)) {
+    if (!EVENT_TYPE_NAME_RE.test(name)) {
+      throw new Error(`invalid approval event type name: ${name}`);
+    }
+    const cardinality = (definition && definition.cardinality) || 'single';
+    if (!CARDINALITIES.includes(cardinality)) {
+      throw new Error(`invalid cardinality for ${name}: ${cardinality}`);
+    }
+    if (CORE_EVENT_TYPES.includes(name) && cardinality !== 'single') {
+      throw new Error(`${name} must be single-per-decision`);
+    }
+    types.set(name, {
+      event_type: name,
+      cardinality,
+      description: (definition && definition.description) || null
+    });
+  }
+  return types;
+}
+
+/**
+ * Value of the dedupe_key column: empty for single-per-decision types (so the
+ * unique index allows one row per decision point), the event_id otherwise.
+ * Unknown types are treated as single.
+ */
+function approvalEventDedupeKey(event, eventTypes) {
+  const definition = eventTypes.get(event.event_type);
+  return definition && definition.cardinality === 'multi' ? String(event.event_id) : '';
+}
+
+module.exports = {
+  CORE_EVENT_TYPES,
+  DEFAULT_APPROVAL_EVENT_TYPES,
+  buildApprovalEventTypes,
+  approvalEventDedupeKey
+};
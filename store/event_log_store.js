@@ -7,7 +7,11 @@ class EventLogStore {
     throw new Error('Not implemented');
   }
 
-  async queryActivityByMonth(_opts) {
+  async appendLogEntries(_entries) {
+    throw new Error('Not implemented');
+  }
+
+  async queryActivity(_opts) {
     throw new Error('Not implemented');
   }
 
@@ -15,6 +19,38 @@ class EventLogStore {
     throw new Error('Not implemented');
   }
 
+  async searchLogEntries(_opts) {
+    throw new Error('Not implemented');
+  }
+
+  async listExpiredLogEntries(_opts) {
+    throw new Error('Not implemented');
+  }
+
+  async deleteLogEntries(_ids) {
+    throw new Error('Not implemented');
+  }
+
+  async summarizeUnscopedLogEntries() {
+    throw new Error('Not implemented');
+  }
+
+  async assignOrgToUnscopedLogEntries(_opts) {
+    throw new Error('Not implemented');
+  }
+
+  async listInstances(_opts) {
+    throw new Error('Not implemented');
+  }
+
+  async getInstance(_instanceId, _opts) {
+    throw new Error('Not implemented');
+  }
+
+  async rebuildInstances() {
+    throw new Error('Not implemented');
+  }
+
   async insertApprovalEvent(_event) {
     throw new Error('Not implemented');
   }
@@ -23,9 +59,41 @@ class EventLogStore {
     throw new Error('Not implemented');
   }
 
+  async getApprovalEventsByDecisionPoints(_keys) {
+    throw new Error('Not implemented');
+  }
+
   async getApprovalRequestByDecisionPoint(_orgId, _agentName, _decisionPointId) {
     throw new Error('Not implemented');
   }
+
+  async queryApprovalEvents(_opts) {
+    throw new Error('Not implemented');
+  }
+
+  async listExpiredApprovalEvents(_opts) {
+    throw new Error('Not implemented');
+  }
+
+  async deleteApprovalEvents(_eventIds) {
+    throw new Error('Not implemented');
+  }
+
+  async insertApiKey(_record) {
+    throw new Error('Not implemented');
+  }
+
+  async getApiKeyByHash(_keyHash) {
+    throw new Error('Not implemented');
+  }
+
+  async listApiKeys(_opts) {
+    throw new Error('Not implemented');
+  }
+
+  async revokeApiKey(_keyId, _revokedAt) {
+    throw new Error('Not implemented');
+  }
 }
 
 module.exports = { EventLogStore };
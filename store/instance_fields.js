@@ -0,0 +1,188 @@
+// Column layout of the instances table shared by the stores, plus the rules
+// for folding log entries into an instance row. Rows are keyed by
+// (org_id, instance_id) and maintained as entries are appended.
+
+const { SEVERITIES, buildLevelAliases, normalizeLevel } = require('./log_levels');
+
+const LEVEL_COUNT_COLUMNS = {
+  debug: 'debug_count',
+  info: 'info_count',
+  warn: 'warn_count',
+  error: 'error_count'
+};
+
+// Levels without a counter of their own are counted with their neighbour.
+const COUNTED_AS = { trace: 'debug', fatal: 'error' };
+
+// Level names and aliases come from log_levels; entries are stored under
+// the canonical name, but rebuilds also read rows written before that.
+const LEVEL_NAMES = buildLevelAliases();
+
+const INSTANCE_COLUMNS = [
+  'org_id',
+  'instance_id',
+  'service',
+  'username',
+  'state',
+  'state_changed_at',
+  'first_seen_at',
+  'last_seen_at',
+  'entry_count',
+  ...Object.values(LEVEL_COUNT_COLUMNS)
+];
+
+// "state - active", "state - done (jane@example.com)" → 'active' / 'done'.
+// null when the message is not a state change; '' when it is one without a
+// state ("state - "), which activity still reports as a state change.
+function parseStateChange(message) {
+  const msg = String(message || '');
+  if (!msg.includes('state - ')) return null;
+  const payload = msg.split('state - ')[1] || '';
+  return (payload.split(/\s/)[0] || '').toLowerCase();
+}
+
+function levelCountColumn(level) {
+  const known = normalizeLevel(level, LEVEL_NAMES);
+  if (!known) return null;
+  return LEVEL_COUNT_COLUMNS[COUNTED_AS[known.level] || known.level];
+}
+
+/**
+ * Count columns that can hold entries at or above `minSeverity`. A column
+ * also counts the levels folded into it (trace into debug, fatal into
+ * error), so a fatal minimum is answered with error_count.
+ */
+function countColumnsAtOrAbove(minSeverity) {
+  const levels = Object.keys(LEVEL_COUNT_COLUMNS);
+  return levels
+    .filter((level, i) => i === levels.length - 1 || SEVERITIES[levels[i + 1]] > minSeverity)
+    .map(level => LEVEL_COUNT_COLUMNS[level]);
+}
+
+/** The instance row a single entry would create. */
+function instanceFromEntry(entry) {
+  // An empty state is not a transition.
+  const state = parseStateChange(entry.message) || null;
+  const row = {
+    org_id: entry.org_id || '',
+    instance_id: entry.instance_id,
+    service: entry.service,
+    username: entry.username,
+    state,
+    state_changed_at: state ? entry.event_time : null,
+    first_seen_at: entry.event_time,
+    last_seen_at: entry.event_time,
+    entry_count: 1
+  };
+  for (const column of Object.values(LEVEL_COUNT_COLUMNS)) row[column] = 0;
+  const levelColumn = levelCountColumn(entry.level);
+  if (levelColumn) row[levelColumn] = 1;
+  return row;
+}
+
+/**
+ * Combine two rows for the same instance. Service and username follow the
+ * latest entry and state the latest state change, by event_time, so
+ * entries arriving out of order do not roll an instance back. The SQL
+ * upserts apply the same rules.
+ */
+function mergeInstanceRows(current, next) {
+  if (!current) return { ...next };
+  const newer = next.last_seen_at >= current.last_seen_at;
+  const newerState = next.state != null
+    && (current.state_changed_at == null || next.state_changed_at >= current.state_changed_at);
+  const merged = {
+    ...current,
+    service: newer ? next.service : current.service,
+    username: newer ? next.username : current.username,
+    state: newerState ? next.state : current.state,
+    state_changed_at: newerState ? next.state_changed_at : current.state_changed_at,
+    first_seen_at: next.first_seen_at < current.first_seen_at ? next.first_seen_at : current.first_seen_at,
+    last_seen_at: newer ? next.last_seen_at : current.last_seen_at,
+    entry_count: current.entry_count + next.entry_count
+  };
+  for (const column of Object.values(LEVEL_COUNT_COLUMNS)) {
+    merged[column] = current[column] + next[column];
+  }
+  return merged;
+}
+
+function instanceKey(orgId, instanceId) {
+  return `${orgId || ''}\u0000${instanceId}`;
+}
+
+/** Fold entries into instance rows keyed by instanceKey (into `rows` if given). */
+function foldInstances(entries, rows = new Map()) {
+  for (const entry of entries) {
+    const key = instanceKey(entry.org_id, entry.instance_id);
+    rows.set(key, mergeInstanceRows(rows.get(key), instanceFromEntry(entry)));
+  }
+  return rows;
+}
+
+function instanceParams(row) {
+  return INSTANCE_COLUMNS.map(column => row[column]);
+}
+
+/**
+ * WHERE clause for listInstances. `stale_before` keeps instances last seen
+ * before that time and `min_severity` those with an entry at or above it;
+ * rows logged without an org_id are included for an org unless
+ * include_unscoped is false.
+ */
+function instanceFilter({ org_id, include_unscoped = true, state, service, stale_before, min_severity } = {}) {
+  const clauses = [];
+  const params = [];
+  if (org_id) {
+    clauses.push(include_unscoped ? `org_id IN (?, '')` : `org_id = ?`);
+    params.push(org_id);
+  }
+  if (state) {
+    clauses.push('state = ?');
+    params.push(state);
+  }
+  if (service) {
+    clauses.push('service = ?');
+    params.push(service);
+  }
+  if (stale_before) {
+    clauses.push('last_seen_at < ?');
+    params.push(stale_before);
+  }
+  if (min_severity) {
+    clauses.push(`(${countColumnsAtOrAbove(min_severity).map(column => `${column} > 0`).join(' OR ')})`);
+  }
+  return { sql: clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+/** API shape: counts grouped under `counts`. */
+function toInstanceRecord(row) {
+  if (!row) return null;
+  const counts = { total: Number(row.entry_count) };
+  for (const [level, column] of Object.entries(LEVEL_COUNT_COLUMNS)) counts[level] = Number(row[column]);
+  return {
+    instance_id: row.instance_id,
+    org_id: row.org_id,
+    service: row.service,
+    username: row.username,
+    state: row.state,
+    state_changed_at: row.state_changed_at,
+    first_seen_at: row.first_seen_at,
+    last_seen_at: row.last_seen_at,
+    counts
+  };
+}
+
+module.exports = {
+  INSTANCE_COLUMNS,
+  LEVEL_COUNT_COLUMNS,
+  parseStateChange,
+  countColumnsAtOrAbove,
+  instanceFromEntry,
+  mergeInstanceRows,
+  instanceKey,
+  foldInstances,
+  instanceParams,
+  instanceFilter,
+  toInstanceRecord
+};
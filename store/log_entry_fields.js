@@ -0,0 +1,103 @@
+// Column layout of agent_logs shared by the SQL stores, plus the mapping
+// between entry objects and rows.
+
+const LOG_ENTRY_COLUMNS = [
+  'instance_id',
+  'service',
+  'level',
+  'severity',
+  'message',
+  'username',
+  'event_time',
+  'created_at',
+  'org_id',
+  'trace_id',
+  'span_id',
+  'attributes_json'
+];
+
+const INSERT_LOG_ENTRY_SQL = `
+  INSERT INTO agent_logs (${LOG_ENTRY_COLUMNS.join(', ')})
+  VALUES (${LOG_ENTRY_COLUMNS.map(() => '?').join(', ')})
+`;
+
+function serializeAttributes(attributes) {
+  if (!attributes || typeof attributes !== 'object') return null;
+  if (!Object.keys(attributes).length) return null;
+  return JSON.stringify(attributes);
+}
+
+// MySQL JSON columns arrive parsed; TEXT columns arrive as strings.
+function parseAttributes(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return null;
+  }
+}
+
+function logEntryParams(entry) {
+  return [
+    entry.instance_id,
+    entry.service,
+    entry.level,
+    entry.severity ?? null,
+    entry.message,
+    entry.username,
+    entry.event_time,
+    entry.created_at,
+    entry.org_id || '',
+    entry.trace_id || null,
+    entry.span_id || null,
+    serializeAttributes(entry.attributes)
+  ];
+}
+
+// Replace the raw attributes_json column with a parsed `attributes` object.
+function withParsedAttributes(row) {
+  if (!row || !('attributes_json' in row)) return row;
+  const { attributes_json, ...rest } = row;
+  return { ...rest, attributes: parseAttributes(attributes_json) };
+}
+
+// Attribute filters use `$."key"` paths, so keys may not contain quotes or
+// backslashes.
+function isValidAttributeKey(key) {
+  return typeof key === 'string' && key.length > 0 && key.length <= 128 && !/["\\]/.test(key);
+}
+
+function attributePath(key) {
+  return `$."${key}"`;
+}
+
+// WHERE clause selecting rows logged without an org_id, optionally narrowed
+// by service, username, instance_id and event_time < before.
+function unscopedLogEntryFilter({ service, username, instance_id, before } = {}) {
+  const clauses = [`org_id = ''`];
+  const params = [];
+  for (const [column, value] of [['service', service], ['username', username], ['instance_id', instance_id]]) {
+    if (value) {
+      clauses.push(`${column} = ?`);
+      params.push(value);
+    }
+  }
+  if (before) {
+    clauses.push(`event_time < ?`);
+    params.push(before);
+  }
+  return { sql: clauses.join(' AND '), params };
+}
+
+module.exports = {
+  LOG_ENTRY_COLUMNS,
+  INSERT_LOG_ENTRY_SQL,
+  serializeAttributes,
+  parseAttributes,
+  logEntryParams,
+  withParsedAttributes,
+  isValidAttributeKey,
+  attributePath,
+  unscopedLogEntryFilter
+};
@@ -0,0 +1,88 @@
+// Log levels and their numeric severity, stored in agent_logs.severity. The
+// numbers are the OpenTelemetry SeverityNumber of each level, so OTLP
+// records and /api/log entries sort on the same scale. Anything else a
+// client sends must be an alias of one of these.
+
+const SEVERITIES = {
+  trace: 1,
+  debug: 5,
+  info: 9,
+  warn: 13,
+  error: 17,
+  fatal: 21
+};
+
+const DEFAULT_LEVEL_ALIASES = {
+  verbose: 'trace',
+  dbg: 'debug',
+  information: 'info',
+  notice: 'info',
+  warning: 'warn',
+  err: 'error',
+  critical: 'fatal',
+  crit: 'fatal',
+  emergency: 'fatal',
+  panic: 'fatal'
+};
+
+const ALIAS_NAME_RE = /^[a-z0-9_-]{1,32}$/;
+
+/**
+ * Merge declared aliases over the defaults. Names are matched
+ * case-insensitively; an alias may not redefine a level.
+ * @param {Object<string, string>} [declared] - alias → level
+ * @returns {Map<string, string>} every accepted name (levels included) → level
+ */
+function buildLevelAliases(declared = {}) {
+  const names = new Map(Object.keys(SEVERITIES).map(level => [level, level]));
+  for (const [rawAlias, rawLevel] of Object.entries({ ...DEFAULT_LEVEL_ALIASES, ...declared })) {
+    const alias = String(rawAlias).toLowerCase();
+    const level = String(rawLevel).toLowerCase();
+    if (!ALIAS_NAME_RE.test(alias)) throw new Error(`invalid level alias: ${rawAlias}`);
+    if (alias in SEVERITIES) throw new Error(`level alias ${alias} would redefine a level`);
+    if (!(level in SEVERITIES)) throw new Error(`level alias ${alias} maps to unknown level ${rawLevel}`);
+    names.set(alias, level);
+  }
+  return names;
+}
+
+/**
+ * The level and severity for a level name or alias, or null when unknown.
+ * @returns {{ level: string, severity: number } | null}
+ */
+function normalizeLevel(value, aliases) {
+  const level = aliases.get(String(value ?? '').trim().toLowerCase());
+  return level ? { level, severity: SEVERITIES[level] } : null;
+}
+
+/**
+ * Every name stored rows may carry for `level`: the level itself and its
+ * aliases, lower-cased. Rows written before levels were normalized hold the
+ * raw value, so level filters compare LOWER(TRIM(level)) against these.
+ * @param {string} level - a canonical level
+ * @param {Map<string, string>} [aliases] - from buildLevelAliases
+ * @returns {string[]}
+ */
+function levelNames(level, aliases = buildLevelAliases()) {
+  return [...aliases].filter(([, target]) => target === level).map(([name]) => name);
+}
+
+/**
+ * SQL expression for the severity of a stored `column`, used to backfill rows
+ * written before the severity column existed. Only the default aliases are
+ * known here; other values give NULL.
+ */
+function severityCaseSql(column = 'level') {
+  const names = buildLevelAliases();
+  const whens = [...names].map(([name, level]) => `WHEN '${name}' THEN ${SEVERITIES[level]}`);
+  return `CASE LOWER(TRIM(${column})) ${whens.join(' ')} END`;
+}
+
+module.exports = {
+  SEVERITIES,
+  DEFAULT_LEVEL_ALIASES,
+  buildLevelAliases,
+  normalizeLevel,
+  levelNames,
+  severityCaseSql
+};
@@ -0,0 +1,400 @@
+const { EventLogStore } = require('./event_log_store');
+const { parseSearchQuery, highlightSnippet } = require('./search_query');
+const { serializeAttributes, withParsedAttributes } = require('./log_entry_fields');
+const { API_KEY_PUBLIC_COLUMNS } = require('./api_key_fields');
+const { buildApprovalEventTypes, approvalEventDedupeKey } = require('./approval_event_types');
+const { foldInstances, instanceKey, toInstanceRecord, countColumnsAtOrAbove } = require('./instance_fields');
+const { levelNames } = require('./log_levels');
+
+function compare(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+function pick(row, keys) {
+  const out = {};
+  for (const key of keys) out[key] = row[key];
+  return out;
+}
+
+function page(rows, limit, offset) {
+  if (typeof limit !== 'number') return rows;
+  const start = typeof offset === 'number' && offset > 0 ? offset : 0;
+  return rows.slice(start, start + limit);
+}
+
+function matchesRetentionScope(row, scope = {}, exclude = []) {
+  for (const [key, value] of Object.entries(scope)) {
+    if (row[key] !== value) return false;
+  }
+  return !exclude.some(other => {
+    const keys = Object.keys(other);
+    return keys.length > 0 && keys.every(key => row[key] === other[key]);
+  });
+}
+
+function termMatches(message, term) {
+  const haystack = message.toLowerCase();
+  const needle = term.text.toLowerCase();
+  if (term.phrase || term.prefix) return haystack.includes(needle);
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^\\p{L}\\p{N}])`, 'u')
+    .test(haystack);
+}
+
+const APPROVAL_EVENT_COLUMNS = [
+  'event_id', 'org_id', 'agent_name', 'decision_point_id', 'event_type', 'created_at', 'payload_json'
+];
+
+/**
+ * Process-local EventLogStore for development and unit tests. Mirrors the
+ * SQL stores' ordering, idempotency and filtering; nothing is persisted.
+ */
+class MemoryEventLogStore extends EventLogStore {
+  constructor({ eventTypes } = {}) {
+    super();
+    this.eventTypes = eventTypes || buildApprovalEventTypes();
+    this.logs = null;
+    this.approvalEvents = null;
+    this.apiKeys = null;
+    this.instances = null;
+    this.nextLogId = 1;
+  }
+
+  async init() {
+    if (this.logs) return;
+    this.logs = [];
+    this.approvalEvents = [];
+    this.apiKeys = [];
+    this.instances = new Map();
+  }
+
+  async appendLogEntry(entry) {
+    if (!this.logs) throw new Error('Database not initialized');
+
+    const id = this.nextLogId++;
+    this.logs.push({
+      id,
+      instance_id: entry.instance_id,
+      service: entry.service,
+      level: entry.level,
+      severity: entry.severity ?? null,
+      message: entry.message,
+      username: entry.username,
+      event_time: entry.event_time,
+      created_at: entry.created_at,
+      org_id: entry.org_id || '',
+      trace_id: entry.trace_id || null,
+      span_id: entry.span_id || null,
+      attributes_json: serializeAttributes(entry.attributes)
+    });
+    foldInstances([entry], this.instances);
+    return { id };
+  }
+
+  async appendLogEntries(entries) {
+    if (!this.logs) throw new Error('Database not initialized');
+
+    const ids = [];
+    for (const entry of entries) {
+      const { id } = await this.appendLogEntry(entry);
+      ids.push(id);
+    }
+    return { ids };
+  }
+
+  async queryActivity({ username, org_id, include_unscoped = true, min_severity, since, until, after, limit } = {}) {
+    if (!this.logs) throw new Error('Database not initialized');
+
+    const rows = this.logs
+      .filter(row => !org_id || row.org_id === org_id || (include_unscoped && row.org_id === ''))
+      .filter(row => !username || row.username === username)
+      .filter(row => !min_severity || row.severity >= min_severity)
+      .filter(row => !since || row.event_time >= since)
+      .filter(row => !until || row.event_time < until)
+      .filter(row => !after || compare(row.event_time, after.event_time) < 0
+        || (row.event_time === after.event_time && row.id < after.id))
+      .sort((a, b) => compare(b.event_time, a.event_time) || b.id - a.id);
+
+    return page(rows, limit).map(row => pick(row, ['id', 'instance_id', 'message', 'username', 'event_time']));
+  }
+
+  async listLogEntries(instanceId, { org_id, include_unscoped = true, attributes, min_severity, since, until, after, limit } = {}) {
+    if (!this.logs) throw new Error('Database not initialized');
+
+    const wanted = Object.entries(attributes || {});
+    const rows = this.logs
+      .filter(row => row.instance_id === instanceId)
+      .filter(row => !org_id || row.org_id === org_id || (include_unscoped && row.org_id === ''))
+      .filter(row => !min_severity || row.severity >= min_severity)
+      .filter(row => !since || row.event_time >= since)
+      .filter(row => !until || row.event_time < until)
+      .filter(row => !after || compare(row.event_time, after.event_time) > 0
+        || (row.event_time === after.event_time && row.id > after.id))
+      .map(row => withParsedAttributes(
+        pick(row, ['id', 'event_time', 'message', 'username', 'trace_id', 'span_id', 'attributes_json'])
+      ))
+      .filter(row => wanted.every(([key, value]) => {
+        const actual = row.attributes ? row.attributes[key] : undefined;
+        return actual != null && typeof actual !== 'object' && String(actual) === String(value);
+      }))
+      .sort((a, b) => compare(a.event_time, b.event_time) || a.id - b.id);
+
+    return page(rows, limit);
+  }
+
+  async searchLogEntries({ query, service, level, min_severity, org_id, include_unscoped = true, username, start, end, limit, offset }) {
+    if (!this.logs) throw new Error('Database not initialized');
+
+    const terms = parseSearchQuery(query);
+    if (!terms.length) return [];
+
+    const rows = this.logs
+      .filter(row => terms.every(term => termMatches(row.message, term)))
+      .filter(row => !service || row.service === service)
+      .filter(row => !level || levelNames(level).includes(String(row.level).trim().toLowerCase()))
+      .filter(row => !min_severity || row.severity >= min_severity)
+      .filter(row => !org_id || row.org_id === org_id || (include_unscoped && row.org_id === ''))
+      .filter(row => !username || row.username === username)
+      .filter(row => !start || row.event_time >= start)
+      .filter(row => !end || row.event_time < end)
+      .sort((a, b) => compare(b.event_time, a.event_time) || b.id - a.id);
+
+    return page(rows, limit, offset).map(row => ({
+      ...pick(row, ['id', 'instance_id', 'service', 'level', 'message', 'username', 'org_id', 'event_time']),
+      snippet: highlightSnippet(row.message, terms)
+    }));
+  }
+
+  async listExpiredLogEntries({ before, scope, exclude, limit }) {
+    if (!this.logs) throw new Error('Database not initialized');
+
+    return this.logs
+      .filter(row => row.event_time < before && matchesRetentionScope(row, scope, exclude))
+      .sort((a, b) => a.id - b.id)
+      .slice(0, limit)
+      .map(row => ({ ...row }));
+  }
+
+  async deleteLogEntries(ids) {
+    if (!this.logs) throw new Error('Database not initialized');
+
+    const doomed = new Set(ids);
+    const affected = new Set(this.logs
+      .filter(row => doomed.has(row.id))
+      .map(row => instanceKey(row.org_id, row.instance_id)));
+    const before = this.logs.length;
+    this.logs = this.logs.filter(row => !doomed.has(row.id));
+    // Recompute the instances that lost entries; empty ones are dropped.
+    for (const key of affected) this.instances.delete(key);
+    foldInstances(this.logs.filter(row => affected.has(instanceKey(row.org_id, row.instance_id))), this.instances);
+    return { deleted: before - this.logs.length };
+  }
+
+  async summarizeUnscopedLogEntries() {
+    if (!this.logs) throw new Error('Database not initialized');
+
+    const groups = new Map();
+    for (const row of this.logs.filter(r => r.org_id === '')) {
+      const key = `${row.service}\u0000${row.username}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          service: row.service,
+          username: row.username,
+          entries: 0,
+          instanceIds: new Set(),
+          first_event_time: row.event_time,
+          last_event_time: row.event_time
+        });
+      }
+      const group = groups.get(key);
+      group.entries += 1;
+      group.instanceIds.add(row.instance_id);
+      if (row.event_time < group.first_event_time) group.first_event_time = row.event_time;
+      if (row.event_time > group.last_event_time) group.last_event_time = row.event_time;
+    }
+    return [...groups.values()]
+      .map(({ instanceIds, ...group }) => ({ ...group, instances: instanceIds.size }))
+      .sort((a, b) => b.entries - a.entries || compare(a.service, b.service) || compare(a.username, b.username));
+  }
+
+  async assignOrgToUnscopedLogEntries({ org_id, dryRun = false, service, username, instance_id, before }) {
+    if (!this.logs) throw new Error('Database not initialized');
+
+    const matched = this.logs.filter(row => row.org_id === ''
+      && (!service || row.service === service)
+      && (!username || row.username === username)
+      && (!instance_id || row.instance_id === instance_id)
+      && (!before || row.event_time < before));
+    if (!dryRun) matched.forEach(row => { row.org_id = org_id; });
+    return { matched: matched.length, updated: dryRun ? 0 : matched.length };
+  }
+
+  async listInstances({ org_id, include_unscoped = true, state, service, stale_before, min_severity, limit } = {}) {
+    if (!this.instances) throw new Error('Database not initialized');
+
+    const rows = [...this.instances.values()]
+      .filter(row => !org_id || row.org_id === org_id || (include_unscoped && row.org_id === ''))
+      .filter(row => !state || row.state === state)
+      .filter(row => !service || row.service === service)
+      .filter(row => !stale_before || row.last_seen_at < stale_before)
+      .filter(row => !min_severity || countColumnsAtOrAbove(min_severity).some(column => row[column] > 0))
+      .sort((a, b) => compare(b.last_seen_at, a.last_seen_at) || compare(a.instance_id, b.instance_id));
+    return page(rows, limit).map(toInstanceRecord);
+  }
+
+  async getInstance(instanceId, { org_id, include_unscoped = true } = {}) {
+    const [row] = (await this.listInstances({ org_id, include_unscoped }))
+      .filter(record => record.instance_id === instanceId);
+    return row || null;
+  }
+
+  async rebuildInstances() {
+    if (!this.instances) throw new Error('Database not initialized');
+
+    this.instances = foldInstances(this.logs);
+    return { instances: this.instances.size };
+  }
+
+  async insertApprovalEvent(event) {
+    if (!this.approvalEvents) throw new Error('Database not initialized');
+
+    const payloadSource = event.payload_json ?? event.payload ?? event;
+    const payloadJson = typeof payloadSource === 'string' ? payloadSource : JSON.stringify(payloadSource);
+
+    let simRunId = null;
+    try {
+      const payload = typeof payloadSource === 'string' ? JSON.parse(payloadSource) : payloadSource;
+      simRunId = payload.sim_run_id || null;
+    } catch (_) {
+      // Ignore parse errors
+    }
+
+    const dedupeKey = approvalEventDedupeKey(event, this.eventTypes);
+    const duplicate = this.approvalEvents.some(row =>
+      row.event_id === event.event_id
+      || (row.org_id === event.org_id
+        && row.agent_name === event.agent_name
+        && row.decision_point_id === event.decision_point_id
+        && row.event_type === event.event_type
+        && row.dedupe_key === dedupeKey));
+    if (duplicate) return { inserted: false };
+
+    this.approvalEvents.push({
+      event_id: event.event_id,
+      org_id: event.org_id,
+      agent_name: event.agent_name,
+      decision_point_id: event.decision_point_id,
+      event_type: event.event_type,
+      created_at: event.created_at,
+      sim_run_id: simRunId,
+      payload_json: payloadJson,
+      dedupe_key: dedupeKey
+    });
+    return { inserted: true };
+  }
+
+  async getApprovalEventsByDecisionPoint(orgId, agentName, decisionPointId) {
+    if (!this.approvalEvents) throw new Error('Database not initialized');
+
+    return this.approvalEvents
+      .filter(row => row.org_id === orgId && row.agent_name === agentName && row.decision_point_id === decisionPointId)
+      .sort((a, b) => compare(a.created_at, b.created_at) || compare(a.event_id, b.event_id))
+      .map(row => pick(row, APPROVAL_EVENT_COLUMNS));
+  }
+
+  async getApprovalEventsByDecisionPoints(keys) {
+    if (!this.approvalEvents) throw new Error('Database not initialized');
+
+    const wanted = new Set(keys.map(key => JSON.stringify([key.org_id, key.agent_name, key.decision_point_id])));
+    return this.approvalEvents
+      .filter(row => wanted.has(JSON.stringify([row.org_id, row.agent_name, row.decision_point_id])))
+      .sort((a, b) => compare(a.created_at, b.created_at) || compare(a.event_id, b.event_id))
+      .map(row => pick(row, APPROVAL_EVENT_COLUMNS));
+  }
+
+  async getApprovalRequestByDecisionPoint(orgId, agentName, decisionPointId) {
+    const rows = await this.getApprovalEventsByDecisionPoint(orgId, agentName, decisionPointId);
+    const request = rows.find(row => row.event_type === 'approval_request');
+    if (!request) return null;
+    try {
+      return JSON.parse(request.payload_json);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  async queryApprovalEvents({ orgId, agentName, eventType, decided, start, end, simRunId, limit, offset }) {
+    if (!this.approvalEvents) throw new Error('Database not initialized');
+
+    const hasOutcome = (row) => this.approvalEvents.some(o => o.event_type === 'approval_outcome'
+      && o.org_id === row.org_id && o.agent_name === row.agent_name && o.decision_point_id === row.decision_point_id);
+    const rows = this.approvalEvents
+      .filter(row => row.org_id === orgId && (!agentName || row.agent_name === agentName))
+      .filter(row => !simRunId || row.sim_run_id === simRunId)
+      .filter(row => !start || row.created_at >= start)
+      .filter(row => !end || row.created_at <= end)
+      .filter(row => !eventType || row.event_type === eventType)
+      .filter(row => typeof decided !== 'boolean' || hasOutcome(row) === decided)
+      .sort((a, b) => compare(a.created_at, b.created_at) || compare(a.event_id, b.event_id));
+
+    return page(rows, limit, offset).map(row => pick(row, APPROVAL_EVENT_COLUMNS));
+  }
+
+  async listExpiredApprovalEvents({ before, scope, exclude, limit }) {
+    if (!this.approvalEvents) throw new Error('Database not initialized');
+
+    return this.approvalEvents
+      .filter(row => row.created_at < before && matchesRetentionScope(row, scope, exclude))
+      .sort((a, b) => compare(a.created_at, b.created_at) || compare(a.event_id, b.event_id))
+      .slice(0, limit)
+      .map(({ dedupe_key: _dedupeKey, ...row }) => row);
+  }
+
+  async deleteApprovalEvents(eventIds) {
+    if (!this.approvalEvents) throw new Error('Database not initialized');
+
+    const doomed = new Set(eventIds);
+    const before = this.approvalEvents.length;
+    this.approvalEvents = this.approvalEvents.filter(row => !doomed.has(row.event_id));
+    return { deleted: before - this.approvalEvents.length };
+  }
+
+  async insertApiKey(record) {
+    if (!this.apiKeys) throw new Error('Database not initialized');
+
+    if (this.apiKeys.some(row => row.key_id === record.key_id || row.key_hash === record.key_hash)) {
+      throw new Error('api key already exists');
+    }
+    this.apiKeys.push({ ...record, name: record.name || null, scopes: [...record.scopes], revoked_at: record.revoked_at || null });
+    return { key_id: record.key_id };
+  }
+
+  async getApiKeyByHash(keyHash) {
+    if (!this.apiKeys) throw new Error('Database not initialized');
+
+    const row = this.apiKeys.find(r => r.key_hash === keyHash);
+    return row ? { ...pick(row, API_KEY_PUBLIC_COLUMNS), scopes: [...row.scopes] } : null;
+  }
+
+  async listApiKeys({ orgId, includeRevoked = false } = {}) {
+    if (!this.apiKeys) throw new Error('Database not initialized');
+
+    return this.apiKeys
+      .filter(row => !orgId || row.org_id === orgId)
+      .filter(row => includeRevoked || !row.revoked_at)
+      .sort((a, b) => compare(a.created_at, b.created_at) || compare(a.key_id, b.key_id))
+      .map(row => ({ ...pick(row, API_KEY_PUBLIC_COLUMNS), scopes: [...row.scopes] }));
+  }
+
+  async revokeApiKey(keyId, revokedAt) {
+    if (!this.apiKeys) throw new Error('Database not initialized');
+
+    const row = this.apiKeys.find(r => r.key_id === keyId && !r.revoked_at);
+    if (!row) return { revoked: false };
+    row.revoked_at = revokedAt;
+    return { revoked: true };
+  }
+}
+
+module.exports = { MemoryEventLogStore };
@@ -1,5 +1,58 @@
 const mysql = require('mysql2/promise');
 const { EventLogStore } = require('./event_log_store');
+const { retentionScopeFilter } = require('./retention_scope');
+const { buildApprovalEventTypes, approvalEventDedupeKey } = require('./approval_event_types');
+const { parseSearchQuery, toMysqlBoolean, escapeLike, highlightSnippet } = require('./search_query');
+const {
+  INSERT_LOG_ENTRY_SQL,
+  logEntryParams,
+  withParsedAttributes,
+  attributePath,
+  unscopedLogEntryFilter
+} = require('./log_entry_fields');
+const {
+  API_KEY_PUBLIC_COLUMNS,
+  INSERT_API_KEY_SQL,
+  apiKeyParams,
+  withParsedScopes
+} = require('./api_key_fields');
+const {
+  INSTANCE_COLUMNS,
+  LEVEL_COUNT_COLUMNS,
+  foldInstances,
+  instanceFromEntry,
+  instanceParams,
+  instanceFilter,
+  toInstanceRecord
+} = require('./instance_fields');
+const { levelNames } = require('./log_levels');
+
+// Same rules as mergeInstanceRows. MySQL applies the assignments left to
+// right against the updated row, so state and service/username come before
+// the timestamps they compare.
+const NEWER_STATE = `VALUES(state) IS NOT NULL
+  AND (state_changed_at IS NULL OR VALUES(state_changed_at) >= state_changed_at)`;
+const UPSERT_INSTANCE_SQL = `
+  INSERT INTO instances (${INSTANCE_COLUMNS.join(', ')})
+  VALUES (${INSTANCE_COLUMNS.map(() => '?').join(', ')})
+  ON DUPLICATE KEY UPDATE
+    service = IF(VALUES(last_seen_at) >= last_seen_at, VALUES(service), service),
+    username = IF(VALUES(last_seen_at) >= last_seen_at, VALUES(username), username),
+    state = IF(${NEWER_STATE}, VALUES(state), state),
+    state_changed_at = IF(${NEWER_STATE}, VALUES(state_changed_at), state_changed_at),
+    first_seen_at = LEAST(first_seen_at, VALUES(first_seen_at)),
+    last_seen_at = GREATEST(last_seen_at, VALUES(last_seen_at)),
+    ${['entry_count', ...Object.values(LEVEL_COUNT_COLUMNS)].map(c => `${c} = ${c} + VALUES(${c})`).join(',\n    ')}
+`;
+
+// Upserting instances in key order keeps concurrent transactions from
+// locking the same rows in opposite orders.
+function sortedInstances(rows) {
+  return [...rows.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)).map(([, row]) => row);
+}
+
+// ER_FT_MATCHING_KEY_NOT_FOUND: no FULLTEXT index on agent_logs.message.
+const ER_FT_MATCHING_KEY_NOT_FOUND = 1191;
 
 class MysqlEventLogStore extends EventLogStore {
   /**
@@ -10,10 +63,13 @@ class MysqlEventLogStore extends EventLogStore {
    * @param {string} config.user
    * @param {string} config.password
    */
-  constructor(config) {
+  constructor(config, { eventTypes } = {}) {
     super();
     this.config = config;
+    this.eventTypes = eventTypes || buildApprovalEventTypes();
     this.pool = null;
+    // Flipped off the first time MATCH fails for lack of a FULLTEXT index.
+    this.fulltextAvailable = true;
   }
 
   async init() {
@@ -31,69 +87,348 @@ class MysqlEventLogStore extends EventLogStore {
     // No DDL — schema is managed by Alembic.
   }
 
+  // One entry in its own transaction: the write /api/log makes when group
+  // commit is off.
   async appendLogEntry(entry) {
-    const {
-      instance_id,
-      service,
-      level,
-      message,
-      username,
-      event_time,
-      created_at,
-      org_id
-    } = entry;
-
-    await this.pool.execute(
-      `INSERT INTO agent_logs
-         (instance_id, service, level, message, username, event_time, created_at, org_id)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [instance_id, service, level, message, username, event_time, created_at, org_id || '']
-    );
+    const conn = await this.pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [result] = await conn.execute(INSERT_LOG_ENTRY_SQL, logEntryParams(entry));
+      await conn.execute(UPSERT_INSTANCE_SQL, instanceParams(instanceFromEntry(entry)));
+      await conn.commit();
+      return { id: result.insertId };
+    } catch (err) {
+      await conn.rollback().catch(() => {});
+      throw err;
+    } finally {
+      conn.release();
+    }
   }
 
-  async queryActivityByMonth({ month, year, username, org_id }) {
-    const monthIndex = ['jan','feb','mar','apr','may','jun','jul','aug','sep','oct','nov','dec']
-      .indexOf(String(month).toLowerCase());
-    if (monthIndex === -1) return [];
-    const y = Number(year);
-    if (!Number.isFinite(y)) return [];
+  async appendLogEntries(entries) {
+    if (!entries.length) return { ids: [] };
 
-    const startDate = new Date(Date.UTC(y, monthIndex, 1));
-    startDate.setUTCDate(startDate.getUTCDate() - 1);
-    const endDate = new Date(Date.UTC(y, monthIndex + 1, 1));
-    endDate.setUTCDate(endDate.getUTCDate() + 1);
+    // One INSERT per row inside a single transaction: multi-row inserts do not
+    // guarantee consecutive AUTO_INCREMENT ids under interleaved lock mode.
+    const conn = await this.pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const ids = [];
+      for (const entry of entries) {
+        const [result] = await conn.execute(INSERT_LOG_ENTRY_SQL, logEntryParams(entry));
+        ids.push(result.insertId);
+      }
+      for (const row of sortedInstances(foldInstances(entries))) {
+        await conn.execute(UPSERT_INSTANCE_SQL, instanceParams(row));
+      }
+      await conn.commit();
+      return { ids };
+    } catch (err) {
+      await conn.rollback().catch(() => {});
+      throw err;
+    } finally {
+      conn.release();
+    }
+  }
 
-    const params = [startDate.toISOString(), endDate.toISOString()];
+  async queryActivity({ username, org_id, include_unscoped = true, min_severity, since, until, after, limit } = {}) {
+    const params = [];
     let sql = `
-      SELECT instance_id, message, username, event_time
+      SELECT id, instance_id, message, username, event_time
       FROM agent_logs
-      WHERE event_time >= ? AND event_time < ?
+      WHERE 1 = 1
     `;
+    // Rows logged without an org are shared unless include_unscoped is false.
     if (org_id) {
-      sql += ` AND org_id IN (?, '')`;
+      sql += include_unscoped ? ` AND org_id IN (?, '')` : ` AND org_id = ?`;
       params.push(org_id);
     }
     if (username) {
       sql += ` AND username = ?`;
       params.push(username);
     }
+    if (min_severity) {
+      sql += ` AND severity >= ?`;
+      params.push(min_severity);
+    }
+    if (since) {
+      sql += ` AND event_time >= ?`;
+      params.push(since);
+    }
+    if (until) {
+      sql += ` AND event_time < ?`;
+      params.push(until);
+    }
+    // Keyset paging: continue strictly after the last row of the previous page.
+    if (after) {
+      sql += ` AND (event_time < ? OR (event_time = ? AND id < ?))`;
+      params.push(after.event_time, after.event_time, after.id);
+    }
     sql += ` ORDER BY event_time DESC, id DESC`;
+    if (typeof limit === 'number') {
+      sql += ` LIMIT ?`;
+      params.push(limit);
+    }
 
     const [rows] = await this.pool.execute(sql, params);
     return rows;
   }
 
-  async listLogEntries(instanceId) {
+  async listLogEntries(instanceId, { org_id, include_unscoped = true, attributes, min_severity, since, until, after, limit } = {}) {
+    const params = [instanceId];
+    let sql = `
+      SELECT id, event_time, message, username, trace_id, span_id, attributes_json
+      FROM agent_logs
+      WHERE instance_id = ?
+    `;
+    if (org_id) {
+      sql += include_unscoped ? ` AND org_id IN (?, '')` : ` AND org_id = ?`;
+      params.push(org_id);
+    }
+    for (const [key, value] of Object.entries(attributes || {})) {
+      sql += ` AND JSON_UNQUOTE(JSON_EXTRACT(attributes_json, ?)) = ?`;
+      params.push(attributePath(key), String(value));
+    }
+    if (min_severity) {
+      sql += ` AND severity >= ?`;
+      params.push(min_severity);
+    }
+    if (since) {
+      sql += ` AND event_time >= ?`;
+      params.push(since);
+    }
+    if (until) {
+      sql += ` AND event_time < ?`;
+      params.push(until);
+    }
+    if (after) {
+      sql += ` AND (event_time > ? OR (event_time = ? AND id > ?))`;
+      params.push(after.event_time, after.event_time, after.id);
+    }
+    sql += ` ORDER BY event_time ASC, id ASC`;
+    if (typeof limit === 'number') {
+      sql += ` LIMIT ?`;
+      params.push(limit);
+    }
+
+    const [rows] = await this.pool.execute(sql, params);
+    return rows.map(withParsedAttributes);
+  }
+
+  async searchLogEntries({ query, service, level, min_severity, org_id, include_unscoped = true, username, start, end, limit, offset }) {
+    const terms = parseSearchQuery(query);
+    if (!terms.length) return [];
+
+    const filters = [];
+    const filterParams = [];
+    if (service) {
+      filters.push('service = ?');
+      filterParams.push(service);
+    }
+    if (level) {
+      const names = levelNames(level);
+      filters.push(`LOWER(TRIM(level)) IN (${names.map(() => '?').join(', ')})`);
+      filterParams.push(...names);
+    }
+    if (min_severity) {
+      filters.push('severity >= ?');
+      filterParams.push(min_severity);
+    }
+    if (org_id) {
+      filters.push(include_unscoped ? `org_id IN (?, '')` : 'org_id = ?');
+      filterParams.push(org_id);
+    }
+    if (username) {
+      filters.push('username = ?');
+      filterParams.push(username);
+    }
+    if (start) {
+      filters.push('event_time >= ?');
+      filterParams.push(start);
+    }
+    if (end) {
+      filters.push('event_time < ?');
+      filterParams.push(end);
+    }
+
+    const build = (useFulltext) => {
+      const where = [];
+      const params = [];
+      if (useFulltext) {
+        where.push('MATCH(message) AGAINST (? IN BOOLEAN MODE)');
+        params.push(toMysqlBoolean(terms));
+      } else {
+        for (const term of terms) {
+          where.push('message LIKE ?');
+          params.push(`%${escapeLike(term.text)}%`);
+        }
+      }
+      where.push(...filters);
+      params.push(...filterParams);
+      let sql = `
+        SELECT id, instance_id, service, level, message, username, org_id, event_time
+        FROM agent_logs
+        WHERE ${where.join(' AND ')}
+        ORDER BY event_time DESC, id DESC
+      `;
+      if (typeof limit === 'number') {
+        sql += ` LIMIT ?`;
+        params.push(limit);
+        if (typeof offset === 'number' && offset > 0) {
+          sql += ` OFFSET ?`;
+          params.push(offset);
+        }
+      }
+      return [sql, params];
+    };
+
+    let rows;
+    if (this.fulltextAvailable) {
+      try {
+        [rows] = await this.pool.execute(...build(true));
+      } catch (err) {
+        if (err.errno !== ER_FT_MATCHING_KEY_NOT_FOUND) throw err;
+        this.fulltextAvailable = false;
+      }
+    }
+    if (!rows) {
+      [rows] = await this.pool.execute(...build(false));
+    }
+    return rows.map(row => ({ ...row, snippet: highlightSnippet(row.message, terms) }));
+  }
+
+  async listExpiredLogEntries({ before, scope, exclude, limit }) {
+    const filter = retentionScopeFilter(['org_id', 'service'], scope, exclude);
     const [rows] = await this.pool.execute(
-      `SELECT event_time, message, username
+      `SELECT id, instance_id, service, level, message, username, event_time, created_at, org_id,
+              trace_id, span_id, attributes_json
        FROM agent_logs
-       WHERE instance_id = ?
-       ORDER BY event_time ASC, id ASC`,
-      [instanceId]
+       WHERE event_time < ?${filter.sql}
+       ORDER BY id ASC
+       LIMIT ?`,
+      [before, ...filter.params, limit]
     );
     return rows;
   }
 
+  // The instances the deleted rows belonged to are recomputed from what is
+  // left of them, in the same transaction, and dropped once empty.
+  async deleteLogEntries(ids) {
+    if (!ids.length) return { deleted: 0 };
+
+    const placeholders = ids.map(() => '?').join(', ');
+    const conn = await this.pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [affected] = await conn.execute(
+        `SELECT DISTINCT org_id, instance_id FROM agent_logs WHERE id IN (${placeholders})
+         ORDER BY org_id, instance_id`,
+        ids
+      );
+      const [result] = await conn.execute(`DELETE FROM agent_logs WHERE id IN (${placeholders})`, ids);
+      for (const { org_id, instance_id } of affected) {
+        const [rows] = await conn.execute(
+          `SELECT id, instance_id, service, level, message, username, event_time, org_id
+           FROM agent_logs WHERE org_id = ? AND instance_id = ? ORDER BY id`,
+          [org_id, instance_id]
+        );
+        await conn.execute(`DELETE FROM instances WHERE org_id = ? AND instance_id = ?`, [org_id, instance_id]);
+        for (const row of sortedInstances(foldInstances(rows))) {
+          await conn.execute(UPSERT_INSTANCE_SQL, instanceParams(row));
+        }
+      }
+      await conn.commit();
+      return { deleted: result.affectedRows };
+    } catch (err) {
+      await conn.rollback().catch(() => {});
+      throw err;
+    } finally {
+      conn.release();
+    }
+  }
+
+  async summarizeUnscopedLogEntries() {
+    const [rows] = await this.pool.query(`
+      SELECT service, username, COUNT(*) AS entries, COUNT(DISTINCT instance_id) AS instances,
+             MIN(event_time) AS first_event_time, MAX(event_time) AS last_event_time
+      FROM agent_logs
+      WHERE org_id = ''
+      GROUP BY service, username
+      ORDER BY entries DESC, service ASC, username ASC
+    `);
+    return rows.map(row => ({ ...row, entries: Number(row.entries), instances: Number(row.instances) }));
+  }
+
+  async assignOrgToUnscopedLogEntries({ org_id, dryRun = false, ...filters }) {
+    const where = unscopedLogEntryFilter(filters);
+    if (dryRun) {
+      const [rows] = await this.pool.execute(`SELECT COUNT(*) AS n FROM agent_logs WHERE ${where.sql}`, where.params);
+      return { matched: Number(rows[0].n), updated: 0 };
+    }
+    const [result] = await this.pool.execute(
+      `UPDATE agent_logs SET org_id = ? WHERE ${where.sql}`,
+      [org_id, ...where.params]
+    );
+    return { matched: result.affectedRows, updated: result.affectedRows };
+  }
+
+  async listInstances({ org_id, include_unscoped = true, state, service, stale_before, min_severity, limit } = {}) {
+    const filter = instanceFilter({ org_id, include_unscoped, state, service, stale_before, min_severity });
+    let sql = `SELECT ${INSTANCE_COLUMNS.join(', ')} FROM instances${filter.sql}
+      ORDER BY last_seen_at DESC, instance_id ASC`;
+    const params = [...filter.params];
+    if (typeof limit === 'number') {
+      sql += ` LIMIT ?`;
+      params.push(limit);
+    }
+    const [rows] = await this.pool.execute(sql, params);
+    return rows.map(toInstanceRecord);
+  }
+
+  async getInstance(instanceId, { org_id, include_unscoped = true } = {}) {
+    const filter = instanceFilter({ org_id, include_unscoped });
+    const [rows] = await this.pool.execute(
+      `SELECT ${INSTANCE_COLUMNS.join(', ')} FROM instances
+       ${filter.sql ? `${filter.sql} AND` : 'WHERE'} instance_id = ?
+       ORDER BY last_seen_at DESC LIMIT 1`,
+      [...filter.params, instanceId]
+    );
+    return toInstanceRecord(rows[0]);
+  }
+
+  // Recompute every instance row from agent_logs. Appends that land while
+  // the rebuild runs can be missed; run it when ingestion is quiet.
+  async rebuildInstances() {
+    const folded = new Map();
+    let lastId = 0;
+    for (;;) {
+      const [rows] = await this.pool.query(
+        `SELECT id, instance_id, service, level, message, username, event_time, org_id
+         FROM agent_logs WHERE id > ? ORDER BY id LIMIT 5000`,
+        [lastId]
+      );
+      if (!rows.length) break;
+      foldInstances(rows, folded);
+      lastId = rows[rows.length - 1].id;
+    }
+
+    const conn = await this.pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      await conn.query(`DELETE FROM instances`);
+      for (const row of sortedInstances(folded)) {
+        await conn.execute(UPSERT_INSTANCE_SQL, instanceParams(row));
+      }
+      await conn.commit();
+      return { instances: folded.size };
+    } catch (err) {
+      await conn.rollback().catch(() => {});
+      throw err;
+    } finally {
+      conn.release();
+    }
+  }
+
   async insertApprovalEvent(event) {
     const payloadSource = event.payload_json ?? event.payload ?? event;
     const payloadJson = typeof payloadSource === 'string' ? payloadSource : JSON.stringify(payloadSource);
@@ -108,8 +443,8 @@ class MysqlEventLogStore extends EventLogStore {
 
     const [result] = await this.pool.execute(
       `INSERT IGNORE INTO approval_events
-         (event_id, org_id, agent_name, decision_point_id, event_type, created_at, sim_run_id, payload_json)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+         (event_id, org_id, agent_name, decision_point_id, event_type, created_at, sim_run_id, payload_json, dedupe_key)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         event.event_id,
         event.org_id,
@@ -118,7 +453,8 @@ class MysqlEventLogStore extends EventLogStore {
         event.event_type,
         event.created_at,
         simRunId,
-        payloadJson
+        payloadJson,
+        approvalEventDedupeKey(event, this.eventTypes)
       ]
     );
     return { inserted: result.affectedRows > 0 };
@@ -129,12 +465,27 @@ class MysqlEventLogStore extends EventLogStore {
       `SELECT event_id, org_id, agent_name, decision_point_id, event_type, created_at, payload_json
        FROM approval_events
        WHERE org_id = ? AND agent_name = ? AND decision_point_id = ?
-       ORDER BY created_at ASC`,
+       ORDER BY created_at ASC, event_id ASC`,
       [orgId, agentName, decisionPointId]
     );
     return rows;
   }
 
+  // Events of several decision points ({ org_id, agent_name,
+  // decision_point_id } keys) in one query, oldest first.
+  async getApprovalEventsByDecisionPoints(keys) {
+    if (!keys.length) return [];
+
+    const [rows] = await this.pool.execute(
+      `SELECT event_id, org_id, agent_name, decision_point_id, event_type, created_at, payload_json
+       FROM approval_events
+       WHERE (org_id, agent_name, decision_point_id) IN (${keys.map(() => '(?, ?, ?)').join(', ')})
+       ORDER BY created_at ASC, event_id ASC`,
+      keys.flatMap(key => [key.org_id, key.agent_name, key.decision_point_id])
+    );
+    return rows;
+  }
+
   async getApprovalRequestByDecisionPoint(orgId, agentName, decisionPointId) {
     const [rows] = await this.pool.execute(
       `SELECT payload_json
@@ -152,13 +503,18 @@ class MysqlEventLogStore extends EventLogStore {
     }
   }
 
-  async queryApprovalEvents({ orgId, agentName, eventType, start, end, simRunId, limit, offset }) {
-    const params = [orgId, agentName];
+  async queryApprovalEvents({ orgId, agentName, eventType, decided, start, end, simRunId, limit, offset }) {
+    const params = [orgId];
     let sql = `
       SELECT event_id, org_id, agent_name, decision_point_id, event_type, created_at, payload_json
       FROM approval_events
-      WHERE org_id = ? AND agent_name = ?
+      WHERE org_id = ?
     `;
+    // agent_name is optional so org-wide reads (analytics) can span agents.
+    if (agentName) {
+      sql += ` AND agent_name = ?`;
+      params.push(agentName);
+    }
     if (simRunId) {
       sql += ` AND sim_run_id = ?`;
       params.push(simRunId);
@@ -175,6 +531,14 @@ class MysqlEventLogStore extends EventLogStore {
       sql += ` AND event_type = ?`;
       params.push(eventType);
     }
+    // Requests with (decided: true) or without (false) an outcome.
+    if (typeof decided === 'boolean') {
+      sql += ` AND ${decided ? '' : 'NOT '}EXISTS (
+        SELECT 1 FROM approval_events o
+        WHERE o.org_id = approval_events.org_id AND o.agent_name = approval_events.agent_name
+          AND o.decision_point_id = approval_events.decision_point_id AND o.event_type = 'approval_outcome'
+      )`;
+    }
     sql += ` ORDER BY created_at ASC, event_id ASC`;
     if (typeof limit === 'number') {
       sql += ` LIMIT ?`;
@@ -188,6 +552,66 @@ class MysqlEventLogStore extends EventLogStore {
     const [rows] = await this.pool.execute(sql, params);
     return rows;
   }
+
+  async listExpiredApprovalEvents({ before, scope, exclude, limit }) {
+    const filter = retentionScopeFilter(['org_id', 'agent_name'], scope, exclude);
+    const [rows] = await this.pool.execute(
+      `SELECT event_id, org_id, agent_name, decision_point_id, event_type, created_at, sim_run_id, payload_json
+       FROM approval_events
+       WHERE created_at < ?${filter.sql}
+       ORDER BY created_at ASC, event_id ASC
+       LIMIT ?`,
+      [before, ...filter.params, limit]
+    );
+    return rows;
+  }
+
+  async deleteApprovalEvents(eventIds) {
+    if (!eventIds.length) return { deleted: 0 };
+
+    const placeholders = eventIds.map(() => '?').join(', ');
+    const [result] = await this.pool.execute(
+      `DELETE FROM approval_events WHERE event_id IN (${placeholders})`,
+      eventIds
+    );
+    return { deleted: result.affectedRows };
+  }
+
+  async insertApiKey(record) {
+    await this.pool.execute(INSERT_API_KEY_SQL, apiKeyParams(record));
+    return { key_id: record.key_id };
+  }
+
+  async getApiKeyByHash(keyHash) {
+    const [rows] = await this.pool.execute(
+      `SELECT ${API_KEY_PUBLIC_COLUMNS.join(', ')} FROM api_keys WHERE key_hash = ?`,
+      [keyHash]
+    );
+    return rows.length ? withParsedScopes(rows[0]) : null;
+  }
+
+  async listApiKeys({ orgId, includeRevoked = false } = {}) {
+    const params = [];
+    let sql = `SELECT ${API_KEY_PUBLIC_COLUMNS.join(', ')} FROM api_keys WHERE 1 = 1`;
+    if (orgId) {
+      sql += ` AND org_id = ?`;
+      params.push(orgId);
+    }
+    if (!includeRevoked) {
+      sql += ` AND revoked_at IS NULL`;
+    }
+    sql += ` ORDER BY created_at ASC, key_id ASC`;
+    const [rows] = await this.pool.execute(sql, params);
+    return rows.map(withParsedScopes);
+  }
+
+  async revokeApiKey(keyId, revokedAt) {
+    const [result] = await this.pool.execute(
+      `UPDATE api_keys SET revoked_at = ? WHERE key_id = ? AND revoked_at IS NULL`,
+      [revokedAt, keyId]
+    );
+    return { revoked: result.affectedRows > 0 };
+  }
 }
 
 module.exports = { MysqlEventLogStore };
@@ -0,0 +1,23 @@
+// WHERE fragment for retention scopes: rows matching `scope` (column ->
+// value) but none of the `exclude` scopes, which belong to other rules.
+function retentionScopeFilter(columns, scope = {}, exclude = []) {
+  const clauses = [];
+  const params = [];
+  for (const [key, value] of Object.entries(scope)) {
+    if (!columns.includes(key)) throw new Error(`Unsupported retention scope: ${key}`);
+    clauses.push(`${key} = ?`);
+    params.push(value);
+  }
+  for (const other of exclude) {
+    const keys = Object.keys(other);
+    if (!keys.length) continue;
+    for (const key of keys) {
+      if (!columns.includes(key)) throw new Error(`Unsupported retention scope: ${key}`);
+    }
+    clauses.push(`NOT (${keys.map(k => `${k} = ?`).join(' AND ')})`);
+    params.push(...keys.map(k => other[k]));
+  }
+  return { sql: clauses.map(c => ` AND ${c}`).join(''), params };
+}
+
+module.exports = { retentionScopeFilter };
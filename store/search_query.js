@@ -0,0 +1,126 @@
+// Shared parsing for /api/log/search queries so both stores interpret the
+// same input identically.
+//
+// Syntax: bare words are ANDed, "double quoted" text is a phrase, and a
+// trailing * on a bare word makes it a prefix match.
+
+function parseSearchQuery(input) {
+  const terms = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = re.exec(String(input || ''))) !== null) {
+    if (match[1] !== undefined) {
+      const text = match[1].trim();
+      if (text) terms.push({ text, phrase: true, prefix: false });
+      continue;
+    }
+    let text = match[2].replace(/"/g, '');
+    const prefix = text.length > 1 && text.endsWith('*');
+    text = text.replace(/\*+$/, '');
+    if (text) terms.push({ text, phrase: false, prefix });
+  }
+  return terms;
+}
+
+// FTS5 MATCH expression. Every term is quoted so user input can never be
+// read as FTS5 operators.
+function toFts5Match(terms) {
+  return terms
+    .map(t => `"${t.text.replace(/"/g, '""')}"${t.prefix ? '*' : ''}`)
+    .join(' ');
+}
+
+// MySQL FULLTEXT boolean-mode expression requiring every term.
+function toMysqlBoolean(terms) {
+  return terms
+    .map(t => {
+      const text = t.text.replace(/["+\-<>()~*@]/g, ' ').trim();
+      if (!text) return '';
+      if (t.phrase || /\s/.test(text)) return `+"${text}"`;
+      return `+${text}${t.prefix ? '*' : ''}`;
+    })
+    .filter(Boolean)
+    .join(' ');
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, ch => `\\${ch}`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+// Match delimiters handed to a native snippet function. Control characters
+// do not occur in HTML, so they survive escaping and are swapped for the
+// <mark> tags afterwards.
+const SNIPPET_OPEN = '\u0002';
+const SNIPPET_CLOSE = '\u0003';
+
+/**
+ * HTML-escape a snippet built with SNIPPET_OPEN / SNIPPET_CLOSE around
+ * matches and turn those into `open` / `close`.
+ */
+function markSnippet(snippet, { open = '<mark>', close = '</mark>' } = {}) {
+  return escapeHtml(String(snippet || ''))
+    .split(SNIPPET_OPEN).join(open)
+    .split(SNIPPET_CLOSE).join(close);
+}
+
+// Word characters for highlighting: the same letters and digits the FTS
+// tokenizers and the memory store's term match treat as one token.
+const WORD = '[\\p{L}\\p{N}]';
+
+/**
+ * Highlight matched terms in a message and trim it to a window around the
+ * first match. Used where the backend has no native snippet function. Terms
+ * only match at token boundaries, so `hi` does not mark the start of `HITL`.
+ * The message text is HTML-escaped; only the `open` / `close` tags are markup.
+ */
+function highlightSnippet(message, terms, { open = '<mark>', close = '</mark>', maxLength = 160 } = {}) {
+  const text = String(message || '');
+  if (!terms.length) return text.slice(0, maxLength);
+  const pattern = new RegExp(
+    terms.map(t => `(?<!${WORD})${escapeRegExp(t.text)}${t.prefix ? `${WORD}*` : `(?!${WORD})`}`).join('|'),
+    'giu'
+  );
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > maxLength) {
+    pattern.lastIndex = 0;
+    const first = pattern.exec(text);
+    const anchor = first ? first.index : 0;
+    start = Math.max(0, anchor - Math.floor(maxLength / 4));
+    end = Math.min(text.length, start + maxLength);
+  }
+
+  const window = text.slice(start, end);
+  let html = '';
+  let last = 0;
+  for (const match of window.matchAll(pattern)) {
+    if (!match[0]) continue;
+    html += `${escapeHtml(window.slice(last, match.index))}${open}${escapeHtml(match[0])}${close}`;
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(window.slice(last));
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+}
+
+module.exports = {
+  parseSearchQuery,
+  toFts5Match,
+  toMysqlBoolean,
+  escapeLike,
+  escapeHtml,
+  SNIPPET_OPEN,
+  SNIPPET_CLOSE,
+  markSnippet,
+  highlightSnippet
+};
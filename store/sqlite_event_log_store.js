@@ -1,5 +1,48 @@
 const sqlite3 = require('sqlite3');
 const { EventLogStore } = require('./event_log_store');
+const { retentionScopeFilter } = require('./retention_scope');
+const { buildApprovalEventTypes, approvalEventDedupeKey } = require('./approval_event_types');
+const { parseSearchQuery, toFts5Match, SNIPPET_OPEN, SNIPPET_CLOSE, markSnippet } = require('./search_query');
+const { levelNames, severityCaseSql } = require('./log_levels');
+const {
+  INSERT_LOG_ENTRY_SQL,
+  logEntryParams,
+  withParsedAttributes,
+  attributePath,
+  unscopedLogEntryFilter
+} = require('./log_entry_fields');
+const {
+  API_KEY_PUBLIC_COLUMNS,
+  INSERT_API_KEY_SQL,
+  apiKeyParams,
+  withParsedScopes
+} = require('./api_key_fields');
+const {
+  INSTANCE_COLUMNS,
+  LEVEL_COUNT_COLUMNS,
+  foldInstances,
+  instanceFromEntry,
+  instanceParams,
+  instanceFilter,
+  toInstanceRecord
+} = require('./instance_fields');
+
+// Service/username follow the latest entry and state the latest state
+// change by event_time (see mergeInstanceRows).
+const NEWER_STATE = `excluded.state IS NOT NULL
+  AND (instances.state_changed_at IS NULL OR excluded.state_changed_at >= instances.state_changed_at)`;
+const UPSERT_INSTANCE_SQL = `
+  INSERT INTO instances (${INSTANCE_COLUMNS.join(', ')})
+  VALUES (${INSTANCE_COLUMNS.map(() => '?').join(', ')})
+  ON CONFLICT(org_id, instance_id) DO UPDATE SET
+    service = CASE WHEN excluded.last_seen_at >= instances.last_seen_at THEN excluded.service ELSE instances.service END,
+    username = CASE WHEN excluded.last_seen_at >= instances.last_seen_at THEN excluded.username ELSE instances.username END,
+    state = CASE WHEN ${NEWER_STATE} THEN excluded.state ELSE instances.state END,
+    state_changed_at = CASE WHEN ${NEWER_STATE} THEN excluded.state_changed_at ELSE instances.state_changed_at END,
+    first_seen_at = MIN(instances.first_seen_at, excluded.first_seen_at),
+    last_seen_at = MAX(instances.last_seen_at, excluded.last_seen_at),
+    ${['entry_count', ...Object.values(LEVEL_COUNT_COLUMNS)].map(c => `${c} = instances.${c} + excluded.${c}`).join(',\n    ')}
+`;
 
 function run(db, sql, params = []) {
   return new Promise((resolve, reject) => {
@@ -20,10 +63,33 @@ function all(db, sql, params = []) {
 }
 
 class SqliteEventLogStore extends EventLogStore {
-  constructor(dbPath) {
+  constructor(dbPath, { eventTypes } = {}) {
     super();
     this.dbPath = dbPath;
+    this.eventTypes = eventTypes || buildApprovalEventTypes();
     this.db = null;
+    // All writes share one connection, so a transaction would otherwise
+    // swallow statements issued by concurrent requests. Every write goes
+    // through exclusive(), which chains them.
+    this.writeChain = Promise.resolve();
+  }
+
+  exclusive(fn) {
+    const result = this.writeChain.then(fn);
+    this.writeChain = result.catch(() => {});
+    return result;
+  }
+
+  async transaction(fn) {
+    await run(this.db, 'BEGIN IMMEDIATE');
+    try {
+      const result = await fn();
+      await run(this.db, 'COMMIT');
+      return result;
+    } catch (err) {
+      await run(this.db, 'ROLLBACK').catch(() => {});
+      throw err;
+    }
   }
 
   async init() {
@@ -54,6 +120,27 @@ class SqliteEventLogStore extends EventLogStore {
       // Column already exists, ignore error
     }
 
+    // Migration: structured attributes and trace context
+    for (const column of ['trace_id TEXT', 'span_id TEXT', 'attributes_json TEXT']) {
+      try {
+        await run(this.db, `ALTER TABLE agent_logs ADD COLUMN ${column}`);
+      } catch (err) {
+        // Column already exists, ignore error
+      }
+    }
+
+    // Migration: numeric severity, backfilled from level once when added
+    let severityAdded = false;
+    try {
+      await run(this.db, `ALTER TABLE agent_logs ADD COLUMN severity INTEGER`);
+      severityAdded = true;
+    } catch (err) {
+      // Column already exists, ignore error
+    }
+    if (severityAdded) {
+      await run(this.db, `UPDATE agent_logs SET severity = ${severityCaseSql('level')}`);
+    }
+
     await run(this.db, `
       CREATE INDEX IF NOT EXISTS idx_agent_logs_instance_time
       ON agent_logs(instance_id, event_time)
@@ -69,6 +156,41 @@ class SqliteEventLogStore extends EventLogStore {
       ON agent_logs(org_id, instance_id, event_time)
     `);
 
+    await run(this.db, `
+      CREATE INDEX IF NOT EXISTS idx_agent_logs_trace
+      ON agent_logs(trace_id)
+    `);
+
+    // Full-text index over messages, kept in sync by triggers. Rebuilt once
+    // when first created so existing rows become searchable.
+    const ftsExisting = await all(
+      this.db,
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'agent_logs_fts'`
+    );
+    await run(this.db, `
+      CREATE VIRTUAL TABLE IF NOT EXISTS agent_logs_fts
+      USING fts5(message, content='agent_logs', content_rowid='id')
+    `);
+    await run(this.db, `
+      CREATE TRIGGER IF NOT EXISTS agent_logs_fts_insert AFTER INSERT ON agent_logs BEGIN
+        INSERT INTO agent_logs_fts(rowid, message) VALUES (new.id, new.message);
+      END
+    `);
+    await run(this.db, `
+      CREATE TRIGGER IF NOT EXISTS agent_logs_fts_delete AFTER DELETE ON agent_logs BEGIN
+        INSERT INTO agent_logs_fts(agent_logs_fts, rowid, message) VALUES ('delete', old.id, old.message);
+      END
+    `);
+    await run(this.db, `
+      CREATE TRIGGER IF NOT EXISTS agent_logs_fts_update AFTER UPDATE OF message ON agent_logs BEGIN
+        INSERT INTO agent_logs_fts(agent_logs_fts, rowid, message) VALUES ('delete', old.id, old.message);
+        INSERT INTO agent_logs_fts(rowid, message) VALUES (new.id, new.message);
+      END
+    `);
+    if (!ftsExisting.length) {
+      await run(this.db, `INSERT INTO agent_logs_fts(agent_logs_fts) VALUES ('rebuild')`);
+    }
+
     await run(this.db, `
       CREATE TABLE IF NOT EXISTS approval_events (
         event_id TEXT PRIMARY KEY,
@@ -78,13 +200,23 @@ class SqliteEventLogStore extends EventLogStore {
         event_type TEXT NOT NULL,
         created_at TEXT NOT NULL,
         sim_run_id TEXT,
-        payload_json TEXT NOT NULL
+        payload_json TEXT NOT NULL,
+        dedupe_key TEXT NOT NULL DEFAULT ''
       )
     `);
 
+    // Migration: multi-per-decision event types need dedupe_key in the
+    // idempotency index; existing rows are all single ('').
+    try {
+      await run(this.db, `ALTER TABLE approval_events ADD COLUMN dedupe_key TEXT NOT NULL DEFAULT ''`);
+    } catch (err) {
+      // Column already exists, ignore error
+    }
+    await run(this.db, `DROP INDEX IF EXISTS uniq_approval_events_idempotent`);
+
     await run(this.db, `
-      CREATE UNIQUE INDEX IF NOT EXISTS uniq_approval_events_idempotent
-      ON approval_events(org_id, agent_name, decision_point_id, event_type)
+      CREATE UNIQUE INDEX IF NOT EXISTS uniq_approval_events_dedupe
+      ON approval_events(org_id, agent_name, decision_point_id, event_type, dedupe_key)
     `);
 
     await run(this.db, `
@@ -113,91 +245,379 @@ class SqliteEventLogStore extends EventLogStore {
       CREATE INDEX IF NOT EXISTS idx_approval_events_sim_run
       ON approval_events(org_id, agent_name, sim_run_id, event_type, created_at)
     `);
+
+    await run(this.db, `
+      CREATE TABLE IF NOT EXISTS api_keys (
+        key_id TEXT PRIMARY KEY,
+        org_id TEXT NOT NULL,
+        name TEXT,
+        scopes TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        key_prefix TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT
+      )
+    `);
+
+    await run(this.db, `
+      CREATE INDEX IF NOT EXISTS idx_api_keys_org
+      ON api_keys(org_id, created_at)
+    `);
+
+    // Instance registry, maintained by the append methods. Built from the
+    // existing rows once when first created.
+    const instancesExisting = await all(
+      this.db,
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'instances'`
+    );
+    await run(this.db, `
+      CREATE TABLE IF NOT EXISTS instances (
+        org_id TEXT NOT NULL DEFAULT '',
+        instance_id TEXT NOT NULL,
+        service TEXT NOT NULL,
+        username TEXT NOT NULL,
+        state TEXT,
+        state_changed_at TEXT,
+        first_seen_at TEXT NOT NULL,
+        last_seen_at TEXT NOT NULL,
+        entry_count INTEGER NOT NULL DEFAULT 0,
+        debug_count INTEGER NOT NULL DEFAULT 0,
+        info_count INTEGER NOT NULL DEFAULT 0,
+        warn_count INTEGER NOT NULL DEFAULT 0,
+        error_count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (org_id, instance_id)
+      )
+    `);
+
+    await run(this.db, `
+      CREATE INDEX IF NOT EXISTS idx_instances_last_seen
+      ON instances(last_seen_at)
+    `);
+
+    await run(this.db, `
+      CREATE INDEX IF NOT EXISTS idx_instances_org_state
+      ON instances(org_id, state, last_seen_at)
+    `);
+    if (!instancesExisting.length) {
+      await this.rebuildInstances();
+    }
   }
 
+  // One entry in its own transaction: the write /api/log makes when group
+  // commit is off.
   async appendLogEntry(entry) {
     if (!this.db) throw new Error('Database not initialized');
 
-    const {
-      instance_id,
-      service,
-      level,
-      message,
-      username,
-      event_time,
-      created_at,
-      org_id
-    } = entry;
-
-    await run(
-      this.db,
-      `
-        INSERT INTO agent_logs (
-          instance_id, service, level, message, username, event_time, created_at, org_id
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `,
-      [
-        instance_id,
-        service,
-        level,
-        message,
-        username,
-        event_time,
-        created_at,
-        org_id || ''
-      ]
-    );
+    return this.exclusive(() => this.transaction(async () => {
+      const result = await run(this.db, INSERT_LOG_ENTRY_SQL, logEntryParams(entry));
+      await run(this.db, UPSERT_INSTANCE_SQL, instanceParams(instanceFromEntry(entry)));
+      return { id: result.lastID };
+    }));
+  }
+
+  async appendLogEntries(entries) {
+    if (!this.db) throw new Error('Database not initialized');
+    if (!entries.length) return { ids: [] };
+
+    return this.exclusive(() => this.transaction(async () => {
+      const ids = [];
+      for (const entry of entries) {
+        const result = await run(this.db, INSERT_LOG_ENTRY_SQL, logEntryParams(entry));
+        ids.push(result.lastID);
+      }
+      for (const row of foldInstances(entries).values()) {
+        await run(this.db, UPSERT_INSTANCE_SQL, instanceParams(row));
+      }
+      return { ids };
+    }));
   }
 
-  async queryActivityByMonth({ month, year, username, org_id }) {
+  // Activity across instances, newest first, for event_time in [since, until).
+  async queryActivity({ username, org_id, include_unscoped = true, min_severity, since, until, after, limit } = {}) {
     if (!this.db) throw new Error('Database not initialized');
 
-    // Build date range for the requested month in Pacific time.
-    // month is a 3-letter abbreviation (e.g. "jan"), year is a 4-digit string/number.
-    const monthIndex = ['jan','feb','mar','apr','may','jun','jul','aug','sep','oct','nov','dec']
-      .indexOf(String(month).toLowerCase());
-    if (monthIndex === -1) return [];
-    const y = Number(year);
-    if (!Number.isFinite(y)) return [];
-
-    // ISO range: first ms of month through last ms of month (in UTC).
-    // We widen by 1 day on each side to account for Pacific offset.
-    const startDate = new Date(Date.UTC(y, monthIndex, 1));
-    startDate.setUTCDate(startDate.getUTCDate() - 1);
-    const endDate = new Date(Date.UTC(y, monthIndex + 1, 1));
-    endDate.setUTCDate(endDate.getUTCDate() + 1);
-
-    const params = [startDate.toISOString(), endDate.toISOString()];
+    const params = [];
     let sql = `
-      SELECT instance_id, message, username, event_time
+      SELECT id, instance_id, message, username, event_time
       FROM agent_logs
-      WHERE event_time >= ? AND event_time < ?
+      WHERE 1 = 1
     `;
+    // Rows logged without an org are shared unless include_unscoped is false.
     if (org_id) {
-      sql += ` AND org_id IN (?, '')`;
+      sql += include_unscoped ? ` AND org_id IN (?, '')` : ` AND org_id = ?`;
       params.push(org_id);
     }
     if (username) {
       sql += ` AND username = ?`;
       params.push(username);
     }
+    if (min_severity) {
+      sql += ` AND severity >= ?`;
+      params.push(min_severity);
+    }
+    if (since) {
+      sql += ` AND event_time >= ?`;
+      params.push(since);
+    }
+    if (until) {
+      sql += ` AND event_time < ?`;
+      params.push(until);
+    }
+    // Keyset paging: continue strictly after the last row of the previous page.
+    if (after) {
+      sql += ` AND (event_time < ? OR (event_time = ? AND id < ?))`;
+      params.push(after.event_time, after.event_time, after.id);
+    }
     sql += ` ORDER BY event_time DESC, id DESC`;
+    if (typeof limit === 'number') {
+      sql += ` LIMIT ?`;
+      params.push(limit);
+    }
 
     return all(this.db, sql, params);
   }
 
-  async listLogEntries(instanceId) {
+  async listLogEntries(instanceId, { org_id, include_unscoped = true, attributes, min_severity, since, until, after, limit } = {}) {
+    if (!this.db) throw new Error('Database not initialized');
+
+    const params = [instanceId];
+    let sql = `
+      SELECT id, event_time, message, username, trace_id, span_id, attributes_json
+      FROM agent_logs
+      WHERE instance_id = ?
+    `;
+    if (org_id) {
+      sql += include_unscoped ? ` AND org_id IN (?, '')` : ` AND org_id = ?`;
+      params.push(org_id);
+    }
+    // Compare attribute values as text; JSON booleans read back as 1/0 so
+    // they are spelled out to match the other stores.
+    for (const [key, value] of Object.entries(attributes || {})) {
+      sql += `
+        AND (CASE json_type(attributes_json, ?)
+               WHEN 'true' THEN 'true'
+               WHEN 'false' THEN 'false'
+               ELSE CAST(json_extract(attributes_json, ?) AS TEXT)
+             END) = ?
+      `;
+      params.push(attributePath(key), attributePath(key), String(value));
+    }
+    if (min_severity) {
+      sql += ` AND severity >= ?`;
+      params.push(min_severity);
+    }
+    if (since) {
+      sql += ` AND event_time >= ?`;
+      params.push(since);
+    }
+    if (until) {
+      sql += ` AND event_time < ?`;
+      params.push(until);
+    }
+    if (after) {
+      sql += ` AND (event_time > ? OR (event_time = ? AND id > ?))`;
+      params.push(after.event_time, after.event_time, after.id);
+    }
+    sql += ` ORDER BY event_time ASC, id ASC`;
+    if (typeof limit === 'number') {
+      sql += ` LIMIT ?`;
+      params.push(limit);
+    }
+
+    const rows = await all(this.db, sql, params);
+    return rows.map(withParsedAttributes);
+  }
+
+  async searchLogEntries({ query, service, level, min_severity, org_id, include_unscoped = true, username, start, end, limit, offset }) {
+    if (!this.db) throw new Error('Database not initialized');
+
+    const terms = parseSearchQuery(query);
+    if (!terms.length) return [];
+
+    const params = [SNIPPET_OPEN, SNIPPET_CLOSE, toFts5Match(terms)];
+    let sql = `
+      SELECT l.id, l.instance_id, l.service, l.level, l.message, l.username, l.org_id, l.event_time,
+             snippet(agent_logs_fts, 0, ?, ?, '…', 24) AS snippet
+      FROM agent_logs_fts
+      JOIN agent_logs l ON l.id = agent_logs_fts.rowid
+      WHERE agent_logs_fts MATCH ?
+    `;
+    if (service) {
+      sql += ` AND l.service = ?`;
+      params.push(service);
+    }
+    if (level) {
+      const names = levelNames(level);
+      sql += ` AND LOWER(TRIM(l.level)) IN (${names.map(() => '?').join(', ')})`;
+      params.push(...names);
+    }
+    if (min_severity) {
+      sql += ` AND l.severity >= ?`;
+      params.push(min_severity);
+    }
+    if (org_id) {
+      sql += include_unscoped ? ` AND l.org_id IN (?, '')` : ` AND l.org_id = ?`;
+      params.push(org_id);
+    }
+    if (username) {
+      sql += ` AND l.username = ?`;
+      params.push(username);
+    }
+    if (start) {
+      sql += ` AND l.event_time >= ?`;
+      params.push(start);
+    }
+    if (end) {
+      sql += ` AND l.event_time < ?`;
+      params.push(end);
+    }
+    sql += ` ORDER BY l.event_time DESC, l.id DESC`;
+    if (typeof limit === 'number') {
+      sql += ` LIMIT ?`;
+      params.push(limit);
+      if (typeof offset === 'number' && offset > 0) {
+        sql += ` OFFSET ?`;
+        params.push(offset);
+      }
+    }
+
+    const rows = await all(this.db, sql, params);
+    return rows.map(row => ({ ...row, snippet: markSnippet(row.snippet) }));
+  }
+
+  async listExpiredLogEntries({ before, scope, exclude, limit }) {
     if (!this.db) throw new Error('Database not initialized');
+
+    const filter = retentionScopeFilter(['org_id', 'service'], scope, exclude);
     return all(
       this.db,
       `
-        SELECT event_time, message, username
+        SELECT id, instance_id, service, level, message, username, event_time, created_at, org_id,
+               trace_id, span_id, attributes_json
         FROM agent_logs
-        WHERE instance_id = ?
-        ORDER BY event_time ASC, id ASC
+        WHERE event_time < ?${filter.sql}
+        ORDER BY id ASC
+        LIMIT ?
       `,
-      [instanceId]
+      [before, ...filter.params, limit]
+    );
+  }
+
+  // The instances the deleted rows belonged to are recomputed from what is
+  // left of them, in the same transaction, and dropped once empty.
+  async deleteLogEntries(ids) {
+    if (!this.db) throw new Error('Database not initialized');
+    if (!ids.length) return { deleted: 0 };
+
+    const placeholders = ids.map(() => '?').join(', ');
+    return this.exclusive(() => this.transaction(async () => {
+      const affected = await all(
+        this.db,
+        `SELECT DISTINCT org_id, instance_id FROM agent_logs WHERE id IN (${placeholders})`,
+        ids
+      );
+      const result = await run(this.db, `DELETE FROM agent_logs WHERE id IN (${placeholders})`, ids);
+      for (const { org_id, instance_id } of affected) {
+        const rows = await all(
+          this.db,
+          `SELECT id, instance_id, service, level, message, username, event_time, org_id
+           FROM agent_logs WHERE org_id = ? AND instance_id = ? ORDER BY id`,
+          [org_id, instance_id]
+        );
+        await run(this.db, `DELETE FROM instances WHERE org_id = ? AND instance_id = ?`, [org_id, instance_id]);
+        for (const row of foldInstances(rows).values()) {
+          await run(this.db, UPSERT_INSTANCE_SQL, instanceParams(row));
+        }
+      }
+      return { deleted: result.changes };
+    }));
+  }
+
+  async summarizeUnscopedLogEntries() {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return all(this.db, `
+      SELECT service, username, COUNT(*) AS entries, COUNT(DISTINCT instance_id) AS instances,
+             MIN(event_time) AS first_event_time, MAX(event_time) AS last_event_time
+      FROM agent_logs
+      WHERE org_id = ''
+      GROUP BY service, username
+      ORDER BY entries DESC, service ASC, username ASC
+    `);
+  }
+
+  async assignOrgToUnscopedLogEntries({ org_id, dryRun = false, ...filters }) {
+    if (!this.db) throw new Error('Database not initialized');
+
+    const where = unscopedLogEntryFilter(filters);
+    if (dryRun) {
+      const rows = await all(this.db, `SELECT COUNT(*) AS n FROM agent_logs WHERE ${where.sql}`, where.params);
+      return { matched: rows[0].n, updated: 0 };
+    }
+    const result = await this.exclusive(() => run(
+      this.db,
+      `UPDATE agent_logs SET org_id = ? WHERE ${where.sql}`,
+      [org_id, ...where.params]
+    ));
+    return { matched: result.changes, updated: result.changes };
+  }
+
+  async listInstances({ org_id, include_unscoped = true, state, service, stale_before, min_severity, limit } = {}) {
+    if (!this.db) throw new Error('Database not initialized');
+
+    const filter = instanceFilter({ org_id, include_unscoped, state, service, stale_before, min_severity });
+    let sql = `SELECT ${INSTANCE_COLUMNS.join(', ')} FROM instances${filter.sql}
+      ORDER BY last_seen_at DESC, instance_id ASC`;
+    const params = [...filter.params];
+    if (typeof limit === 'number') {
+      sql += ` LIMIT ?`;
+      params.push(limit);
+    }
+    const rows = await all(this.db, sql, params);
+    return rows.map(toInstanceRecord);
+  }
+
+  async getInstance(instanceId, { org_id, include_unscoped = true } = {}) {
+    if (!this.db) throw new Error('Database not initialized');
+
+    const filter = instanceFilter({ org_id, include_unscoped });
+    const rows = await all(
+      this.db,
+      `SELECT ${INSTANCE_COLUMNS.join(', ')} FROM instances
+       ${filter.sql ? `${filter.sql} AND` : 'WHERE'} instance_id = ?
+       ORDER BY last_seen_at DESC LIMIT 1`,
+      [...filter.params, instanceId]
     );
+    return toInstanceRecord(rows[0]);
+  }
+
+  // Recompute every instance row from agent_logs, e.g. after rows were
+  // reassigned to another org.
+  async rebuildInstances() {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return this.exclusive(async () => {
+      const folded = new Map();
+      let lastId = 0;
+      for (;;) {
+        const rows = await all(
+          this.db,
+          `SELECT id, instance_id, service, level, message, username, event_time, org_id
+           FROM agent_logs WHERE id > ? ORDER BY id LIMIT 5000`,
+          [lastId]
+        );
+        if (!rows.length) break;
+        foldInstances(rows, folded);
+        lastId = rows[rows.length - 1].id;
+      }
+      return this.transaction(async () => {
+        await run(this.db, `DELETE FROM instances`);
+        for (const row of folded.values()) {
+          await run(this.db, UPSERT_INSTANCE_SQL, instanceParams(row));
+        }
+        return { instances: folded.size };
+      });
+    });
   }
 
   async insertApprovalEvent(event) {
@@ -215,12 +635,12 @@ class SqliteEventLogStore extends EventLogStore {
       // Ignore parse errors
     }
 
-    const result = await run(
+    const result = await this.exclusive(() => run(
       this.db,
       `
         INSERT OR IGNORE INTO approval_events (
-          event_id, org_id, agent_name, decision_point_id, event_type, created_at, sim_run_id, payload_json
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          event_id, org_id, agent_name, decision_point_id, event_type, created_at, sim_run_id, payload_json, dedupe_key
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `,
       [
         event.event_id,
@@ -230,9 +650,10 @@ class SqliteEventLogStore extends EventLogStore {
         event.event_type,
         event.created_at,
         simRunId,
-        payloadJson
+        payloadJson,
+        approvalEventDedupeKey(event, this.eventTypes)
       ]
-    );
+    ));
     return { inserted: Boolean(result && result.changes) };
   }
 
@@ -245,12 +666,30 @@ class SqliteEventLogStore extends EventLogStore {
         SELECT event_id, org_id, agent_name, decision_point_id, event_type, created_at, payload_json
         FROM approval_events
         WHERE org_id = ? AND agent_name = ? AND decision_point_id = ?
-        ORDER BY created_at ASC
+        ORDER BY created_at ASC, event_id ASC
       `,
       [orgId, agentName, decisionPointId]
     );
   }
 
+  // Events of several decision points ({ org_id, agent_name,
+  // decision_point_id } keys) in one query, oldest first.
+  async getApprovalEventsByDecisionPoints(keys) {
+    if (!this.db) throw new Error('Database not initialized');
+    if (!keys.length) return [];
+
+    return all(
+      this.db,
+      `
+        SELECT event_id, org_id, agent_name, decision_point_id, event_type, created_at, payload_json
+        FROM approval_events
+        WHERE (org_id, agent_name, decision_point_id) IN (VALUES ${keys.map(() => '(?, ?, ?)').join(', ')})
+        ORDER BY created_at ASC, event_id ASC
+      `,
+      keys.flatMap(key => [key.org_id, key.agent_name, key.decision_point_id])
+    );
+  }
+
   async getApprovalRequestByDecisionPoint(orgId, agentName, decisionPointId) {
     if (!this.db) throw new Error('Database not initialized');
 
@@ -274,15 +713,20 @@ class SqliteEventLogStore extends EventLogStore {
     }
   }
 
-  async queryApprovalEvents({ orgId, agentName, eventType, start, end, simRunId, limit, offset }) {
+  async queryApprovalEvents({ orgId, agentName, eventType, decided, start, end, simRunId, limit, offset }) {
     if (!this.db) throw new Error('Database not initialized');
 
-    const params = [orgId, agentName];
+    const params = [orgId];
     let sql = `
       SELECT event_id, org_id, agent_name, decision_point_id, event_type, created_at, payload_json
       FROM approval_events
-      WHERE org_id = ? AND agent_name = ?
+      WHERE org_id = ?
     `;
+    // agent_name is optional so org-wide reads (analytics) can span agents.
+    if (agentName) {
+      sql += ` AND agent_name = ?`;
+      params.push(agentName);
+    }
     if (simRunId) {
       sql += ` AND sim_run_id = ?`;
       params.push(simRunId);
@@ -299,6 +743,14 @@ class SqliteEventLogStore extends EventLogStore {
       sql += ` AND event_type = ?`;
       params.push(eventType);
     }
+    // Requests with (decided: true) or without (false) an outcome.
+    if (typeof decided === 'boolean') {
+      sql += ` AND ${decided ? '' : 'NOT '}EXISTS (
+        SELECT 1 FROM approval_events o
+        WHERE o.org_id = approval_events.org_id AND o.agent_name = approval_events.agent_name
+          AND o.decision_point_id = approval_events.decision_point_id AND o.event_type = 'approval_outcome'
+      )`;
+    }
     sql += ` ORDER BY created_at ASC, event_id ASC`;
     if (typeof limit === 'number') {
       sql += ` LIMIT ?`;
@@ -311,6 +763,82 @@ class SqliteEventLogStore extends EventLogStore {
 
     return all(this.db, sql, params);
   }
+
+  async listExpiredApprovalEvents({ before, scope, exclude, limit }) {
+    if (!this.db) throw new Error('Database not initialized');
+
+    const filter = retentionScopeFilter(['org_id', 'agent_name'], scope, exclude);
+    return all(
+      this.db,
+      `
+        SELECT event_id, org_id, agent_name, decision_point_id, event_type, created_at, sim_run_id, payload_json
+        FROM approval_events
+        WHERE created_at < ?${filter.sql}
+        ORDER BY created_at ASC, event_id ASC
+        LIMIT ?
+      `,
+      [before, ...filter.params, limit]
+    );
+  }
+
+  async deleteApprovalEvents(eventIds) {
+    if (!this.db) throw new Error('Database not initialized');
+    if (!eventIds.length) return { deleted: 0 };
+
+    const placeholders = eventIds.map(() => '?').join(', ');
+    const result = await this.exclusive(() => run(
+      this.db,
+      `DELETE FROM approval_events WHERE event_id IN (${placeholders})`,
+      eventIds
+    ));
+    return { deleted: result.changes };
+  }
+
+  async insertApiKey(record) {
+    if (!this.db) throw new Error('Database not initialized');
+
+    await this.exclusive(() => run(this.db, INSERT_API_KEY_SQL, apiKeyParams(record)));
+    return { key_id: record.key_id };
+  }
+
+  async getApiKeyByHash(keyHash) {
+    if (!this.db) throw new Error('Database not initialized');
+
+    const rows = await all(
+      this.db,
+      `SELECT ${API_KEY_PUBLIC_COLUMNS.join(', ')} FROM api_keys WHERE key_hash = ?`,
+      [keyHash]
+    );
+    return rows.length ? withParsedScopes(rows[0]) : null;
+  }
+
+  async listApiKeys({ orgId, includeRevoked = false } = {}) {
+    if (!this.db) throw new Error('Database not initialized');
+
+    const params = [];
+    let sql = `SELECT ${API_KEY_PUBLIC_COLUMNS.join(', ')} FROM api_keys WHERE 1 = 1`;
+    if (orgId) {
+      sql += ` AND org_id = ?`;
+      params.push(orgId);
+    }
+    if (!includeRevoked) {
+      sql += ` AND revoked_at IS NULL`;
+    }
+    sql += ` ORDER BY created_at ASC, key_id ASC`;
+    const rows = await all(this.db, sql, params);
+    return rows.map(withParsedScopes);
+  }
+
+  async revokeApiKey(keyId, revokedAt) {
+    if (!this.db) throw new Error('Database not initialized');
+
+    const result = await this.exclusive(() => run(
+      this.db,
+      `UPDATE api_keys SET revoked_at = ? WHERE key_id = ? AND revoked_at IS NULL`,
+      [revokedAt, keyId]
+    ));
+    return { revoked: Boolean(result && result.changes) };
+  }
 }
 
 module.exports = { SqliteEventLogStore };
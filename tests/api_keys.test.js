@@ -0,0 +1,49 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { MemoryEventLogStore } = require('../store/memory_event_log_store');
+const { ApiKeyResolver, generateApiKey, hashApiKey, normalizeScopes } = require('../lib/api_keys');
+
+async function issue(store, scopes = ['log:read']) {
+  const { keyId, key, keyHash, keyPrefix } = generateApiKey();
+  await store.insertApiKey({
+    key_id: keyId,
+    org_id: 'O-0001',
+    scopes,
+    key_hash: keyHash,
+    key_prefix: keyPrefix,
+    created_at: '2026-01-01T00:00:00.000Z'
+  });
+  return { keyId, key };
+}
+
+test('generateApiKey stores only a hash of the key it returns', () => {
+  const { key, keyHash, keyPrefix } = generateApiKey();
+  assert.match(key, /^alk_[A-Za-z0-9_-]{32}$/);
+  assert.equal(keyHash, hashApiKey(key));
+  assert.ok(key.startsWith(keyPrefix));
+  assert.notEqual(generateApiKey().key, key);
+});
+
+test('normalizeScopes rejects empty and unknown scopes', () => {
+  assert.deepEqual(normalizeScopes(['log:read', 'log:read', 'rlhf:write']), { scopes: ['log:read', 'rlhf:write'] });
+  assert.deepEqual(normalizeScopes([]), { error: 'scopes_required' });
+  assert.deepEqual(normalizeScopes(['admin']), { error: 'invalid_scope', scope: 'admin' });
+});
+
+test('ApiKeyResolver resolves active keys and forgets revoked ones on invalidate', async () => {
+  const store = new MemoryEventLogStore();
+  await store.init();
+  const resolver = new ApiKeyResolver(store, { ttlMs: 60000 });
+  const { keyId, key } = await issue(store, ['log:write']);
+
+  const record = await resolver.resolve(key);
+  assert.equal(record.org_id, 'O-0001');
+  assert.deepEqual(record.scopes, ['log:write']);
+  assert.equal(await resolver.resolve('alk_unknown'), null);
+
+  await store.revokeApiKey(keyId, '2026-01-02T00:00:00.000Z');
+  assert.ok(await resolver.resolve(key), 'cached until invalidated');
+  resolver.invalidate(keyId);
+  assert.equal(await resolver.resolve(key), null);
+});
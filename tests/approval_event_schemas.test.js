@@ -0,0 +1,89 @@
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { test } = require('node:test');
+
+const { validateSchema } = require('../lib/json_schema');
+const { ApprovalEventSchemaRegistry } = require('../lib/approval_event_schemas');
+
+const registry = ApprovalEventSchemaRegistry.fromDirectory(path.join(__dirname, '..', 'schemas', 'approval_events'));
+
+function requestEvent(payload) {
+  return {
+    event_id: 'evt_1',
+    org_id: 'org_1',
+    agent_name: 'agent',
+    decision_point_id: 'dp_1',
+    event_type: 'approval_request',
+    created_at: '2026-01-01T00:00:00Z',
+    payload_json: payload
+  };
+}
+
+test('validateSchema reports every violation with a JSON pointer path', () => {
+  const schema = {
+    type: 'object',
+    required: ['a', 'b'],
+    properties: {
+      a: { type: 'string', minLength: 2 },
+      b: {},
+      list: { type: 'array', items: { type: 'integer', minimum: 0 } }
+    },
+    additionalProperties: false
+  };
+  const violations = validateSchema(schema, { a: 'x', list: [1, -1, 'z'], extra: true });
+  assert.deepEqual(violations.map(v => [v.path, v.keyword]), [
+    ['/b', 'required'],
+    ['/a', 'minLength'],
+    ['/list/1', 'minimum'],
+    ['/list/2', 'type'],
+    ['/extra', 'additionalProperties']
+  ]);
+  assert.deepEqual(validateSchema(schema, { a: 'xy', b: null }), []);
+});
+
+test('registry loads bundled schemas keyed by event_type and event_version', () => {
+  const keys = registry.list().map(s => `${s.event_type}@${s.event_version}`);
+  assert.ok(keys.includes('approval_request@1.0'));
+  assert.ok(keys.includes('approval_outcome@1.0'));
+  assert.equal(registry.get('approval_request', '9.9'), null);
+});
+
+test('validate accepts a conforming payload given as an object or a string', () => {
+  const payload = { event_id: 'evt_1', event_type: 'approval_request', event_version: '1.0', proposal: { action: 'send' } };
+  assert.equal(registry.validate(requestEvent(payload)).valid, true);
+  const result = registry.validate(requestEvent(JSON.stringify(payload)));
+  assert.equal(result.valid, true);
+  assert.equal(result.event_version, '1.0');
+});
+
+test('validate rejects missing versions, unknown versions and bad fields', () => {
+  const missing = registry.validate(requestEvent({ event_id: 'evt_1', event_type: 'approval_request' }));
+  assert.equal(missing.valid, false);
+  assert.deepEqual(missing.violations[0].path, '/event_version');
+
+  const unknown = registry.validate(requestEvent({ event_id: 'evt_1', event_type: 'approval_request', event_version: '9.9' }));
+  assert.equal(unknown.violations[0].keyword, 'schema');
+
+  const bad = registry.validate(requestEvent({
+    event_id: 'evt_1', event_type: 'approval_request', event_version: '1.0', created_at: 'yesterday', context: []
+  }));
+  assert.deepEqual(bad.violations.map(v => v.path), ['/created_at', '/context']);
+
+  const unparsable = registry.validate(requestEvent('{not json'));
+  assert.equal(unparsable.violations[0].keyword, 'json');
+});
+
+test('approval_outcome takes its decision from any of the fields decision stats read', () => {
+  const outcome = (fields) => registry.validate({
+    ...requestEvent(null),
+    event_type: 'approval_outcome',
+    payload_json: { event_id: 'evt_2', event_type: 'approval_outcome', event_version: '1.0', ...fields }
+  });
+  for (const field of ['decision', 'outcome', 'status', 'result']) {
+    assert.equal(outcome({ [field]: 'approved' }).valid, true, field);
+  }
+  assert.equal(outcome({ result: true }).valid, true);
+  assert.deepEqual(outcome({ comment: 'ok' }).violations, [
+    { path: '', keyword: 'anyOf', message: 'must have one of decision, outcome, status or result' }
+  ]);
+});
@@ -0,0 +1,563 @@
+const assert = require('node:assert/strict');
+const { describe, test, beforeEach, after } = require('node:test');
+
+const { MemoryEventLogStore } = require('../store/memory_event_log_store');
+const { SqliteEventLogStore } = require('../store/sqlite_event_log_store');
+const { MysqlEventLogStore } = require('../store/mysql_event_log_store');
+
+// Every EventLogStore backend must pass this suite. MySQL joins when
+// MYSQL_TEST_DATABASE points at a disposable database with the Alembic
+// schema applied; its tables are emptied before each test.
+const backends = [
+  { name: 'memory', create: async () => new MemoryEventLogStore() },
+  { name: 'sqlite', create: async () => new SqliteEventLogStore(':memory:') }
+];
+
+if (process.env.MYSQL_TEST_DATABASE) {
+  let shared = null;
+  backends.push({
+    name: 'mysql',
+    create: async () => {
+      if (!shared) {
+        shared = new MysqlEventLogStore({
+          host: process.env.MYSQL_TEST_HOST || '127.0.0.1',
+          port: parseInt(process.env.MYSQL_TEST_PORT || '3306', 10),
+          database: process.env.MYSQL_TEST_DATABASE,
+          user: process.env.MYSQL_TEST_USER || 'amp_user',
+          password: process.env.MYSQL_TEST_PASSWORD || ''
+        });
+        await shared.init();
+      }
+      await shared.pool.query('DELETE FROM agent_logs');
+      await shared.pool.query('DELETE FROM approval_events');
+      await shared.pool.query('DELETE FROM api_keys');
+      await shared.pool.query('DELETE FROM instances');
+      return shared;
+    },
+    close: async () => {
+      if (shared) await shared.pool.end();
+    }
+  });
+}
+
+// MySQL hands DATETIME columns back as Date objects.
+const iso = (value) => new Date(value).toISOString();
+
+function makeLogEntry(overrides = {}) {
+  return {
+    instance_id: 'email-20260112221000',
+    service: 'agent-email',
+    level: 'info',
+    message: 'state - active',
+    username: 'tester@example.com',
+    event_time: '2026-01-12T22:10:15.000Z',
+    created_at: '2026-01-12T22:10:15.000Z',
+    org_id: 'O-0001',
+    ...overrides
+  };
+}
+
+function makeApprovalEvent(overrides = {}) {
+  const event = {
+    event_id: 'ev_0001',
+    org_id: 'O-0001',
+    agent_name: 'payment',
+    decision_point_id: 'dp_0001',
+    event_type: 'approval_request',
+    created_at: '2026-01-12T22:10:15.000Z',
+    ...overrides
+  };
+  return {
+    ...event,
+    payload_json: {
+      event_id: event.event_id,
+      event_type: event.event_type,
+      event_version: '1.0',
+      ...(overrides.sim_run_id ? { sim_run_id: overrides.sim_run_id } : {})
+    }
+  };
+}
+
+for (const backend of backends) {
+  describe(`EventLogStore conformance: ${backend.name}`, () => {
+    let store;
+
+    beforeEach(async () => {
+      store = await backend.create();
+      await store.init();
+    });
+
+    if (backend.close) {
+      after(backend.close);
+    }
+
+    test('listLogEntries orders by event_time then insertion order', async () => {
+      await store.appendLogEntry(makeLogEntry({ message: 'second', event_time: '2026-01-12T22:10:16.000Z' }));
+      await store.appendLogEntry(makeLogEntry({ message: 'first-a', event_time: '2026-01-12T22:10:15.000Z' }));
+      await store.appendLogEntry(makeLogEntry({ message: 'first-b', event_time: '2026-01-12T22:10:15.000Z' }));
+      await store.appendLogEntry(makeLogEntry({ instance_id: 'other', message: 'elsewhere' }));
+
+      const rows = await store.listLogEntries('email-20260112221000');
+      assert.deepEqual(rows.map(r => r.message), ['first-a', 'first-b', 'second']);
+      assert.deepEqual(
+        Object.keys(rows[0]).sort(),
+        ['attributes', 'event_time', 'id', 'message', 'span_id', 'trace_id', 'username']
+      );
+    });
+
+    test('appendLogEntry and appendLogEntries return the ids listLogEntries reports', async () => {
+      const single = await store.appendLogEntry(makeLogEntry({ message: 'one' }));
+      const batch = await store.appendLogEntries([
+        makeLogEntry({ message: 'two', event_time: '2026-01-12T22:10:16.000Z' }),
+        makeLogEntry({ message: 'three', event_time: '2026-01-12T22:10:17.000Z' })
+      ]);
+
+      const rows = await store.listLogEntries('email-20260112221000');
+      assert.deepEqual(rows.map(r => r.id), [single.id, ...batch.ids]);
+      assert.deepEqual(await store.appendLogEntries([]), { ids: [] });
+    });
+
+    test('listLogEntries returns trace context and filters on attribute values', async () => {
+      await store.appendLogEntries([
+        makeLogEntry({
+          message: 'tool call',
+          trace_id: '4bf92f3577b34da6a3ce929d0e0e4736',
+          span_id: '00f067aa0ba902b7',
+          attributes: { tool: 'send_email', attempt: 2, dry_run: true }
+        }),
+        makeLogEntry({ message: 'plain', event_time: '2026-01-12T22:10:16.000Z' }),
+        makeLogEntry({ message: 'other tool', event_time: '2026-01-12T22:10:17.000Z', attributes: { tool: 'lookup' } })
+      ]);
+
+      const rows = await store.listLogEntries('email-20260112221000');
+      assert.deepEqual(rows[0].attributes, { tool: 'send_email', attempt: 2, dry_run: true });
+      assert.equal(rows[0].trace_id, '4bf92f3577b34da6a3ce929d0e0e4736');
+      assert.equal(rows[0].span_id, '00f067aa0ba902b7');
+      assert.equal(rows[1].attributes, null);
+      assert.equal(rows[1].trace_id, null);
+
+      const filtered = await store.listLogEntries('email-20260112221000', {
+        attributes: { tool: 'send_email', attempt: '2', dry_run: 'true' }
+      });
+      assert.deepEqual(filtered.map(r => r.message), ['tool call']);
+      const none = await store.listLogEntries('email-20260112221000', { attributes: { tool: 'missing' } });
+      assert.deepEqual(none, []);
+    });
+
+    test('queryActivity returns newest first within the range and scopes org_id to the org plus unscoped rows', async () => {
+      await store.appendLogEntries([
+        makeLogEntry({ instance_id: 'a', event_time: '2026-01-05T00:00:00.000Z' }),
+        makeLogEntry({ instance_id: 'b', event_time: '2026-01-20T00:00:00.000Z', org_id: '' }),
+        makeLogEntry({ instance_id: 'c', event_time: '2026-01-21T00:00:00.000Z', org_id: 'O-0002' }),
+        makeLogEntry({ instance_id: 'd', event_time: '2026-01-22T00:00:00.000Z', username: 'other@example.com' }),
+        makeLogEntry({ instance_id: 'e', event_time: '2026-03-01T00:00:00.000Z' })
+      ]);
+
+      const rows = await store.queryActivity({ since: '2026-01-01T00:00:00.000Z', until: '2026-02-01T00:00:00.000Z', org_id: 'O-0001' });
+      assert.deepEqual(rows.map(r => r.instance_id), ['d', 'b', 'a']);
+      assert.equal(iso(rows[0].event_time), '2026-01-22T00:00:00.000Z');
+
+      const byUser = await store.queryActivity({ since: '2026-01-01T00:00:00.000Z', until: '2026-02-01T00:00:00.000Z', username: 'other@example.com' });
+      assert.deepEqual(byUser.map(r => r.instance_id), ['d']);
+
+      const march = await store.queryActivity({ since: '2026-03-01T00:00:00.000Z' });
+      assert.deepEqual(march.map(r => r.instance_id), ['e']);
+    });
+
+    test('listLogEntries and queryActivity page by keyset and time range', async () => {
+      const { ids } = await store.appendLogEntries([
+        makeLogEntry({ message: 'm1', event_time: '2026-01-12T22:10:00.000Z' }),
+        makeLogEntry({ message: 'm2', event_time: '2026-01-12T22:10:00.000Z' }),
+        makeLogEntry({ message: 'm3', event_time: '2026-01-12T22:11:00.000Z' }),
+        makeLogEntry({ message: 'm4', event_time: '2026-01-12T22:12:00.000Z' })
+      ]);
+      const key = (i) => ({ event_time: '2026-01-12T22:10:00.000Z', id: ids[i] });
+
+      const first = await store.listLogEntries('email-20260112221000', { limit: 2 });
+      assert.deepEqual(first.map(r => r.message), ['m1', 'm2']);
+      const second = await store.listLogEntries('email-20260112221000', { after: key(0), limit: 2 });
+      assert.deepEqual(second.map(r => r.message), ['m2', 'm3']);
+      const ranged = await store.listLogEntries('email-20260112221000', {
+        since: '2026-01-12T22:11:00.000Z',
+        until: '2026-01-12T22:12:00.000Z'
+      });
+      assert.deepEqual(ranged.map(r => r.message), ['m3']);
+
+      const newest = await store.queryActivity({ limit: 2 });
+      assert.deepEqual(newest.map(r => r.message), ['m4', 'm3']);
+      const older = await store.queryActivity({ after: key(1) });
+      assert.deepEqual(older.map(r => r.message), ['m1']);
+      const window = await store.queryActivity({
+        since: '2026-01-12T22:10:30.000Z', until: '2026-01-12T22:12:00.000Z'
+      });
+      assert.deepEqual(window.map(r => r.message), ['m3']);
+    });
+
+    test('searchLogEntries requires every term and filters by org', async () => {
+      await store.appendLogEntries([
+        makeLogEntry({ instance_id: 'a', message: 'smtp connection refused by host' }),
+        makeLogEntry({ instance_id: 'b', message: 'connection established', event_time: '2026-01-12T22:10:16.000Z' }),
+        makeLogEntry({ instance_id: 'c', message: 'smtp connection refused by host', org_id: 'O-0002' })
+      ]);
+
+      const rows = await store.searchLogEntries({ query: '"connection refused"', org_id: 'O-0001', limit: 10 });
+      assert.deepEqual(rows.map(r => r.instance_id), ['a']);
+      assert.match(rows[0].snippet, /<mark>/);
+
+      const paged = await store.searchLogEntries({ query: 'connection', limit: 1, offset: 1 });
+      assert.equal(paged.length, 1);
+    });
+
+    test('searchLogEntries matches event_time in [start, end)', async () => {
+      await store.appendLogEntries([
+        makeLogEntry({ instance_id: 'a', message: 'disk full', event_time: '2026-01-12T22:10:00.000Z' }),
+        makeLogEntry({ instance_id: 'b', message: 'disk full', event_time: '2026-01-12T22:11:00.000Z' }),
+        makeLogEntry({ instance_id: 'c', message: 'disk full', event_time: '2026-01-12T22:12:00.000Z' })
+      ]);
+
+      const rows = await store.searchLogEntries({
+        query: 'disk',
+        start: '2026-01-12T22:10:00.000Z',
+        end: '2026-01-12T22:12:00.000Z',
+        limit: 10
+      });
+      assert.deepEqual(rows.map(r => r.instance_id), ['b', 'a']);
+    });
+
+    test('searchLogEntries escapes HTML in snippets', async () => {
+      await store.appendLogEntries([
+        makeLogEntry({ message: 'render failed <img src=x onerror="alert(1)"> & retried' })
+      ]);
+
+      const [row] = await store.searchLogEntries({ query: 'render', limit: 10 });
+      assert.equal(
+        row.snippet,
+        '<mark>render</mark> failed &lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; retried'
+      );
+      assert.match(row.message, /<img/);
+    });
+
+    test('searchLogEntries matches a level filter against legacy level spellings', async () => {
+      await store.appendLogEntries([
+        makeLogEntry({ instance_id: 'a', level: 'WARNING', message: 'disk slow' }),
+        makeLogEntry({ instance_id: 'b', level: 'warn', message: 'disk slow' }),
+        makeLogEntry({ instance_id: 'c', level: 'Error', message: 'disk slow' })
+      ]);
+
+      const warn = await store.searchLogEntries({ query: 'disk', level: 'warn', limit: 10 });
+      assert.deepEqual(warn.map(r => r.instance_id).sort(), ['a', 'b']);
+      const error = await store.searchLogEntries({ query: 'disk', level: 'error', limit: 10 });
+      assert.deepEqual(error.map(r => r.instance_id), ['c']);
+    });
+
+    test('searchLogEntries does not highlight a term inside a longer word', async () => {
+      await store.appendLogEntries([makeLogEntry({ message: '[HITL] hi from the reviewer' })]);
+
+      const [row] = await store.searchLogEntries({ query: 'hi', limit: 10 });
+      assert.equal(row.snippet, '[HITL] <mark>hi</mark> from the reviewer');
+    });
+
+    test('insertApprovalEvent is idempotent on org/agent/decision/type', async () => {
+      const first = await store.insertApprovalEvent(makeApprovalEvent());
+      const replay = await store.insertApprovalEvent(makeApprovalEvent());
+      const sameSlot = await store.insertApprovalEvent(makeApprovalEvent({ event_id: 'ev_0002' }));
+      const outcome = await store.insertApprovalEvent(makeApprovalEvent({
+        event_id: 'ev_0003',
+        event_type: 'approval_outcome',
+        created_at: '2026-01-12T22:11:15.000Z'
+      }));
+
+      assert.deepEqual([first, replay, sameSlot, outcome].map(r => r.inserted), [true, false, false, true]);
+      const rows = await store.getApprovalEventsByDecisionPoint('O-0001', 'payment', 'dp_0001');
+      assert.deepEqual(rows.map(r => r.event_type), ['approval_request', 'approval_outcome']);
+
+      const request = await store.getApprovalRequestByDecisionPoint('O-0001', 'payment', 'dp_0001');
+      assert.equal(request.event_id, 'ev_0001');
+      assert.equal(await store.getApprovalRequestByDecisionPoint('O-0001', 'payment', 'missing'), null);
+    });
+
+    test('an approval insert during a failing log batch is kept', async () => {
+      const entries = Array.from({ length: 50 }, (_, i) => makeLogEntry({ message: `line ${i}` }));
+      // NOT NULL violation in the SQL stores.
+      entries.push(makeLogEntry({ message: null }));
+      const batch = store.appendLogEntries(entries);
+      // Let the batch open its transaction first.
+      await new Promise(resolve => setImmediate(resolve));
+      const [batchResult, inserted] = await Promise.allSettled([batch, store.insertApprovalEvent(makeApprovalEvent())]);
+
+      assert.deepEqual(inserted.value, { inserted: true });
+      const rows = await store.getApprovalEventsByDecisionPoint('O-0001', 'payment', 'dp_0001');
+      assert.deepEqual(rows.map(r => r.event_id), ['ev_0001']);
+      if (batchResult.status === 'rejected') {
+        assert.deepEqual(await store.listLogEntries('email-20260112221000'), []);
+      }
+    });
+
+    test('multi-per-decision event types are deduplicated only by event_id', async () => {
+      const comment = (eventId, minute) => makeApprovalEvent({
+        event_id: eventId,
+        event_type: 'feedback_comment',
+        created_at: `2026-01-12T22:1${minute}:00.000Z`
+      });
+      const results = [
+        await store.insertApprovalEvent(comment('ev_c1', 1)),
+        await store.insertApprovalEvent(comment('ev_c2', 2)),
+        await store.insertApprovalEvent(comment('ev_c1', 1)),
+        await store.insertApprovalEvent(makeApprovalEvent({ event_id: 'ev_x1', event_type: 'approval_expired' })),
+        await store.insertApprovalEvent(makeApprovalEvent({ event_id: 'ev_x2', event_type: 'approval_expired' }))
+      ];
+
+      assert.deepEqual(results.map(r => r.inserted), [true, true, false, true, false]);
+      const comments = await store.queryApprovalEvents({
+        orgId: 'O-0001', agentName: 'payment', eventType: 'feedback_comment',
+        start: '2026-01-01T00:00:00.000Z', end: '2026-02-01T00:00:00.000Z'
+      });
+      assert.deepEqual(comments.map(r => r.event_id), ['ev_c1', 'ev_c2']);
+    });
+
+    test('queryApprovalEvents scopes by org and agent, filters and pages in order', async () => {
+      for (let i = 1; i <= 5; i++) {
+        await store.insertApprovalEvent(makeApprovalEvent({
+          event_id: `ev_${i}`,
+          decision_point_id: `dp_${i}`,
+          created_at: `2026-01-1${i}T00:00:00.000Z`,
+          sim_run_id: i % 2 ? 'sim_odd' : undefined
+        }));
+      }
+      await store.insertApprovalEvent(makeApprovalEvent({ event_id: 'ev_other_org', org_id: 'O-0002' }));
+      await store.insertApprovalEvent(makeApprovalEvent({ event_id: 'ev_other_agent', agent_name: 'email' }));
+
+      const base = { orgId: 'O-0001', agentName: 'payment' };
+      const all = await store.queryApprovalEvents({ ...base, start: '2026-01-01T00:00:00.000Z', end: '2026-02-01T00:00:00.000Z' });
+      assert.deepEqual(all.map(r => r.event_id), ['ev_1', 'ev_2', 'ev_3', 'ev_4', 'ev_5']);
+
+      const page = await store.queryApprovalEvents({ ...base, limit: 2, offset: 2 });
+      assert.deepEqual(page.map(r => r.event_id), ['ev_3', 'ev_4']);
+
+      const ranged = await store.queryApprovalEvents({ ...base, start: '2026-01-12T00:00:00.000Z', end: '2026-01-14T00:00:00.000Z' });
+      assert.deepEqual(ranged.map(r => r.event_id), ['ev_2', 'ev_3', 'ev_4']);
+
+      const sim = await store.queryApprovalEvents({ ...base, simRunId: 'sim_odd' });
+      assert.deepEqual(sim.map(r => r.event_id), ['ev_1', 'ev_3', 'ev_5']);
+
+      const outcomes = await store.queryApprovalEvents({ ...base, eventType: 'approval_outcome' });
+      assert.deepEqual(outcomes, []);
+
+      const orgWide = await store.queryApprovalEvents({ orgId: 'O-0001', start: '2026-01-12T22:10:15.000Z', end: '2026-01-12T22:10:15.000Z' });
+      assert.deepEqual(orgWide.map(r => r.event_id).sort(), ['ev_other_agent']);
+    });
+
+    test('queryApprovalEvents filters requests by decided before paging', async () => {
+      for (let i = 1; i <= 4; i++) {
+        await store.insertApprovalEvent(makeApprovalEvent({
+          event_id: `ev_${i}`, decision_point_id: `dp_${i}`, created_at: `2026-01-1${i}T00:00:00.000Z`
+        }));
+      }
+      await store.insertApprovalEvent(makeApprovalEvent({
+        event_id: 'ev_out_1', decision_point_id: 'dp_1', event_type: 'approval_outcome', created_at: '2026-01-15T00:00:00.000Z'
+      }));
+      await store.insertApprovalEvent(makeApprovalEvent({
+        event_id: 'ev_out_other', agent_name: 'email', decision_point_id: 'dp_2',
+        event_type: 'approval_outcome', created_at: '2026-01-15T00:00:00.000Z'
+      }));
+
+      const base = { orgId: 'O-0001', agentName: 'payment', eventType: 'approval_request' };
+      const pending = await store.queryApprovalEvents({ ...base, decided: false, limit: 2 });
+      assert.deepEqual(pending.map(r => r.event_id), ['ev_2', 'ev_3']);
+      const decided = await store.queryApprovalEvents({ ...base, decided: true });
+      assert.deepEqual(decided.map(r => r.event_id), ['ev_1']);
+    });
+
+    test('getApprovalEventsByDecisionPoints reads several decision points at once', async () => {
+      await store.insertApprovalEvent(makeApprovalEvent({ event_id: 'ev_1', created_at: '2026-01-12T00:00:00.000Z' }));
+      await store.insertApprovalEvent(makeApprovalEvent({
+        event_id: 'ev_2', event_type: 'approval_outcome', created_at: '2026-01-12T01:00:00.000Z'
+      }));
+      await store.insertApprovalEvent(makeApprovalEvent({ event_id: 'ev_3', decision_point_id: 'dp_0002' }));
+      await store.insertApprovalEvent(makeApprovalEvent({ event_id: 'ev_4', agent_name: 'email' }));
+
+      const rows = await store.getApprovalEventsByDecisionPoints([
+        { org_id: 'O-0001', agent_name: 'payment', decision_point_id: 'dp_0001' },
+        { org_id: 'O-0001', agent_name: 'payment', decision_point_id: 'dp_0002' }
+      ]);
+      assert.deepEqual(rows.map(r => r.event_id), ['ev_1', 'ev_2', 'ev_3']);
+      assert.deepEqual(await store.getApprovalEventsByDecisionPoints([]), []);
+    });
+
+    test('listLogEntries can be limited to one org', async () => {
+      await store.appendLogEntries([
+        makeLogEntry({ message: 'mine' }),
+        makeLogEntry({ message: 'theirs', org_id: 'O-0002', event_time: '2026-01-12T22:10:16.000Z' })
+      ]);
+      const rows = await store.listLogEntries('email-20260112221000', { org_id: 'O-0001' });
+      assert.deepEqual(rows.map(r => r.message), ['mine']);
+    });
+
+    test('listLogEntries and searchLogEntries include unscoped rows unless told not to', async () => {
+      await store.appendLogEntries([
+        makeLogEntry({ message: 'mine' }),
+        makeLogEntry({ message: 'legacy', org_id: '', event_time: '2026-01-12T22:10:16.000Z' }),
+        makeLogEntry({ message: 'theirs', org_id: 'O-0002', event_time: '2026-01-12T22:10:17.000Z' })
+      ]);
+
+      const shared = await store.listLogEntries('email-20260112221000', { org_id: 'O-0001' });
+      assert.deepEqual(shared.map(r => r.message), ['mine', 'legacy']);
+      const strict = await store.listLogEntries('email-20260112221000', { org_id: 'O-0001', include_unscoped: false });
+      assert.deepEqual(strict.map(r => r.message), ['mine']);
+
+      const found = await store.searchLogEntries({ query: 'legacy', org_id: 'O-0001', limit: 10 });
+      assert.deepEqual(found.map(r => r.message), ['legacy']);
+      assert.deepEqual(await store.searchLogEntries({ query: 'legacy', org_id: 'O-0001', include_unscoped: false, limit: 10 }), []);
+    });
+
+    test('queryActivity can exclude unscoped rows', async () => {
+      await store.appendLogEntries([
+        makeLogEntry({ instance_id: 'a', event_time: '2026-01-05T00:00:00.000Z' }),
+        makeLogEntry({ instance_id: 'b', event_time: '2026-01-06T00:00:00.000Z', org_id: '' })
+      ]);
+      const rows = await store.queryActivity({ org_id: 'O-0001', include_unscoped: false });
+      assert.deepEqual(rows.map(r => r.instance_id), ['a']);
+    });
+
+    test('unscoped log entries are summarized and assigned to an org', async () => {
+      await store.appendLogEntries([
+        makeLogEntry({ instance_id: 'a', org_id: '', event_time: '2026-01-05T00:00:00.000Z' }),
+        makeLogEntry({ instance_id: 'b', org_id: '', event_time: '2026-01-06T00:00:00.000Z' }),
+        makeLogEntry({ instance_id: 'c', org_id: '', service: 'agent-pay', event_time: '2026-01-07T00:00:00.000Z' }),
+        makeLogEntry({ instance_id: 'd', event_time: '2026-01-08T00:00:00.000Z' })
+      ]);
+
+      const groups = await store.summarizeUnscopedLogEntries();
+      assert.deepEqual(groups.map(g => [g.service, g.entries, g.instances]), [['agent-email', 2, 2], ['agent-pay', 1, 1]]);
+      assert.equal(iso(groups[0].first_event_time), '2026-01-05T00:00:00.000Z');
+
+      const dry = await store.assignOrgToUnscopedLogEntries({ org_id: 'O-0002', service: 'agent-email', dryRun: true });
+      assert.deepEqual(dry, { matched: 2, updated: 0 });
+      const done = await store.assignOrgToUnscopedLogEntries({ org_id: 'O-0002', service: 'agent-email', before: '2026-01-06T00:00:00.000Z' });
+      assert.deepEqual(done, { matched: 1, updated: 1 });
+      assert.deepEqual((await store.listLogEntries('a', { org_id: 'O-0002' })).length, 1);
+      assert.deepEqual((await store.summarizeUnscopedLogEntries()).map(g => g.entries), [1, 1]);
+    });
+
+    test('appends maintain the instances table', async () => {
+      await store.appendLogEntries([
+        makeLogEntry({ event_time: '2026-01-12T22:10:15.000Z' }),
+        makeLogEntry({ level: 'error', message: 'timeout', event_time: '2026-01-12T22:11:00.000Z' }),
+        makeLogEntry({ instance_id: 'pay-1', service: 'agent-pay', org_id: 'O-0002', event_time: '2026-01-12T22:12:00.000Z' })
+      ]);
+      await store.appendLogEntry(makeLogEntry({ level: 'warn', message: 'state - done (tester@example.com)', event_time: '2026-01-12T22:20:00.000Z' }));
+      // Arrives late: counted, but does not roll the state back.
+      await store.appendLogEntry(makeLogEntry({ message: 'state - active', event_time: '2026-01-12T22:05:00.000Z' }));
+
+      const instance = await store.getInstance('email-20260112221000', { org_id: 'O-0001' });
+      assert.equal(instance.state, 'done');
+      assert.equal(iso(instance.state_changed_at), '2026-01-12T22:20:00.000Z');
+      assert.equal(iso(instance.first_seen_at), '2026-01-12T22:05:00.000Z');
+      assert.equal(iso(instance.last_seen_at), '2026-01-12T22:20:00.000Z');
+      assert.deepEqual(instance.counts, { total: 4, debug: 0, info: 2, warn: 1, error: 1 });
+      assert.equal(await store.getInstance('pay-1', { org_id: 'O-0001' }), null);
+
+      assert.deepEqual((await store.listInstances()).map(i => i.instance_id), ['email-20260112221000', 'pay-1']);
+      assert.deepEqual((await store.listInstances({ state: 'active' })).map(i => i.instance_id), ['pay-1']);
+      assert.deepEqual((await store.listInstances({ org_id: 'O-0002', service: 'agent-pay' })).length, 1);
+      const stale = await store.listInstances({ stale_before: '2026-01-12T22:15:00.000Z' });
+      assert.deepEqual(stale.map(i => i.instance_id), ['pay-1']);
+
+      assert.deepEqual(await store.rebuildInstances(), { instances: 2 });
+      assert.deepEqual(await store.getInstance('email-20260112221000', { org_id: 'O-0001' }), instance);
+    });
+
+    test('min_severity filters log reads and the instance listing', async () => {
+      await store.appendLogEntries([
+        makeLogEntry({ level: 'debug', severity: 5, message: 'retry scheduled', event_time: '2026-01-12T22:10:00.000Z' }),
+        makeLogEntry({ level: 'warn', severity: 13, message: 'retry slow', event_time: '2026-01-12T22:11:00.000Z' }),
+        makeLogEntry({ level: 'fatal', severity: 21, message: 'retry exhausted', event_time: '2026-01-12T22:12:00.000Z' }),
+        makeLogEntry({ instance_id: 'pay-1', level: 'info', severity: 9, message: 'retry ok', event_time: '2026-01-12T22:13:00.000Z' })
+      ]);
+      const messages = rows => rows.map(r => r.message);
+
+      assert.deepEqual(messages(await store.listLogEntries('email-20260112221000', { min_severity: 13 })),
+        ['retry slow', 'retry exhausted']);
+      assert.deepEqual(messages(await store.queryActivity({ min_severity: 9 })),
+        ['retry ok', 'retry exhausted', 'retry slow']);
+      assert.deepEqual(messages(await store.searchLogEntries({ query: 'retry', min_severity: 17 })),
+        ['retry exhausted']);
+
+      const instanceIds = async (min_severity) => (await store.listInstances({ min_severity })).map(i => i.instance_id);
+      assert.deepEqual(await instanceIds(9), ['pay-1', 'email-20260112221000']);
+      // fatal entries are counted as errors in the instance table.
+      assert.deepEqual(await instanceIds(21), ['email-20260112221000']);
+    });
+
+    test('deleting log entries recomputes the instances they belonged to', async () => {
+      await store.appendLogEntries([
+        makeLogEntry({ level: 'error', severity: 17, message: 'state - active', event_time: '2025-01-01T00:00:00.000Z' }),
+        makeLogEntry({ level: 'warn', severity: 13, message: 'retry slow', event_time: '2025-02-01T00:00:00.000Z' }),
+        makeLogEntry({ message: 'sent reply', event_time: '2026-01-01T00:00:00.000Z' })
+      ]);
+      const expired = await store.listExpiredLogEntries({ before: '2025-06-01T00:00:00.000Z', scope: {}, exclude: [], limit: 1 });
+      await store.deleteLogEntries(expired.map(r => r.id));
+
+      const instance = await store.getInstance('email-20260112221000', { org_id: 'O-0001' });
+      assert.deepEqual(instance.counts, { total: 2, debug: 0, info: 1, warn: 1, error: 0 });
+      assert.equal(iso(instance.first_seen_at), '2025-02-01T00:00:00.000Z');
+      assert.equal(instance.state, null);
+      assert.deepEqual(await store.listInstances({ min_severity: 17 }), []);
+    });
+
+    test('api keys are found by hash, listed without it and revoked once', async () => {
+      const record = (keyId, orgId, createdAt) => ({
+        key_id: keyId,
+        org_id: orgId,
+        name: `${keyId} key`,
+        scopes: ['log:write', 'rlhf:read'],
+        key_hash: `hash_${keyId}`,
+        key_prefix: 'alk_abcdef',
+        created_at: createdAt
+      });
+      await store.insertApiKey(record('key_a', 'O-0001', '2026-01-01T00:00:00.000Z'));
+      await store.insertApiKey(record('key_b', 'O-0001', '2026-01-02T00:00:00.000Z'));
+      await store.insertApiKey(record('key_c', 'O-0002', '2026-01-03T00:00:00.000Z'));
+
+      const found = await store.getApiKeyByHash('hash_key_a');
+      assert.equal(found.key_id, 'key_a');
+      assert.equal(found.org_id, 'O-0001');
+      assert.deepEqual(found.scopes, ['log:write', 'rlhf:read']);
+      assert.equal(found.key_hash, undefined);
+      assert.equal(await store.getApiKeyByHash('missing'), null);
+
+      assert.deepEqual(await store.revokeApiKey('key_a', '2026-01-04T00:00:00.000Z'), { revoked: true });
+      assert.deepEqual(await store.revokeApiKey('key_a', '2026-01-05T00:00:00.000Z'), { revoked: false });
+      assert.equal((await store.getApiKeyByHash('hash_key_a')).revoked_at, '2026-01-04T00:00:00.000Z');
+
+      const active = await store.listApiKeys({ orgId: 'O-0001' });
+      assert.deepEqual(active.map(k => k.key_id), ['key_b']);
+      const all = await store.listApiKeys({ includeRevoked: true });
+      assert.deepEqual(all.map(k => k.key_id), ['key_a', 'key_b', 'key_c']);
+      assert.ok(all.every(k => !('key_hash' in k)));
+    });
+
+    test('retention listing honours scope and exclusions, deletion removes rows', async () => {
+      await store.appendLogEntries([
+        makeLogEntry({ instance_id: 'old', event_time: '2025-01-01T00:00:00.000Z' }),
+        makeLogEntry({ instance_id: 'old-excluded', event_time: '2025-01-01T00:00:00.000Z', service: 'agent-pay' }),
+        makeLogEntry({ instance_id: 'new', event_time: '2026-01-01T00:00:00.000Z' })
+      ]);
+      const expired = await store.listExpiredLogEntries({
+        before: '2025-06-01T00:00:00.000Z',
+        scope: { org_id: 'O-0001' },
+        exclude: [{ service: 'agent-pay' }],
+        limit: 10
+      });
+      assert.deepEqual(expired.map(r => r.instance_id), ['old']);
+      assert.deepEqual(await store.deleteLogEntries(expired.map(r => r.id)), { deleted: 1 });
+      assert.deepEqual(await store.listLogEntries('old'), []);
+      assert.equal(await store.getInstance('old'), null);
+
+      await store.insertApprovalEvent(makeApprovalEvent({ created_at: '2025-01-01T00:00:00.000Z' }));
+      const events = await store.listExpiredApprovalEvents({ before: '2025-06-01T00:00:00.000Z', scope: {}, exclude: [], limit: 10 });
+      assert.deepEqual(events.map(r => r.event_id), ['ev_0001']);
+      assert.deepEqual(await store.deleteApprovalEvents(['ev_0001']), { deleted: 1 });
+    });
+  });
+}
@@ -0,0 +1,77 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { IngestLimiter } = require('../lib/ingest_limits');
+
+function entries(count, overrides = {}) {
+  return Array.from({ length: count }, () => ({
+    org_id: 'O-0001',
+    service: 'agent-email',
+    instance_id: 'email-1',
+    ...overrides
+  }));
+}
+
+function clock(start = '2026-01-12T10:00:00.000Z') {
+  let nowMs = Date.parse(start);
+  return {
+    now: () => nowMs,
+    advance: (ms) => { nowMs += ms; }
+  };
+}
+
+test('token bucket refuses past the burst and refills at the rate', () => {
+  const time = clock();
+  const limiter = new IngestLimiter({ instance_id: { rate: 2, burst: 4 } }, { now: time.now });
+
+  assert.equal(limiter.take(entries(4)).allowed, true);
+  const refused = limiter.take(entries(1));
+  assert.deepEqual(refused, {
+    allowed: false, error: 'rate_limited', dimension: 'instance_id', org_id: 'O-0001', key: 'email-1', retry_after: 1
+  });
+  assert.equal(limiter.take(entries(1, { instance_id: 'email-2' })).allowed, true);
+
+  time.advance(1000);
+  assert.equal(limiter.take(entries(2)).allowed, true);
+  assert.equal(limiter.take(entries(1)).allowed, false);
+});
+
+test('a refused batch consumes nothing, and an oversized one drains a full bucket', () => {
+  const time = clock();
+  const limiter = new IngestLimiter({ service: { rate: 1, burst: 3 }, org_id: { rate: 100 } }, { now: time.now });
+
+  assert.equal(limiter.take(entries(10)).allowed, true);
+  assert.equal(limiter.take(entries(1)).allowed, false);
+  const org = limiter.usage({ orgId: 'O-0001' }).usage.find(u => u.dimension === 'org_id');
+  assert.equal(org.tokens, 90);
+
+  time.advance(8000);
+  assert.equal(limiter.take(entries(1)).allowed, true);
+});
+
+test('daily quotas reset at UTC midnight and overrides replace the defaults', () => {
+  const time = clock('2026-01-12T23:59:00.000Z');
+  const limiter = new IngestLimiter({
+    org_id: { daily_quota: 5 },
+    overrides: { org_id: { 'O-0002': { daily_quota: 50 } } }
+  }, { now: time.now });
+
+  assert.equal(limiter.take(entries(5)).allowed, true);
+  const refused = limiter.take(entries(1));
+  assert.equal(refused.error, 'daily_quota_exceeded');
+  assert.equal(refused.retry_after, 60);
+  assert.equal(limiter.take(entries(20, { org_id: 'O-0002' })).allowed, true);
+
+  const { day, usage } = limiter.usage();
+  assert.equal(day, '2026-01-12');
+  assert.deepEqual(usage.map(u => [u.org_id, u.daily_used, u.daily_quota]), [['O-0001', 5, 5], ['O-0002', 20, 50]]);
+
+  time.advance(60 * 1000);
+  assert.equal(limiter.take(entries(1)).allowed, true);
+});
+
+test('an empty config disables limiting', () => {
+  const limiter = new IngestLimiter({});
+  assert.equal(limiter.enabled, false);
+  assert.equal(limiter.take(entries(100000)).allowed, true);
+});
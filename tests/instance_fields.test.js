@@ -0,0 +1,30 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { parseStateChange, instanceFromEntry } = require('../store/instance_fields');
+
+const entry = (message) => ({
+  instance_id: 'email-1',
+  service: 'agent-email',
+  level: 'info',
+  message,
+  username: 'jane@example.com',
+  org_id: 'O-0001',
+  event_time: '2026-01-12T22:10:15.000Z'
+});
+
+test('parseStateChange reads the token after "state - "', () => {
+  assert.equal(parseStateChange('state - Active'), 'active');
+  assert.equal(parseStateChange('[HITL] state - done (jane@example.com)'), 'done');
+  assert.equal(parseStateChange('sent reply'), null);
+});
+
+test('an empty state token is a state change without a state', () => {
+  assert.equal(parseStateChange('state - '), '');
+  assert.equal(parseStateChange('state -  done'), '');
+
+  const row = instanceFromEntry(entry('state - '));
+  assert.equal(row.state, null);
+  assert.equal(row.state_changed_at, null);
+  assert.equal(instanceFromEntry(entry('state - done')).state, 'done');
+});
@@ -0,0 +1,41 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const sqlite3 = require('sqlite3');
+
+const { buildLevelAliases, normalizeLevel, levelNames, severityCaseSql } = require('../store/log_levels');
+
+test('levels and aliases normalize case-insensitively onto the severity scale', () => {
+  const aliases = buildLevelAliases({ sev1: 'FATAL', Audit: 'info' });
+  assert.deepEqual(normalizeLevel('INFO', aliases), { level: 'info', severity: 9 });
+  assert.deepEqual(normalizeLevel(' Warning ', aliases), { level: 'warn', severity: 13 });
+  assert.deepEqual(normalizeLevel('err', aliases), { level: 'error', severity: 17 });
+  assert.deepEqual(normalizeLevel('sev1', aliases), { level: 'fatal', severity: 21 });
+  assert.deepEqual(normalizeLevel('audit', aliases), { level: 'info', severity: 9 });
+  assert.equal(normalizeLevel('loud', aliases), null);
+  assert.equal(normalizeLevel('', aliases), null);
+});
+
+test('aliases must map to a level and may not redefine one', () => {
+  assert.throws(() => buildLevelAliases({ sev1: 'severe' }), /maps to unknown level severe/);
+  assert.throws(() => buildLevelAliases({ error: 'warn' }), /would redefine a level/);
+  assert.throws(() => buildLevelAliases({ 'not ok': 'info' }), /invalid level alias/);
+});
+
+test('levelNames lists a level and its aliases', () => {
+  assert.deepEqual(levelNames('warn'), ['warn', 'warning']);
+  assert.deepEqual(levelNames('fatal', buildLevelAliases({ sev1: 'fatal' })).sort(),
+    ['critical', 'crit', 'emergency', 'fatal', 'panic', 'sev1'].sort());
+});
+
+test('severityCaseSql backfills stored levels and leaves unknown ones NULL', async () => {
+  const db = new sqlite3.Database(':memory:');
+  const query = (sql) => new Promise((resolve, reject) => db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows))));
+  try {
+    await query(`CREATE TABLE t (level TEXT)`);
+    await query(`INSERT INTO t VALUES ('INFO'), ('warning'), ('crit'), ('loud')`);
+    const rows = await query(`SELECT level, ${severityCaseSql('level')} AS severity FROM t`);
+    assert.deepEqual(rows.map(r => r.severity), [9, 13, 21, null]);
+  } finally {
+    await new Promise(resolve => db.close(resolve));
+  }
+});
@@ -0,0 +1,49 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { Logger, redactFields } = require('../lib/logger');
+
+function capture(opts) {
+  const lines = [];
+  const logger = new Logger({ ...opts, write: (level, line) => lines.push([level, line]), now: () => new Date('2026-01-12T10:00:00.000Z') });
+  return { logger, lines };
+}
+
+test('lines below the configured level are dropped', () => {
+  const { logger, lines } = capture({ level: 'warn' });
+  logger.debug('noisy');
+  logger.info('chatty');
+  logger.warn('careful', { code: 7 });
+  logger.error('broken');
+  assert.deepEqual(lines, [['warn', '[WARN] careful code=7'], ['error', '[ERROR] broken']]);
+  assert.throws(() => new Logger({ level: 'verbose' }), /unknown log level/);
+});
+
+test('json lines carry the request id of a child logger and mask redacted fields', () => {
+  const { logger, lines } = capture({ level: 'debug', format: 'json' });
+  logger.child({ request_id: 'req-1' }).debug('/api/log received request', {
+    body: { service: 'agent-email', username: 'jane', message: 'reset for jane@example.com', attributes: { a: 1 } }
+  });
+  assert.deepEqual(JSON.parse(lines[0][1]), {
+    time: '2026-01-12T10:00:00.000Z',
+    level: 'debug',
+    msg: '/api/log received request',
+    request_id: 'req-1',
+    body: { service: 'agent-email', username: '[REDACTED]', message: '[REDACTED]', attributes: '[REDACTED]' }
+  });
+});
+
+test('redaction is case-insensitive, reaches into arrays and keeps error messages', () => {
+  const redact = new Set(['username', 'authorization']);
+  const body = { entries: [{ UserName: 'jane', service: 'svc' }], headers: { Authorization: 'Bearer x' } };
+  body.self = body;
+  assert.deepEqual(redactFields(body, redact), {
+    entries: [{ UserName: '[REDACTED]', service: 'svc' }],
+    headers: { Authorization: '[REDACTED]' },
+    self: '[Circular]'
+  });
+
+  const { logger, lines } = capture({ redact: ['message'] });
+  logger.error('write failed', { err: new Error('database is locked') });
+  assert.match(lines[0][1], /"message":"database is locked"/);
+});
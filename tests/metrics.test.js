@@ -0,0 +1,66 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { MetricsRegistry, instrumentStore } = require('../lib/metrics');
+const { MemoryEventLogStore } = require('../store/memory_event_log_store');
+
+test('counters, histograms and gauges render in Prometheus text format', () => {
+  const registry = new MetricsRegistry();
+  const requests = registry.counter('requests_total', 'Requests.', ['route', 'status']);
+  const latency = registry.histogram('latency_seconds', 'Latency.', ['method'], [0.1, 1]);
+  registry.gauge('queue_depth', 'Queue depth.', () => 3);
+
+  requests.inc({ route: '/api/log', status: 200 });
+  requests.inc({ route: '/api/log', status: 200 }, 2);
+  requests.inc({ route: 'say "hi"\n', status: 400 });
+  latency.observe({ method: 'append' }, 0.05);
+  latency.observe({ method: 'append' }, 0.5);
+
+  assert.equal(registry.render(), [
+    '# HELP requests_total Requests.',
+    '# TYPE requests_total counter',
+    'requests_total{route="/api/log",status="200"} 3',
+    'requests_total{route="say \\"hi\\"\\n",status="400"} 1',
+    '# HELP latency_seconds Latency.',
+    '# TYPE latency_seconds histogram',
+    'latency_seconds_bucket{method="append",le="0.1"} 1',
+    'latency_seconds_bucket{method="append",le="1"} 2',
+    'latency_seconds_bucket{method="append",le="+Inf"} 2',
+    'latency_seconds_sum{method="append"} 0.55',
+    'latency_seconds_count{method="append"} 2',
+    '# HELP queue_depth Queue depth.',
+    '# TYPE queue_depth gauge',
+    'queue_depth 3',
+    ''
+  ].join('\n'));
+  assert.throws(() => registry.counter('requests_total', 'Again.'), /already registered/);
+});
+
+test('instrumentStore times writes and queries separately and counts failures', async () => {
+  const registry = new MetricsRegistry();
+  const storeMetrics = {
+    writes: registry.histogram('writes', 'Writes.', ['backend', 'method']),
+    queries: registry.histogram('queries', 'Queries.', ['backend', 'method']),
+    errors: registry.counter('errors', 'Errors.', ['backend', 'method'])
+  };
+  const store = new MemoryEventLogStore();
+  await store.init();
+  instrumentStore(store, 'memory', storeMetrics, ['appendLogEntries', 'listLogEntries']);
+  const failing = instrumentStore({
+    async deleteLogEntries() { throw new Error('database is locked'); }
+  }, 'sqlite', storeMetrics, ['deleteLogEntries']);
+
+  await store.appendLogEntries([{
+    instance_id: 'i-1', service: 'svc', level: 'info', message: 'hello', username: 'ops',
+    event_time: '2026-01-12T10:00:00.000Z', created_at: '2026-01-12T10:00:00.000Z'
+  }]);
+  assert.equal((await store.listLogEntries('i-1', {})).length, 1);
+  await assert.rejects(failing.deleteLogEntries([1]), /database is locked/);
+
+  const writes = storeMetrics.writes.series;
+  const queries = storeMetrics.queries.series;
+  assert.equal(writes.get(JSON.stringify(['memory', 'appendLogEntries'])).count, 1);
+  assert.equal(queries.get(JSON.stringify(['memory', 'listLogEntries'])).count, 1);
+  assert.equal(writes.get(JSON.stringify(['sqlite', 'deleteLogEntries'])).count, 1);
+  assert.equal(storeMetrics.errors.get({ backend: 'sqlite', method: 'deleteLogEntries' }), 1);
+});
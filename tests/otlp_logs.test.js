@@ -0,0 +1,99 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { otlpToLogBodies, severityNumberToLevel } = require('../lib/otlp_logs');
+
+test('otlpToLogBodies maps resource, scope and record fields onto /api/log bodies', () => {
+  const { bodies } = otlpToLogBodies({
+    resourceLogs: [{
+      resource: {
+        attributes: [
+          { key: 'service.name', value: { stringValue: 'agent-email' } },
+          { key: 'org_id', value: { stringValue: 'O-0001' } },
+          { key: 'host.name', value: { stringValue: 'worker-1' } }
+        ]
+      },
+      scopeLogs: [{
+        scope: { name: 'email.sender' },
+        logRecords: [{
+          timeUnixNano: '1768255815000000000',
+          severityNumber: 17,
+          body: { stringValue: 'smtp connection refused' },
+          traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+          spanId: '00f067aa0ba902b7',
+          attributes: [
+            { key: 'instance_id', value: { stringValue: 'email-20260112221000' } },
+            { key: 'username', value: { stringValue: 'tester@example.com' } },
+            { key: 'attempt', value: { intValue: '3' } }
+          ]
+        }]
+      }]
+    }]
+  });
+
+  assert.deepEqual(bodies, [{
+    service: 'agent-email',
+    level: 'error',
+    message: 'smtp connection refused',
+    timestamp: '2026-01-12T22:10:15.000Z',
+    instance_id: 'email-20260112221000',
+    username: 'tester@example.com',
+    org_id: 'O-0001',
+    trace_id: '4bf92f3577b34da6a3ce929d0e0e4736',
+    span_id: '00f067aa0ba902b7',
+    attributes: { 'host.name': 'worker-1', attempt: 3, 'otel.scope.name': 'email.sender' }
+  }]);
+});
+
+test('otlpToLogBodies prefers severityText and serializes structured bodies', () => {
+  const { bodies: [body] } = otlpToLogBodies({
+    resourceLogs: [{
+      scopeLogs: [{
+        logRecords: [{
+          severityText: 'WARN',
+          body: { kvlistValue: { values: [{ key: 'step', value: { intValue: '2' } }] } }
+        }]
+      }]
+    }]
+  });
+
+  assert.equal(body.level, 'warn');
+  assert.equal(body.message, '{"step":2}');
+  assert.equal(body.service, undefined);
+  assert.equal(severityNumberToLevel(9), 'info');
+  assert.throws(() => otlpToLogBodies({}), /resourceLogs/);
+});
+
+test('otlpToLogBodies falls back to severityNumber, then info, for unknown severityText', () => {
+  const records = [
+    { severityText: 'SEVERE', severityNumber: 17 },
+    { severityText: 'Warn2', severityNumber: 13 },
+    { severityText: 'Warn2' },
+    { severityText: 'warning', severityNumber: 21 },
+    {}
+  ];
+  const { bodies } = otlpToLogBodies({ resourceLogs: [{ scopeLogs: [{ logRecords: records }] }] });
+  assert.deepEqual(bodies.map(b => b.level), ['error', 'warn', 'info', 'warn', 'info']);
+});
+
+test('otlpToLogBodies skips malformed records and reports where they were', () => {
+  const { bodies, rejected } = otlpToLogBodies({
+    resourceLogs: [
+      null,
+      { scopeLogs: [{ logRecords: [null, { body: { stringValue: 'kept' } }, 'text'] }] },
+      { resource: 'agent-email', scopeLogs: [{ logRecords: [{}] }] },
+      { scopeLogs: [null, { scope: 7, logRecords: [{}] }] }
+    ]
+  });
+  assert.deepEqual(bodies.map(b => b.message), ['kept']);
+  assert.deepEqual(rejected, [
+    { record: 'resourceLogs[1].scopeLogs[0].logRecords[0]', error: 'log record must be an object' },
+    { record: 'resourceLogs[1].scopeLogs[0].logRecords[2]', error: 'log record must be an object' },
+    { record: 'resourceLogs[2].scopeLogs[0].logRecords[0]', error: 'resource must be an object' },
+    { record: 'resourceLogs[3].scopeLogs[1].logRecords[0]', error: 'scope must be an object' }
+  ]);
+  assert.throws(
+    () => otlpToLogBodies({ resourceLogs: [{ scopeLogs: [{ logRecords: {} }] }] }),
+    /^Error: resourceLogs\[0\]\.scopeLogs\[0\]\.logRecords must be an array$/
+  );
+});
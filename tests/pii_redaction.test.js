@@ -0,0 +1,96 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { Redactor, compileRules } = require('../lib/pii_redaction');
+
+const entry = (fields) => ({
+  instance_id: 'email-1',
+  service: 'agent-email',
+  level: 'info',
+  org_id: 'acme',
+  username: 'jane@example.com',
+  message: 'hello',
+  attributes: null,
+  ...fields
+});
+
+test('built-in detectors mask, hash and drop matches and report what fired', () => {
+  const redactor = new Redactor(compileRules([
+    { detector: 'email', action: 'hash' },
+    { detector: 'card', replacement: '[CARD]' },
+    { detector: 'phone', action: 'drop', fields: 'message' }
+  ]), { hashSalt: 's1' });
+
+  const { entry: out, fired } = redactor.apply(entry({
+    message: 'Refund 4111 1111 1111 1111 for jane@example.com, call (415) 555-0100; order 4111111111111112',
+    attributes: { contact: { email: 'ops@example.org' } }
+  }));
+
+  const hash = /\[HASH:[0-9a-f]{16}\]/;
+  assert.match(out.username, hash);
+  assert.match(out.attributes.contact.email, hash);
+  assert.match(out.message, /^Refund \[CARD\] for \[HASH:[0-9a-f]{16}\], call ; order 4111111111111112$/);
+  assert.deepEqual(fired, [
+    { rule: 'email', field: 'message', count: 1 },
+    { rule: 'email', field: 'username', count: 1 },
+    { rule: 'email', field: 'attributes', count: 1 },
+    { rule: 'card', field: 'message', count: 1 },
+    { rule: 'phone', field: 'message', count: 1 }
+  ]);
+  // Same value, same hash, so redacted usernames can still be grouped.
+  assert.equal(redactor.apply(entry({})).entry.username, out.username);
+});
+
+test('drop leaves the replacement in a required field it would empty', () => {
+  const redactor = new Redactor(compileRules([{ id: 'email', detector: 'email', action: 'drop' }]));
+
+  const { entry: out, fired } = redactor.apply(entry({ message: ' jane@example.com ', attributes: { to: 'ops@example.org' } }));
+  assert.equal(out.message, '[REDACTED:email]');
+  assert.equal(out.username, '[REDACTED:email]');
+  assert.deepEqual(out.attributes, { to: '' });
+  assert.equal(fired.length, 3);
+  assert.equal(redactor.apply(entry({ message: 'mail jane@example.com' })).entry.message, 'mail ');
+});
+
+test('custom patterns apply only to the orgs and services they are scoped to', () => {
+  const redactor = new Redactor(compileRules([
+    { id: 'account', pattern: 'acct-\\d+', flags: 'i', fields: ['message'], org_id: 'acme', service: ['agent-email'] }
+  ]));
+  assert.equal(redactor.apply(entry({ message: 'ACCT-991 closed' })).entry.message, '[REDACTED:account] closed');
+  assert.equal(redactor.apply(entry({ message: 'ACCT-991 closed', org_id: 'globex' })).entry.message, 'ACCT-991 closed');
+  assert.deepEqual(redactor.apply(entry({ message: 'acct-1', service: 'agent-sms' })).fired, []);
+});
+
+test('approval events are redacted outside their key fields', () => {
+  const redactor = new Redactor(compileRules([
+    { detector: 'email' },
+    { id: 'email-only', pattern: 'internal', service: 'agent-email' }
+  ]));
+  const event = {
+    event_id: 'ev_jane@example.com',
+    org_id: 'acme',
+    agent_name: 'payment',
+    decision_point_id: 'dp_1',
+    event_type: 'human_feedback',
+    created_at: '2026-01-12T22:10:15.000Z',
+    feedback: { comment: 'internal: ask jane@example.com', reviewers: ['ops@example.org'] },
+    decision: 'approve'
+  };
+
+  const { event: out, fired } = redactor.applyEvent(event);
+  assert.deepEqual(out, {
+    ...event,
+    feedback: { comment: 'internal: ask [REDACTED:email]', reviewers: ['[REDACTED:email]'] }
+  });
+  assert.deepEqual(fired, [{ rule: 'email', field: 'payload', count: 2 }]);
+  assert.equal(event.feedback.reviewers[0], 'ops@example.org');
+});
+
+test('invalid rules are rejected', () => {
+  assert.throws(() => compileRules([{ id: 'x' }]), /detector or pattern is required/);
+  assert.throws(() => compileRules([{ detector: 'ssn' }]), /unknown detector ssn/);
+  assert.throws(() => compileRules([{ id: 'x', pattern: '(' }]), /invalid pattern/);
+  assert.throws(() => compileRules([{ detector: 'email', action: 'encrypt' }]), /action must be one of/);
+  assert.throws(() => compileRules([{ detector: 'email', fields: ['service'] }]), /unknown field service/);
+  assert.throws(() => compileRules([{ detector: 'email' }, { detector: 'email' }]), /duplicate id/);
+});
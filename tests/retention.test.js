@@ -0,0 +1,71 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+
+const { SqliteEventLogStore } = require('../store/sqlite_event_log_store');
+const { buildRetentionRules, runRetention } = require('../lib/retention');
+
+function makeLogEntry(overrides = {}) {
+  return {
+    instance_id: 'email-20260112221000',
+    service: 'agent-email',
+    level: 'info',
+    message: 'state - active',
+    username: 'tester@example.com',
+    event_time: '2026-01-12T22:10:15Z',
+    created_at: '2026-01-12T22:10:15Z',
+    org_id: 'O-0001',
+    ...overrides
+  };
+}
+
+test('buildRetentionRules orders overrides by specificity before the default', () => {
+  const rules = buildRetentionRules({
+    days: 30,
+    overrides: [
+      { org_id: 'O-0001', days: 365 },
+      { org_id: 'O-0001', service: 'agent-email', days: 7 }
+    ]
+  }, ['org_id', 'service']);
+
+  assert.deepEqual(rules, [
+    { scope: { org_id: 'O-0001', service: 'agent-email' }, days: 7 },
+    { scope: { org_id: 'O-0001' }, days: 365 },
+    { scope: {}, days: 30 }
+  ]);
+  assert.throws(() => buildRetentionRules({ overrides: [{ username: 'x', days: 1 }] }, ['org_id']));
+});
+
+test('runRetention archives expired rows before pruning them', async () => {
+  const store = new SqliteEventLogStore(':memory:');
+  await store.init();
+  const archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-log-archive-'));
+
+  await store.appendLogEntries([
+    makeLogEntry({ instance_id: 'old-default', event_time: '2026-01-01T00:00:00Z' }),
+    makeLogEntry({ instance_id: 'old-kept-org', event_time: '2026-01-01T00:00:00Z', org_id: 'O-0002' }),
+    makeLogEntry({ instance_id: 'recent', event_time: '2026-03-30T00:00:00Z' })
+  ]);
+
+  const result = await runRetention({
+    store,
+    policy: { agent_logs: { days: 30, overrides: [{ org_id: 'O-0002', days: 0 }] } },
+    archiveDir,
+    now: new Date('2026-04-01T00:00:00Z'),
+    batchSize: 1
+  });
+
+  assert.equal(result.tables.agent_logs.archived, 1);
+  assert.equal(result.tables.agent_logs.pruned, 1);
+  assert.deepEqual((await store.listLogEntries('old-default')), []);
+  assert.equal((await store.listLogEntries('old-kept-org')).length, 1);
+  assert.equal((await store.listLogEntries('recent')).length, 1);
+
+  const archived = zlib.gunzipSync(fs.readFileSync(result.tables.agent_logs.archive_file))
+    .toString('utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(archived.map(row => row.instance_id), ['old-default']);
+  fs.rmSync(archiveDir, { recursive: true, force: true });
+});
@@ -0,0 +1,105 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { MemoryEventLogStore } = require('../store/memory_event_log_store');
+const { listDecisionRecords } = require('../lib/rlhf_decisions');
+
+function makeApprovalEvent(overrides = {}) {
+  return {
+    event_id: 'ev_0001',
+    org_id: 'O-0001',
+    agent_name: 'payment',
+    decision_point_id: 'dp_0001',
+    event_type: 'approval_request',
+    created_at: '2026-01-12T22:10:15.000Z',
+    ...overrides,
+    payload_json: {
+      event_type: overrides.event_type || 'approval_request',
+      event_version: '1.0',
+      ...(overrides.payload_json || {})
+    }
+  };
+}
+
+test('listDecisionRecords pairs requests with outcomes and flags pending ones', async () => {
+  const store = new MemoryEventLogStore();
+  await store.init();
+
+  await store.insertApprovalEvent(makeApprovalEvent({ payload_json: { amount: 120 } }));
+  await store.insertApprovalEvent(makeApprovalEvent({
+    event_id: 'ev_0002',
+    event_type: 'approval_outcome',
+    created_at: '2026-01-12T22:11:45.000Z',
+    payload_json: { decision: 'approved' }
+  }));
+  await store.insertApprovalEvent(makeApprovalEvent({
+    event_id: 'ev_0004',
+    event_type: 'approval_escalated',
+    created_at: '2026-01-12T22:11:00.000Z',
+    payload_json: { to: 'finance-lead' }
+  }));
+  await store.insertApprovalEvent(makeApprovalEvent({
+    event_id: 'ev_0003',
+    decision_point_id: 'dp_0002',
+    created_at: '2026-01-12T23:00:00.000Z'
+  }));
+
+  const { records, nextOffset } = await listDecisionRecords(store, {
+    orgId: 'O-0001',
+    agentName: 'payment',
+    start: '2026-01-12T00:00:00.000Z',
+    end: '2026-01-13T00:00:00.000Z',
+    limit: 10
+  });
+
+  assert.equal(nextOffset, null);
+  assert.equal(records.length, 2);
+  assert.equal(records[0].decision_point_id, 'dp_0001');
+  assert.equal(records[0].pending, false);
+  assert.equal(records[0].latency_ms, 90000);
+  assert.equal(records[0].request.amount, 120);
+  assert.equal(records[0].outcome.decision, 'approved');
+  assert.deepEqual(records[0].lifecycle.map(e => [e.event_type, e.payload.to]), [['approval_escalated', 'finance-lead']]);
+  assert.equal(records[1].pending, true);
+  assert.equal(records[1].outcome, null);
+  assert.equal(records[1].latency_ms, null);
+  assert.deepEqual(records[1].lifecycle, []);
+});
+
+test('listDecisionRecords filters by status before paging and reads events in one query', async () => {
+  const store = new MemoryEventLogStore();
+  await store.init();
+  for (let i = 1; i <= 5; i++) {
+    await store.insertApprovalEvent(makeApprovalEvent({
+      event_id: `ev_${i}`,
+      decision_point_id: `dp_${i}`,
+      created_at: `2026-01-1${i}T00:00:00.000Z`
+    }));
+  }
+  for (const i of [1, 2, 4]) {
+    await store.insertApprovalEvent(makeApprovalEvent({
+      event_id: `ev_out_${i}`,
+      decision_point_id: `dp_${i}`,
+      event_type: 'approval_outcome',
+      created_at: `2026-01-1${i}T01:00:00.000Z`
+    }));
+  }
+  let reads = 0;
+  const getEvents = store.getApprovalEventsByDecisionPoints.bind(store);
+  store.getApprovalEventsByDecisionPoints = (keys) => {
+    reads += 1;
+    return getEvents(keys);
+  };
+
+  const first = await listDecisionRecords(store, { orgId: 'O-0001', agentName: 'payment', status: 'pending', limit: 1 });
+  assert.deepEqual(first.records.map(r => r.decision_point_id), ['dp_3']);
+  assert.equal(first.nextOffset, 1);
+  const second = await listDecisionRecords(store, { orgId: 'O-0001', agentName: 'payment', status: 'pending', limit: 1, offset: 1 });
+  assert.deepEqual(second.records.map(r => r.decision_point_id), ['dp_5']);
+
+  const decided = await listDecisionRecords(store, { orgId: 'O-0001', agentName: 'payment', status: 'decided', limit: 10 });
+  assert.deepEqual(decided.records.map(r => [r.decision_point_id, r.outcome_event_id]), [
+    ['dp_1', 'ev_out_1'], ['dp_2', 'ev_out_2'], ['dp_4', 'ev_out_4']
+  ]);
+  assert.equal(reads, 3);
+});
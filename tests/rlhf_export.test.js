@@ -0,0 +1,59 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { MemoryEventLogStore } = require('../store/memory_event_log_store');
+const { exportDecisionRecords, splitFor } = require('../lib/rlhf_export');
+
+async function collect(iterable) {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+}
+
+test('splitFor is deterministic and roughly honours the ratio', () => {
+  assert.equal(splitFor('dp_0001', 0.2), splitFor('dp_0001', 0.2));
+  let validation = 0;
+  for (let i = 0; i < 2000; i++) {
+    if (splitFor(`dp_${i}`, 0.2) === 'validation') validation += 1;
+  }
+  assert.ok(validation > 300 && validation < 500, `validation=${validation}`);
+});
+
+test('exportDecisionRecords yields decided records matching the filters', async () => {
+  const store = new MemoryEventLogStore();
+  await store.init();
+  const cases = [
+    ['dp1', '1.0', 'approved'],
+    ['dp2', '2.0', 'approved'],
+    ['dp3', '1.0', 'rejected'],
+    ['dp4', '1.0', null]
+  ];
+  for (const [dp, version, decision] of cases) {
+    await store.insertApprovalEvent({
+      event_id: `${dp}_req`, org_id: 'O-0001', agent_name: 'payment', decision_point_id: dp,
+      event_type: 'approval_request', created_at: '2026-01-12T10:00:00.000Z',
+      payload_json: { event_version: version, prompt: `proposal ${dp}` }
+    });
+    if (decision) {
+      await store.insertApprovalEvent({
+        event_id: `${dp}_out`, org_id: 'O-0001', agent_name: 'payment', decision_point_id: dp,
+        event_type: 'approval_outcome', created_at: '2026-01-12T10:01:00.000Z',
+        payload_json: { event_version: version, decision }
+      });
+    }
+  }
+  const scope = { orgId: 'O-0001', start: '2026-01-12T00:00:00.000Z', end: '2026-01-13T00:00:00.000Z', pageSize: 1 };
+
+  const all = await collect(exportDecisionRecords(store, scope));
+  assert.deepEqual(all.map(r => r.decision_point_id), ['dp1', 'dp2', 'dp3']);
+  assert.equal(all[0].request.prompt, 'proposal dp1');
+  assert.equal(all[0].latency_ms, 60000);
+
+  const filtered = await collect(exportDecisionRecords(store, { ...scope, eventVersion: '1.0', outcome: 'approved' }));
+  assert.deepEqual(filtered.map(r => r.decision_point_id), ['dp1']);
+
+  const tagged = await collect(exportDecisionRecords(store, { ...scope, validationRatio: 0.5 }));
+  for (const record of tagged) {
+    assert.equal(record.split, splitFor(record.decision_point_id, 0.5));
+  }
+});
@@ -0,0 +1,69 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { MemoryEventLogStore } = require('../store/memory_event_log_store');
+const { computeApprovalStats, bucketStart, decisionValue } = require('../lib/rlhf_stats');
+
+async function seedDecision(store, { dp, agent = 'payment', requestedAt, decidedAt, decision, simRunId }) {
+  await store.insertApprovalEvent({
+    event_id: `${dp}_req`,
+    org_id: 'O-0001',
+    agent_name: agent,
+    decision_point_id: dp,
+    event_type: 'approval_request',
+    created_at: requestedAt,
+    payload_json: { event_version: '1.0', ...(simRunId ? { sim_run_id: simRunId } : {}) }
+  });
+  if (!decidedAt) return;
+  await store.insertApprovalEvent({
+    event_id: `${dp}_out`,
+    org_id: 'O-0001',
+    agent_name: agent,
+    decision_point_id: dp,
+    event_type: 'approval_outcome',
+    created_at: decidedAt,
+    payload_json: { event_version: '1.0', decision }
+  });
+}
+
+test('bucketStart and decisionValue normalize buckets and outcomes', () => {
+  assert.equal(bucketStart('2026-01-14T13:45:00Z', 'hour'), '2026-01-14T13:00:00.000Z');
+  assert.equal(bucketStart('2026-01-14T13:45:00Z', 'day'), '2026-01-14T00:00:00.000Z');
+  assert.equal(bucketStart('2026-01-18T13:45:00Z', 'week'), '2026-01-12T00:00:00.000Z');
+  assert.equal(decisionValue({ decision: 'Approve' }), 'approved');
+  assert.equal(decisionValue({ outcome: 'denied' }), 'rejected');
+  assert.equal(decisionValue({}), 'unknown');
+});
+
+test('computeApprovalStats counts outcomes, pending items and latency per agent and bucket', async () => {
+  const store = new MemoryEventLogStore();
+  await store.init();
+  await seedDecision(store, { dp: 'dp1', requestedAt: '2026-01-12T10:00:00.000Z', decidedAt: '2026-01-12T10:00:10.000Z', decision: 'approved' });
+  await seedDecision(store, { dp: 'dp2', requestedAt: '2026-01-12T11:00:00.000Z', decidedAt: '2026-01-12T11:00:30.000Z', decision: 'rejected' });
+  await seedDecision(store, { dp: 'dp3', requestedAt: '2026-01-13T09:00:00.000Z' });
+  await seedDecision(store, { dp: 'dp4', agent: 'email', requestedAt: '2026-01-13T09:00:00.000Z', decidedAt: '2026-01-13T09:01:00.000Z', decision: 'approved' });
+  await seedDecision(store, { dp: 'dp5', requestedAt: '2026-01-13T12:00:00.000Z', decidedAt: '2026-01-13T12:00:01.000Z', decision: 'approved', simRunId: 'sim_1' });
+
+  const stats = await computeApprovalStats(store, {
+    orgId: 'O-0001',
+    start: '2026-01-12T00:00:00.000Z',
+    end: '2026-01-14T00:00:00.000Z',
+    includeSim: false,
+    bucket: 'day',
+    pageSize: 2
+  });
+
+  assert.deepEqual(stats.buckets.map(b => [b.bucket_start.slice(0, 10), b.agent_name, b.requests]), [
+    ['2026-01-12', 'payment', 2],
+    ['2026-01-13', 'email', 1],
+    ['2026-01-13', 'payment', 1]
+  ]);
+  const payment = stats.agents.find(a => a.agent_name === 'payment');
+  assert.equal(payment.requests, 3);
+  assert.equal(payment.pending, 1);
+  assert.deepEqual(payment.outcomes, { approved: 1, rejected: 1 });
+  assert.equal(payment.approval_rate, 0.5);
+  assert.equal(payment.latency_ms.p50, 10000);
+  assert.equal(payment.latency_ms.p99, 30000);
+  assert.equal(payment.latency_ms.mean, 20000);
+});
@@ -0,0 +1,103 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+
+const { WriteSpool, isTransientStoreError } = require('../lib/spool');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'log-spool-'));
+}
+
+test('records survive a reopen and replay in order, resuming after a failure', async () => {
+  const dir = tempDir();
+  const spool = await new WriteSpool(dir).open();
+  for (const n of [1, 2, 3]) {
+    await spool.append({ kind: 'log_entries', entries: [{ n }] });
+  }
+  await spool.close();
+
+  const reopened = await new WriteSpool(dir).open();
+  assert.equal(reopened.stats().depth, 3);
+
+  const seen = [];
+  let down = true;
+  const handler = async (record) => {
+    if (record.entries[0].n === 2 && down) throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    seen.push(record.entries[0].n);
+  };
+  assert.deepEqual(await reopened.replay(handler), { replayed: 1, remaining: 2, dead_lettered: 0 });
+  assert.equal(reopened.stats().last_error.message, 'connect ECONNREFUSED');
+
+  down = false;
+  await reopened.append({ kind: 'log_entries', entries: [{ n: 4 }] });
+  assert.deepEqual(await reopened.replay(handler), { replayed: 3, remaining: 0, dead_lettered: 0 });
+  assert.deepEqual(seen, [1, 2, 3, 4]);
+  assert.equal(reopened.stats().last_error, null);
+  assert.equal(fs.statSync(path.join(dir, 'spool.jsonl')).size, 0);
+  await reopened.close();
+});
+
+test('the replay position is persisted and a partial trailing record is dropped', async () => {
+  const dir = tempDir();
+  const spool = await new WriteSpool(dir).open();
+  await spool.append({ kind: 'approval_event', event: { event_id: 'a' } });
+  await spool.append({ kind: 'approval_event', event: { event_id: 'b' } });
+  let calls = 0;
+  await spool.replay(async () => {
+    calls += 1;
+    if (calls > 1) throw new Error('down');
+  });
+  await spool.close();
+  fs.appendFileSync(path.join(dir, 'spool.jsonl'), '{"kind":"approval_ev');
+
+  const reopened = await new WriteSpool(dir).open();
+  const replayed = [];
+  await reopened.replay(async (record) => { replayed.push(record.event.event_id); });
+  assert.deepEqual(replayed, ['b']);
+  await reopened.close();
+});
+
+test('append refuses once max_bytes is spooled', async () => {
+  const spool = await new WriteSpool(tempDir(), { maxBytes: 200 }).open();
+  await spool.append({ kind: 'log_entries', entries: [{ message: 'x'.repeat(50) }] });
+  await assert.rejects(
+    spool.append({ kind: 'log_entries', entries: [{ message: 'x'.repeat(150) }] }),
+    { code: 'spool_full' }
+  );
+  assert.equal(spool.stats().depth, 1);
+  await spool.close();
+});
+
+test('a record the store keeps refusing is dead-lettered and replay moves on', async () => {
+  const dir = tempDir();
+  const spool = await new WriteSpool(dir, { maxAttempts: 2 }).open();
+  for (const message of ['poison', 'good 1', 'good 2']) {
+    await spool.append({ kind: 'log_entries', entries: [{ message }] });
+  }
+  const written = [];
+  const handler = async (record) => {
+    const { message } = record.entries[0];
+    if (message === 'poison') throw Object.assign(new Error("Data too long for column 'message'"), { code: 'ER_DATA_TOO_LONG' });
+    written.push(message);
+  };
+
+  assert.deepEqual(await spool.replay(handler), { replayed: 0, remaining: 3, dead_lettered: 0 });
+  assert.deepEqual(await spool.replay(handler), { replayed: 2, remaining: 0, dead_lettered: 1 });
+  assert.deepEqual(written, ['good 1', 'good 2']);
+  assert.equal(spool.stats().dead_letters, 1);
+  await spool.close();
+
+  const [dead] = fs.readFileSync(path.join(dir, 'spool.dead.jsonl'), 'utf8').trim().split('\n').map(JSON.parse);
+  assert.equal(dead.entries[0].message, 'poison');
+  assert.match(dead.error, /Data too long/);
+  assert.equal((await new WriteSpool(dir).open()).stats().dead_letters, 1);
+});
+
+test('only connection and lock errors count as transient', () => {
+  assert.equal(isTransientStoreError(Object.assign(new Error('busy'), { code: 'SQLITE_BUSY' })), true);
+  assert.equal(isTransientStoreError(Object.assign(new Error('gone'), { code: 'X', fatal: true })), true);
+  assert.equal(isTransientStoreError(Object.assign(new Error('constraint'), { code: 'SQLITE_CONSTRAINT' })), false);
+  assert.equal(isTransientStoreError(new Error('bad value')), false);
+});
@@ -76,3 +76,49 @@ test('getApprovalRequestByDecisionPoint returns parsed payload', async () => {
   assert.ok(payload);
   assert.equal(payload.event_id, 'ev_payload');
 });
+
+test('appendLogEntries writes every entry in one call', async () => {
+  const store = new SqliteEventLogStore(':memory:');
+  await store.init();
+
+  const base = {
+    instance_id: 'email-20260112221000',
+    service: 'agent-email',
+    level: 'info',
+    username: 'tester@example.com',
+    created_at: '2026-01-12T22:10:15Z'
+  };
+  const { ids } = await store.appendLogEntries([
+    { ...base, message: 'state - active', event_time: '2026-01-12T22:10:15Z' },
+    { ...base, message: '[PROGRESS] step 1', event_time: '2026-01-12T22:10:16Z' }
+  ]);
+
+  const rows = await store.listLogEntries('email-20260112221000');
+  assert.deepEqual(rows.map(r => r.message), ['state - active', '[PROGRESS] step 1']);
+  assert.deepEqual(rows.map(r => r.id), ids);
+});
+
+test('searchLogEntries matches phrases and applies filters', async () => {
+  const store = new SqliteEventLogStore(':memory:');
+  await store.init();
+
+  const base = {
+    service: 'agent-email',
+    level: 'error',
+    username: 'tester@example.com',
+    created_at: '2026-01-12T22:10:15Z',
+    org_id: 'O-0001'
+  };
+  await store.appendLogEntries([
+    { ...base, instance_id: 'email-1', message: 'smtp connection refused by host', event_time: '2026-01-12T22:10:15Z' },
+    { ...base, instance_id: 'email-2', message: 'connection to host refused', event_time: '2026-01-12T22:11:15Z' },
+    { ...base, instance_id: 'email-3', message: 'smtp connection refused by host', event_time: '2026-01-12T22:12:15Z', org_id: 'O-0002' }
+  ]);
+
+  const phrase = await store.searchLogEntries({ query: '"connection refused"', org_id: 'O-0001', limit: 10 });
+  assert.deepEqual(phrase.map(r => r.instance_id), ['email-1']);
+  assert.match(phrase[0].snippet, /<mark>connection refused<\/mark>/);
+
+  const words = await store.searchLogEntries({ query: 'refused host', org_id: 'O-0001', limit: 10 });
+  assert.deepEqual(words.map(r => r.instance_id), ['email-2', 'email-1']);
+});
@@ -0,0 +1,47 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { isValidTimeZone, formatTimestamp, resolveDateRange } = require('../lib/time_zones');
+
+test('month bounds are exact in the requested zone', () => {
+  assert.deepEqual(resolveDateRange({ month: 'Mar', year: '2026' }, 'America/Los_Angeles'), {
+    since: '2026-03-01T08:00:00.000Z',
+    until: '2026-04-01T07:00:00.000Z'
+  });
+  assert.deepEqual(resolveDateRange({ month: 'dec', year: '2026' }, 'UTC'), {
+    since: '2026-12-01T00:00:00.000Z',
+    until: '2027-01-01T00:00:00.000Z'
+  });
+});
+
+test('start/end are wall times in tz unless they carry an offset', () => {
+  // A date-only end covers the whole day, here the 23-hour DST change day.
+  assert.deepEqual(resolveDateRange({ start: '2026-03-08', end: '2026-03-08' }, 'America/New_York'), {
+    since: '2026-03-08T05:00:00.000Z',
+    until: '2026-03-09T04:00:00.000Z'
+  });
+  assert.deepEqual(resolveDateRange({ start: '2026-06-01T09:30', end: '2026-06-01T10:00:00Z' }, 'Europe/Berlin'), {
+    since: '2026-06-01T07:30:00.000Z',
+    until: '2026-06-01T10:00:00.000Z'
+  });
+  assert.deepEqual(resolveDateRange({ end: '2026-01-31' }, 'UTC'), { until: '2026-02-01T00:00:00.000Z' });
+  assert.deepEqual(resolveDateRange({ start: '2026-10-19T11:30:00-08:00' }, 'UTC'), { since: '2026-10-19T19:30:00.000Z' });
+});
+
+test('invalid ranges and zones are reported', () => {
+  assert.deepEqual(resolveDateRange({}, 'UTC'), { error: 'month and year are required' });
+  assert.deepEqual(resolveDateRange({ month: 'foo', year: '2026' }, 'UTC'), { error: 'invalid_month' });
+  assert.deepEqual(resolveDateRange({ start: '2026-02-30' }, 'UTC'), { error: 'invalid_start' });
+  assert.deepEqual(resolveDateRange({ start: 'garbage' }, 'UTC'), { error: 'invalid_start' });
+  assert.deepEqual(resolveDateRange({ end: '19/10/2026' }, 'UTC'), { error: 'invalid_end' });
+  assert.deepEqual(resolveDateRange({ start: '2026-03-02', end: '2026-03-01T12:00' }, 'UTC'), { error: 'invalid_range' });
+  assert.equal(isValidTimeZone('Europe/Berlin'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+});
+
+test('formatTimestamp renders in the given zone', () => {
+  assert.equal(formatTimestamp('2026-07-01T00:30:00.000Z', 'America/Los_Angeles'), '2026-06-30 17:30:00');
+  assert.equal(formatTimestamp(new Date('2026-07-01T00:30:00.000Z'), 'Asia/Kolkata'), '2026-07-01 06:00:00');
+  assert.equal(formatTimestamp('not a date', 'UTC'), 'not a date');
+  assert.equal(formatTimestamp('', 'UTC'), 'unknown');
+});
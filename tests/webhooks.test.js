@@ -0,0 +1,111 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { WebhookDispatcher, normalizeSubscriptions, signPayload } = require('../lib/webhooks');
+const { Logger } = require('../lib/logger');
+const { buildLevelAliases } = require('../store/log_levels');
+
+function recorder(statuses = []) {
+  const calls = [];
+  const post = async (url, body, headers) => {
+    calls.push({ url, body: JSON.parse(body), raw: body, headers });
+    const status = statuses.length ? statuses.shift() : 200;
+    if (status instanceof Error) throw status;
+    return { status };
+  };
+  return { calls, post };
+}
+
+const entry = (overrides = {}) => ({
+  instance_id: 'email-1',
+  service: 'agent-email',
+  level: 'info',
+  org_id: 'O-0001',
+  username: 'ops',
+  event_time: '2026-01-12T10:00:00.000Z',
+  message: '[HITL] waiting for approval',
+  ...overrides
+});
+
+test('normalizeSubscriptions fills defaults and rejects bad entries', () => {
+  const [sub] = normalizeSubscriptions([{ id: 'amp', url: 'http://localhost:5000/hook', filters: { level: 'error' } }]);
+  assert.deepEqual(sub.events, ['log']);
+  assert.deepEqual(sub.filters, { level: ['error'] });
+  assert.equal(sub.coalesce_ms, 1000);
+  assert.throws(() => normalizeSubscriptions([{ id: 'a', url: 'ftp://x' }]), /http or https/);
+  assert.throws(() => normalizeSubscriptions([{ id: 'a', url: 'http://x', filters: { host: 'x' } }]), /unknown filter/);
+  assert.throws(() => normalizeSubscriptions([{ id: 'a', url: 'http://x' }, { id: 'a', url: 'http://y' }]), /duplicate/);
+});
+
+test('normalizeSubscriptions maps level filters through the level aliases', () => {
+  const [sub] = normalizeSubscriptions([{ id: 'a', url: 'http://x', filters: { level: ['ERROR', 'warning', 'sev2'] } }], {
+    levelAliases: buildLevelAliases({ sev2: 'error' })
+  });
+  assert.deepEqual(sub.filters.level, ['error', 'warn', 'error']);
+  assert.throws(
+    () => normalizeSubscriptions([{ id: 'a', url: 'http://x', filters: { level: 'loud' } }]),
+    /unknown level loud/
+  );
+});
+
+test('events are filtered per subscriber and coalesced into one signed delivery', async () => {
+  const { calls, post } = recorder();
+  const webhooks = new WebhookDispatcher(normalizeSubscriptions([
+    { id: 'hitl', url: 'http://hooks.test/hitl', secret: 's3cret', coalesce_ms: 60000, filters: { message_prefix: '[hitl]', org_id: 'O-0001' } },
+    { id: 'rlhf', url: 'http://hooks.test/rlhf', events: ['rlhf'], filters: { rlhf_event_type: 'approval_outcome' } }
+  ]), { post });
+
+  webhooks.publish('log', entry());
+  webhooks.publish('log', entry({ message: 'plain progress' }));
+  webhooks.publish('log', entry({ org_id: 'O-0002' }));
+  webhooks.publish('log', entry({ message: '[HITL] approved', level: 'warn' }));
+  webhooks.publish('rlhf', { event_id: 'e1', event_type: 'approval_request', org_id: 'O-0001' });
+  webhooks.publish('rlhf', { event_id: 'e2', event_type: 'approval_outcome', org_id: 'O-0001' });
+  assert.equal(calls.length, 0, 'held until the coalescing window ends');
+
+  await webhooks.drain();
+  assert.equal(calls.length, 2);
+  const hitl = calls.find(c => c.url.endsWith('/hitl'));
+  assert.deepEqual(hitl.body.events.map(e => e.message), ['[HITL] waiting for approval', '[HITL] approved']);
+  const timestamp = hitl.headers['X-Webhook-Timestamp'];
+  assert.equal(hitl.headers['X-Webhook-Signature'], `sha256=${signPayload('s3cret', timestamp, hitl.raw)}`);
+
+  const rlhf = calls.find(c => c.url.endsWith('/rlhf'));
+  assert.deepEqual(rlhf.body.events.map(e => e.event_id), ['e2']);
+  assert.equal(rlhf.headers['X-Webhook-Signature'], undefined);
+});
+
+test('failed deliveries are retried with backoff and recorded in the delivery log', async () => {
+  const { calls, post } = recorder([503, new Error('connect ECONNREFUSED'), 200]);
+  const lines = [];
+  const logger = new Logger({ write: (level, line) => lines.push(line) });
+  const webhooks = new WebhookDispatcher(normalizeSubscriptions([
+    { id: 'amp', url: 'http://hooks.test/amp', backoff_ms: 1, max_attempts: 3 },
+    { id: 'down', url: 'http://hooks.test/down', backoff_ms: 1, max_attempts: 2, filters: { level: 'error' } }
+  ]), { post, logger });
+
+  webhooks.publish('log', entry());
+  await webhooks.drain();
+  assert.equal(calls.length, 3);
+  assert.ok(calls.every(c => c.headers['X-Webhook-Id'] === calls[0].headers['X-Webhook-Id']));
+  const [delivered] = webhooks.deliveries({ subscriptionId: 'amp' });
+  assert.equal(delivered.status, 'delivered');
+  assert.equal(delivered.attempts, 3);
+  assert.equal(delivered.response_status, 200);
+
+  calls.length = 0;
+  webhooks.post = async (url) => {
+    calls.push({ url });
+    return { status: url.endsWith('/down') ? 500 : 200 };
+  };
+  webhooks.publish('log', entry({ level: 'error' }));
+  await webhooks.drain();
+  assert.deepEqual(calls.map(c => c.url).sort(), ['http://hooks.test/amp', 'http://hooks.test/down', 'http://hooks.test/down']);
+  const [failed] = webhooks.deliveries({ status: 'failed' });
+  assert.equal(failed.subscription_id, 'down');
+  assert.equal(failed.error, 'HTTP 500');
+  assert.equal(webhooks.deliveries().length, 3);
+  assert.deepEqual(lines, [
+    `[ERROR] webhook delivery failed subscription=down delivery_id=${failed.delivery_id} attempts=2 error="HTTP 500"`
+  ]);
+});
@@ -0,0 +1,80 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { MemoryEventLogStore } = require('../store/memory_event_log_store');
+const { GroupCommitWriter } = require('../lib/write_pipeline');
+
+const entry = (message) => ({
+  instance_id: 'email-1',
+  service: 'agent-email',
+  level: 'info',
+  message,
+  username: 'ops',
+  event_time: '2026-01-12T10:00:00.000Z',
+  created_at: '2026-01-12T10:00:00.000Z'
+});
+
+test('concurrent appends share one transaction and each gets its own id', async () => {
+  const store = new MemoryEventLogStore();
+  await store.init();
+  const batches = [];
+  const appendLogEntries = store.appendLogEntries.bind(store);
+  store.appendLogEntries = async (entries) => {
+    batches.push(entries.length);
+    return appendLogEntries(entries);
+  };
+  const writer = new GroupCommitWriter(store, { maxBatch: 4, maxDelayMs: 5 });
+
+  const results = await Promise.all(['a', 'b', 'c', 'd', 'e', 'f'].map(m => writer.append(entry(m))));
+  assert.deepEqual(batches, [4, 2]);
+  assert.deepEqual(results.map(r => r.id), [1, 2, 3, 4, 5, 6]);
+  const rows = await store.listLogEntries('email-1', {});
+  assert.deepEqual(rows.map(r => r.message), ['a', 'b', 'c', 'd', 'e', 'f']);
+  assert.deepEqual(writer.stats, { batches: 2, rows: 6, largest_batch: 4 });
+});
+
+test('a batch the store cannot take rejects every append in it and later batches still run', async () => {
+  let fail = true;
+  const store = {
+    async appendLogEntries(entries) {
+      if (fail) throw Object.assign(new Error('database is locked'), { code: 'SQLITE_BUSY' });
+      return { ids: entries.map((_, i) => i + 10) };
+    },
+    async appendLogEntry() {
+      throw new Error('not retried');
+    }
+  };
+  const writer = new GroupCommitWriter(store, { maxDelayMs: 1 });
+
+  const failed = await Promise.allSettled([writer.append(entry('a')), writer.append(entry('b'))]);
+  assert.deepEqual(failed.map(r => r.status), ['rejected', 'rejected']);
+  assert.equal(failed[0].reason.message, 'database is locked');
+
+  fail = false;
+  assert.deepEqual(await writer.append(entry('c')), { id: 10 });
+});
+
+test('a row the store refuses fails only its own append', async () => {
+  const store = new MemoryEventLogStore();
+  await store.init();
+  const appendLogEntries = store.appendLogEntries.bind(store);
+  const appendLogEntry = store.appendLogEntry.bind(store);
+  const tooLong = new Error("Data too long for column 'message'");
+  // Like a transaction: a bad row fails the batch and nothing is written.
+  store.appendLogEntries = async (entries) => {
+    if (entries.some(e => e.message === 'bad')) throw tooLong;
+    return appendLogEntries(entries);
+  };
+  store.appendLogEntry = async (e) => {
+    if (e.message === 'bad') throw tooLong;
+    return appendLogEntry(e);
+  };
+  const writer = new GroupCommitWriter(store, { maxBatch: 3, maxDelayMs: 5 });
+
+  const results = await Promise.allSettled(['a', 'bad', 'c'].map(m => writer.append(entry(m))));
+  assert.deepEqual(results.map(r => r.status), ['fulfilled', 'rejected', 'fulfilled']);
+  assert.equal(results[1].reason, tooLong);
+  const rows = await store.listLogEntries('email-1', {});
+  assert.deepEqual(rows.map(r => r.message), ['a', 'c']);
+  assert.deepEqual(results.filter(r => r.value).map(r => r.value.id), rows.map(r => r.id));
+});